@@ -1,10 +1,18 @@
 const express = require("express");
 const path = require('path');
+const fs = require('fs');
+const validator = require('gltf-validator');
 const app = express();
 
 var publicDir = path.join(__dirname, 'public');
 app.use("/public/", express.static(publicDir));
 
+// Directory holding the glTF/GLB files listed by the model catalog
+var modelsDir = path.join(publicDir, 'models');
+
+// Directory holding the annotation hotspots saved for each model (one JSON file per model)
+var annotationsDir = path.join(__dirname, 'annotations');
+
 /*
   -> IMPORTANT
   -> it is a security risk to serve node_modules via express. You should use a bundler like webpack or browserify
@@ -12,10 +20,434 @@ app.use("/public/", express.static(publicDir));
 var nodeModulesDir = path.join(__dirname, 'node_modules');
 app.use('/node_modules/', express.static(nodeModulesDir)); 
 
+/*
+  Decoders for compressed glTF assets - Draco geometry (KHR_draco_mesh_compression) and
+  Basis Universal textures (KHR_texture_basisu). Served from the local three.js install
+  so compressed models load without reaching out to a CDN. The meshopt decoder
+  (EXT_meshopt_compression) is a plain ES module and comes in through the import map.
+*/
+var threeLibsDir = path.join(nodeModulesDir, 'three', 'examples', 'jsm', 'libs');
+app.use('/decoders/draco/', express.static(path.join(threeLibsDir, 'draco', 'gltf')));
+app.use('/decoders/basis/', express.static(path.join(threeLibsDir, 'basis')));
+
 app.get("/", function (req, res) {
   res.sendFile(__dirname + "/index.html");
 });
 
+/*
+  Model catalog - lists every .gltf/.glb file in public/models with its size,
+  format and basic header metadata (asset generator, version, extensions used)
+*/
+app.get("/api/models", async function (req, res) {
+  try {
+    const fileNames = await fs.promises.readdir(modelsDir);
+    const modelFiles = fileNames.filter(function (name) {
+      return /\.(gltf|glb)$/i.test(name);
+    }).sort();
+
+    const models = await Promise.all(modelFiles.map(describeModel));
+    res.json(models);
+  } catch (error) {
+    console.error('Error listing models:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Build the catalog entry for one model file
+ * @param {string} fileName - File name inside the models directory
+ * @returns {Promise<Object>} - { name, url, format, size, generator, version, extensionsUsed, extensionsRequired }
+ */
+async function describeModel(fileName) {
+  const filePath = path.join(modelsDir, fileName);
+  const format = fileName.toLowerCase().endsWith('.glb') ? 'glb' : 'gltf';
+  const stat = await fs.promises.stat(filePath);
+
+  const entry = {
+    name: fileName,
+    url: '/public/models/' + encodeURIComponent(fileName),
+    format: format,
+    size: stat.size
+  };
+
+  // A broken header should not hide the file from the catalog - report the error instead
+  try {
+    const json = await readGLTFJson(filePath, format);
+    const asset = json.asset || {};
+    entry.generator = asset.generator || null;
+    entry.version = asset.version || null;
+    entry.extensionsUsed = json.extensionsUsed || [];
+    entry.extensionsRequired = json.extensionsRequired || [];
+  } catch (error) {
+    entry.error = error.message;
+  }
+
+  return entry;
+}
+
+/**
+ * Read and parse the JSON part of a glTF asset
+ * @param {string} filePath - Absolute path of the .gltf or .glb file
+ * @param {string} format - Either 'gltf' or 'glb'
+ * @returns {Promise<Object>} - The parsed glTF JSON
+ * 
+ * For .glb only the 12-byte header and the first (JSON) chunk are read,
+ * so the binary buffer chunk is never loaded into memory.
+ */
+async function readGLTFJson(filePath, format) {
+  if (format === 'gltf') {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    // GLB header (12 bytes) followed by the first chunk header (8 bytes)
+    const header = Buffer.alloc(20);
+    await handle.read(header, 0, 20, 0);
+
+    if (header.toString('ascii', 0, 4) !== 'glTF') {
+      throw new Error('Not a binary glTF file (bad magic)');
+    }
+    if (header.readUInt32LE(4) !== 2) {
+      throw new Error('Unsupported GLB version ' + header.readUInt32LE(4));
+    }
+
+    const chunkLength = header.readUInt32LE(12);
+    const chunkType = header.readUInt32LE(16);
+    if (chunkType !== 0x4E4F534A) { // 'JSON'
+      throw new Error('First GLB chunk is not JSON');
+    }
+
+    const chunk = Buffer.alloc(chunkLength);
+    await handle.read(chunk, 0, chunkLength, 20);
+    return JSON.parse(chunk.toString('utf8'));
+  } finally {
+    await handle.close();
+  }
+}
+
+/*
+  Model events - viewers subscribe with Server-Sent Events and are told when a file in public/models changes,
+  so an artist re-exporting a model sees it reload without reloading the page
+*/
+const modelEventClients = new Set();
+
+app.get("/api/models/events", function (req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  modelEventClients.add(res);
+  req.on('close', function () {
+    modelEventClients.delete(res);
+  });
+});
+
+// Exporters write a model in several steps (buffers, textures, then the .gltf, or a temporary file renamed),
+// so changes are collected until the directory has been quiet for this long
+const MODEL_CHANGE_SETTLE_DELAY = 300; // ms
+const changedModelFiles = new Set();
+let modelChangeTimer = null;
+
+try {
+  watchModelsDirectory(function (eventType, fileName) {
+    if (!fileName) {
+      return;
+    }
+    // Paths relative to the models directory, with '/' as in glTF URIs
+    changedModelFiles.add(fileName.split(path.sep).join('/'));
+    clearTimeout(modelChangeTimer);
+    modelChangeTimer = setTimeout(function () {
+      const fileNames = Array.from(changedModelFiles);
+      changedModelFiles.clear();
+      notifyModelChanges(fileNames).catch(function (error) {
+        console.error('Error reporting model changes:', error);
+      });
+    }, MODEL_CHANGE_SETTLE_DELAY);
+  }).on('error', function (error) {
+    console.error('Stopped watching the models directory:', error);
+  });
+} catch (error) {
+  console.error('Could not watch the models directory:', error);
+}
+
+/**
+ * Watch the models directory and its subfolders
+ * @param {Function} onChange - fs.watch listener; file names are relative to the models directory
+ * @returns {fs.FSWatcher}
+ * 
+ * Buffers and textures often sit in a subfolder next to the .gltf (e.g. a Blender export's textures/),
+ * so the watch is recursive. Node versions without recursive watching on this platform
+ * (Linux before 19.1) only watch the files directly in the models directory.
+ */
+function watchModelsDirectory(onChange) {
+  try {
+    return fs.watch(modelsDir, { recursive: true }, onChange);
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error;
+    }
+    console.warn('Recursive watching is not available - changes in subfolders of the models directory are not reported');
+    return fs.watch(modelsDir, onChange);
+  }
+}
+
+/**
+ * Tell every connected viewer which models the changed files belong to
+ * @param {string[]} fileNames - Paths of the changed files, relative to the models directory
+ * 
+ * Sends one model-changed event per model: { name, url, exists } - exists is false once the model was deleted.
+ * A .gltf/.glb directly in the models directory belongs to itself; any other file (a .bin buffer, a texture,
+ * also in a subfolder) to the .gltf files that refer to it.
+ */
+async function notifyModelChanges(fileNames) {
+  const modelNames = new Set();
+  for (const fileName of fileNames) {
+    if (/\.(gltf|glb)$/i.test(fileName) && !fileName.includes('/')) {
+      modelNames.add(fileName);
+    } else {
+      (await findModelsUsing(fileName)).forEach(function (name) {
+        modelNames.add(name);
+      });
+    }
+  }
+
+  for (const name of modelNames) {
+    const change = {
+      name: name,
+      url: '/public/models/' + encodeURIComponent(name),
+      exists: await isCatalogModel(name)
+    };
+    modelEventClients.forEach(function (res) {
+      res.write('event: model-changed\ndata: ' + JSON.stringify(change) + '\n\n');
+    });
+  }
+}
+
+/**
+ * Find the .gltf models that refer to a file as one of their buffers or images
+ * @param {string} fileName - Path of a file relative to the models directory, e.g. 'textures/wood.png'
+ * @returns {Promise<string[]>} - File names of the models
+ */
+async function findModelsUsing(fileName) {
+  const fileNames = await fs.promises.readdir(modelsDir);
+  const gltfNames = fileNames.filter(function (name) {
+    return /\.gltf$/i.test(name);
+  });
+
+  const users = await Promise.all(gltfNames.map(async function (name) {
+    // A .gltf that can't be parsed (e.g. still being written) is skipped - its own change is reported when it is saved
+    try {
+      const json = await readGLTFJson(path.join(modelsDir, name), 'gltf');
+      const uris = (json.buffers || []).concat(json.images || []).map(function (item) {
+        return item.uri;
+      });
+      return uris.some(function (uri) {
+        // URIs are relative to the .gltf, which sits directly in the models directory
+        return uri && !uri.startsWith('data:') && path.posix.normalize(decodeURIComponent(uri)) === fileName;
+      }) ? name : null;
+    } catch (error) {
+      return null;
+    }
+  }));
+  return users.filter(Boolean);
+}
+
+/*
+  Annotations - hotspots with text notes pinned to a catalog model's surfaces.
+  Stored as annotations/<model file name>.json; a model without saved annotations has none.
+*/
+app.get("/api/annotations/:model", async function (req, res) {
+  try {
+    if (!(await isCatalogModel(req.params.model))) {
+      return res.status(404).json({ error: 'Unknown model ' + req.params.model });
+    }
+
+    const json = await fs.promises.readFile(annotationsPath(req.params.model), 'utf8');
+    res.json(JSON.parse(json));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.json([]);
+    }
+    console.error('Error reading annotations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put("/api/annotations/:model", express.json({ limit: '1mb' }), async function (req, res) {
+  try {
+    if (!(await isCatalogModel(req.params.model))) {
+      return res.status(404).json({ error: 'Unknown model ' + req.params.model });
+    }
+
+    const annotations = sanitizeAnnotations(req.body);
+    if (!annotations) {
+      return res.status(400).json({ error: 'Expected an array of { id, text, node, position } annotations' });
+    }
+
+    // Write to a temporary file first so a failed write never leaves a truncated file behind
+    const filePath = annotationsPath(req.params.model);
+    await fs.promises.mkdir(annotationsDir, { recursive: true });
+    await fs.promises.writeFile(filePath + '.tmp', JSON.stringify(annotations, null, 2));
+    await fs.promises.rename(filePath + '.tmp', filePath);
+    res.json(annotations);
+  } catch (error) {
+    console.error('Error saving annotations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/*
+  glTF validation - runs the Khronos glTF-Validator on a catalog model (GET, together with its
+  external buffers and images) or on an uploaded .gltf/.glb (POST, the file itself as the body).
+  Every issue comes with a JSON pointer into the asset, e.g. /meshes/0/primitives/1/attributes/NORMAL.
+*/
+app.get("/api/validate/:model", async function (req, res) {
+  try {
+    if (!(await isCatalogModel(req.params.model))) {
+      return res.status(404).json({ error: 'Unknown model ' + req.params.model });
+    }
+
+    const data = await fs.promises.readFile(path.join(modelsDir, req.params.model));
+    res.json(await validateAsset(data, req.params.model, loadCatalogResource));
+  } catch (error) {
+    console.error('Error validating model:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/validate", express.raw({ type: '*/*', limit: '256mb' }), async function (req, res) {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Expected the .gltf or .glb file as the request body' });
+    }
+
+    // The files next to an uploaded .gltf aren't sent along, so its external buffers and images are not checked
+    const name = typeof req.query.name === 'string' ? path.basename(req.query.name) : 'upload';
+    res.json(await validateAsset(req.body, name, null));
+  } catch (error) {
+    console.error('Error validating upload:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Run the glTF validator on an asset and summarize its report
+ * @param {Buffer} data - Contents of the .gltf or .glb file
+ * @param {string} name - File name, copied to the report
+ * @param {Function|null} loadResource - Loads an external buffer or image by URI (null skips external resources)
+ * @returns {Promise<Object>} - { name, validatorVersion, counts: { errors, warnings, infos, hints },
+ *   truncated, resourcesChecked, issues: [{ code, message, severity, pointer }] }
+ * 
+ * Issues are sorted by severity, errors first. A badly broken file can produce thousands of
+ * issues, so the report stops after the first 1000 (truncated is then true).
+ */
+async function validateAsset(data, name, loadResource) {
+  const options = { uri: name, maxIssues: 1000, writeTimestamp: false };
+  if (loadResource) {
+    options.externalResourceFunction = loadResource;
+  }
+
+  const report = await validator.validateBytes(new Uint8Array(data.buffer, data.byteOffset, data.length), options);
+  const severities = ['error', 'warning', 'info', 'hint'];
+  const issues = report.issues.messages.slice().sort(function (a, b) {
+    return a.severity - b.severity;
+  });
+
+  return {
+    name: name,
+    validatorVersion: report.validatorVersion,
+    counts: {
+      errors: report.issues.numErrors,
+      warnings: report.issues.numWarnings,
+      infos: report.issues.numInfos,
+      hints: report.issues.numHints
+    },
+    truncated: report.issues.truncated,
+    resourcesChecked: Boolean(loadResource),
+    issues: issues.map(function (issue) {
+      return {
+        code: issue.code,
+        message: issue.message,
+        severity: severities[issue.severity] || 'info',
+        pointer: issue.pointer || null
+      };
+    })
+  };
+}
+
+/**
+ * Read an external buffer or image of a catalog model for the validator
+ * @param {string} uri - URI from the glTF JSON, relative to the models directory
+ * @returns {Promise<Uint8Array>}
+ */
+function loadCatalogResource(uri) {
+  const filePath = path.resolve(modelsDir, decodeURIComponent(uri));
+  if (!filePath.startsWith(modelsDir + path.sep)) {
+    return Promise.reject(new Error('Resource outside the models directory: ' + uri));
+  }
+  return fs.promises.readFile(filePath).then(function (buffer) {
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+  });
+}
+
+/**
+ * Check that a file name refers to a model in the catalog
+ * @param {string} fileName - File name from the request
+ * @returns {Promise<boolean>}
+ * 
+ * Only plain .gltf/.glb file names are accepted, so the name can't reach outside the models directory.
+ */
+async function isCatalogModel(fileName) {
+  if (fileName !== path.basename(fileName) || !/\.(gltf|glb)$/i.test(fileName)) {
+    return false;
+  }
+  try {
+    const stat = await fs.promises.stat(path.join(modelsDir, fileName));
+    return stat.isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Path of the annotations file of a model
+ * @param {string} fileName - File name of the model in the catalog
+ * @returns {string}
+ */
+function annotationsPath(fileName) {
+  return path.join(annotationsDir, fileName + '.json');
+}
+
+/**
+ * Validate annotations sent by the viewer and keep only the known fields
+ * @param {*} body - Parsed request body
+ * @returns {Array|null} - [{ id, text, node, position }], or null if the body is invalid
+ */
+function sanitizeAnnotations(body) {
+  if (!Array.isArray(body)) {
+    return null;
+  }
+
+  const annotations = body.map(function (entry) {
+    const valid = entry &&
+      Number.isInteger(entry.id) &&
+      typeof entry.text === 'string' &&
+      (entry.node === null || Number.isInteger(entry.node)) &&
+      Array.isArray(entry.position) && entry.position.length === 3 &&
+      entry.position.every(Number.isFinite);
+    if (!valid) {
+      return null;
+    }
+    return { id: entry.id, text: entry.text, node: entry.node, position: entry.position };
+  });
+
+  return annotations.includes(null) ? null : annotations;
+}
+
 app.listen(3000, function () {
   console.log("Server is running on localhost:3000");
 });
\ No newline at end of file
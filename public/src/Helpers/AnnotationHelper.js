@@ -0,0 +1,205 @@
+import * as THREE from 'three'
+import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+
+// Group holding the hotspot labels (set by initAnnotations)
+// Hotspots stay out of the model's hierarchy, so they never show up in the outliner or in exports
+let annotationGroup = null;
+
+// Hotspots of the loaded model: { id, text, node, position, anchor, label }
+// position is in the anchor node's local space, so the hotspot follows the node when it moves or animates
+let annotations = [];
+
+// Incrementing id so removed hotspots never share an id with new ones
+let nextAnnotationId = 1;
+
+/**
+ * Create the group hotspot labels are placed in
+ * @param {THREE.Scene} scene - The viewer's scene
+ */
+export const initAnnotations = (scene) => {
+  annotationGroup = new THREE.Group();
+  annotationGroup.name = 'Annotations';
+  scene.add(annotationGroup);
+};
+
+/**
+ * Fetch the saved hotspots of a catalog model
+ * @param {string} modelName - File name of the model in the catalog
+ * @returns {Promise<Array>} - Saved hotspots { id, text, node, position } (empty when none are saved)
+ */
+export const fetchAnnotations = (modelName) => {
+  return fetch(`/api/annotations/${encodeURIComponent(modelName)}`).then((response) => {
+    if (!response.ok) {
+      throw new Error(`Annotation request failed (${response.status})`);
+    }
+    return response.json();
+  });
+};
+
+/**
+ * Save the current hotspots for a catalog model
+ * @param {string} modelName - File name of the model in the catalog
+ * @returns {Promise}
+ */
+export const saveAnnotations = (modelName) => {
+  return fetch(`/api/annotations/${encodeURIComponent(modelName)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(annotations.map(({ id, text, node, position }) => ({ id, text, node, position })))
+  }).then((response) => {
+    if (!response.ok) {
+      throw new Error(`Saving annotations failed (${response.status})`);
+    }
+  });
+};
+
+/**
+ * Pin a new hotspot where a raycast hit the model
+ * @param {THREE.Intersection} hit - Hit from raycastModel
+ * @param {string} text - Note shown next to the hotspot
+ * @param {THREE.Object3D} model - Root of the loaded model
+ * @param {GLTFParser} [parser] - Parser of the loaded model (maps objects to glTF nodes)
+ * @returns {Object} - The hotspot
+ */
+export const addAnnotation = (hit, text, model, parser) => {
+  // Anchor to the glTF node that was hit, so the hotspot can be found again after a reload
+  let anchor = hit.object;
+  while (anchor !== model && nodeIndexOf(anchor, parser) === null) {
+    anchor = anchor.parent;
+  }
+
+  anchor.updateWorldMatrix(true, false);
+  return createAnnotation({
+    id: nextAnnotationId++,
+    text: text,
+    node: anchor === model ? null : nodeIndexOf(anchor, parser),
+    position: anchor.worldToLocal(hit.point.clone()).toArray()
+  }, anchor);
+};
+
+/**
+ * Recreate saved hotspots on the loaded model
+ * @param {Array} saved - Hotspots from fetchAnnotations
+ * @param {THREE.Object3D} model - Root of the loaded model
+ * @param {GLTFParser} [parser] - Parser of the loaded model
+ * @returns {number} - How many hotspots couldn't be placed (their node no longer exists)
+ */
+export const restoreAnnotations = (saved, model, parser) => {
+  const nodes = new Map();
+  model.traverse((object) => {
+    const index = nodeIndexOf(object, parser);
+    if (index !== null && !nodes.has(index)) {
+      nodes.set(index, object);
+    }
+  });
+
+  let missing = 0;
+  saved.forEach((entry) => {
+    const anchor = entry.node === null ? model : nodes.get(entry.node);
+    if (!anchor) {
+      missing++;
+      return;
+    }
+    nextAnnotationId = Math.max(nextAnnotationId, entry.id + 1);
+    createAnnotation(entry, anchor);
+  });
+  return missing;
+};
+
+/**
+ * Get the hotspots of the loaded model
+ * @returns {Array} - { id, text, node, position, anchor, label }
+ */
+export const getAnnotations = () => annotations;
+
+/**
+ * Change a hotspot's note
+ * @param {number} id - Hotspot id
+ * @param {string} text - New note
+ */
+export const setAnnotationText = (id, text) => {
+  const entry = annotations.find((item) => item.id === id);
+  if (!entry) return;
+  entry.text = text;
+  entry.label.element.querySelector('.annotation-text').textContent = text;
+};
+
+/**
+ * Remove a hotspot
+ * @param {number} id - Hotspot id
+ */
+export const removeAnnotation = (id) => {
+  const entry = annotations.find((item) => item.id === id);
+  if (!entry) return;
+  entry.label.removeFromParent(); // Also removes its element from the page
+  annotations = annotations.filter((item) => item !== entry);
+  updateNumbers();
+};
+
+/**
+ * Remove all hotspots (when the model is unloaded)
+ */
+export const clearAnnotations = () => {
+  annotations.forEach((entry) => entry.label.removeFromParent());
+  annotations = [];
+};
+
+/**
+ * Move every hotspot to its anchor's current pose - call before rendering
+ */
+export const updateAnnotations = () => {
+  annotations.forEach((entry) => {
+    entry.label.position.fromArray(entry.position).applyMatrix4(entry.anchor.matrixWorld);
+  });
+};
+
+/**
+ * Create the hotspot label and track the hotspot
+ * @param {Object} entry - { id, text, node, position }
+ * @param {THREE.Object3D} anchor - Object the position is relative to
+ * @returns {Object} - The hotspot
+ */
+const createAnnotation = (entry, anchor) => {
+  const element = document.createElement('div');
+  element.className = 'annotation-hotspot';
+  element.innerHTML = '<span class="annotation-number"></span><span class="annotation-text"></span>';
+  // Notes are user text, so set them as text rather than markup
+  element.querySelector('.annotation-text').textContent = entry.text;
+
+  const label = new CSS2DObject(element);
+  label.center.set(0, 0.5); // The dot sits on the surface point, the note extends to the right
+  annotationGroup.add(label);
+
+  const annotation = {
+    id: entry.id,
+    text: entry.text,
+    node: entry.node,
+    position: entry.position,
+    anchor: anchor,
+    label: label
+  };
+  annotations.push(annotation);
+  updateNumbers();
+  updateAnnotations();
+  return annotation;
+};
+
+/**
+ * Number the hotspot labels in list order
+ */
+const updateNumbers = () => {
+  annotations.forEach((entry, index) => {
+    entry.label.element.querySelector('.annotation-number').textContent = index + 1;
+  });
+};
+
+/**
+ * glTF node index of an object
+ * @param {THREE.Object3D} object - Object of the loaded model
+ * @param {GLTFParser} [parser] - Parser of the loaded model
+ * @returns {number|null} - Node index, or null if the object isn't a glTF node
+ */
+const nodeIndexOf = (object, parser) => {
+  const association = parser ? parser.associations.get(object) : null;
+  return association && association.nodes !== undefined ? association.nodes : null;
+};
@@ -0,0 +1,236 @@
+import * as THREE from 'three'
+
+// Axis views offered as presets - direction from the orbit target to the camera
+export const VIEW_PRESETS = {
+  front: { label: 'Front', direction: new THREE.Vector3(0, 0, 1) },
+  top: { label: 'Top', direction: new THREE.Vector3(0, 1, 0) },
+  side: { label: 'Side', direction: new THREE.Vector3(1, 0, 0) }
+};
+
+// Running camera transition (null when idle): start and end pose, timing and the promise to settle
+let transition = null;
+
+/**
+ * Describe a model's camera for the camera dropdown
+ * @param {THREE.Camera} camera - Camera node from the glTF
+ * @param {number} index - Position of the camera in the model
+ * @returns {string}
+ */
+export const describeCamera = (camera, index) => {
+  const name = camera.name || `Camera ${index + 1}`;
+  return camera.isOrthographicCamera ? `${name} (orthographic)` : `${name} (${camera.fov.toFixed(0)}° FOV)`;
+};
+
+/**
+ * Copy a camera node out of the model so OrbitControls can drive it
+ * @param {THREE.Camera} source - Camera node from the glTF (may sit deep in a transformed hierarchy)
+ * @returns {THREE.Camera} - A parentless camera with the node's world pose and projection
+ *
+ * OrbitControls treats the camera's position as world space, which only holds for cameras without
+ * a transformed parent - the copy keeps the authored framing without touching the model.
+ */
+export const detachCamera = (source) => {
+  source.updateWorldMatrix(true, false);
+  const camera = source.clone(false);
+  source.matrixWorld.decompose(camera.position, camera.quaternion, camera.scale);
+  camera.scale.set(1, 1, 1);
+  return camera;
+};
+
+/**
+ * Point in front of a camera at the distance of a reference point - used as its orbit target
+ * @param {THREE.Camera} camera - Parentless camera
+ * @param {THREE.Vector3} point - Point the target should be as far away as (e.g. the model center)
+ * @returns {THREE.Vector3}
+ */
+export const getOrbitTarget = (camera, point) => {
+  const direction = camera.getWorldDirection(new THREE.Vector3());
+  const distance = Math.max(camera.position.distanceTo(point), 0.01);
+  return camera.position.clone().addScaledVector(direction, distance);
+};
+
+/**
+ * Move an orthographic camera to another camera's view, sized to show what that camera shows at the target
+ * @param {THREE.OrthographicCamera} ortho - Camera to update
+ * @param {THREE.Camera} source - Current camera
+ * @param {THREE.Vector3} target - Orbit target
+ * @param {number} aspect - Viewport width / height
+ */
+export const matchOrthographic = (ortho, source, target, aspect) => {
+  const halfHeight = getVisibleHalfHeight(source, target);
+  ortho.top = halfHeight;
+  ortho.bottom = -halfHeight;
+  ortho.left = -halfHeight * aspect;
+  ortho.right = halfHeight * aspect;
+  ortho.zoom = 1;
+  ortho.near = source.near;
+  ortho.far = source.far;
+  ortho.position.copy(source.position);
+  ortho.quaternion.copy(source.quaternion);
+  ortho.updateProjectionMatrix();
+};
+
+/**
+ * Move a perspective camera to another camera's view, at the distance where it shows the same area
+ * @param {THREE.PerspectiveCamera} perspective - Camera to update (its FOV is kept)
+ * @param {THREE.Camera} source - Current camera
+ * @param {THREE.Vector3} target - Orbit target
+ */
+export const matchPerspective = (perspective, source, target) => {
+  const halfHeight = getVisibleHalfHeight(source, target);
+  const distance = halfHeight / Math.tan(THREE.MathUtils.degToRad(perspective.fov) / 2);
+  const direction = source.position.clone().sub(target).normalize();
+  perspective.position.copy(target).addScaledVector(direction, distance);
+  perspective.quaternion.copy(source.quaternion);
+  perspective.updateProjectionMatrix();
+};
+
+/**
+ * Capture a camera's view as a viewpoint
+ * @param {string} name - Name shown in the viewpoint list
+ * @param {THREE.Camera} camera - Camera to read
+ * @param {THREE.Vector3} target - Orbit target
+ * @returns {Object} - { name, position, target, fov, zoom } with vectors as [x, y, z] (fov is null for orthographic cameras)
+ */
+export const captureViewpoint = (name, camera, target) => ({
+  name: name,
+  position: camera.position.toArray(),
+  target: target.toArray(),
+  fov: camera.isPerspectiveCamera ? camera.fov : null,
+  zoom: camera.zoom
+});
+
+/**
+ * Check a saved viewpoint field by field, since it may come from a hand-edited link
+ * @param {Object} viewpoint - A viewpoint from captureViewpoint
+ * @returns {Object|null} - The viewpoint with an invalid fov left out (null) and an invalid zoom reset to 1,
+ *   or null when its name, position or target is unusable
+ */
+export const sanitizeViewpoint = (viewpoint) => {
+  if (!viewpoint || typeof viewpoint !== 'object' || typeof viewpoint.name !== 'string') {
+    return null;
+  }
+  const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every((item) => Number.isFinite(item));
+  if (!isVector(viewpoint.position) || !isVector(viewpoint.target)) {
+    return null;
+  }
+
+  const { fov, zoom } = viewpoint;
+  return {
+    name: viewpoint.name,
+    position: viewpoint.position,
+    target: viewpoint.target,
+    fov: Number.isFinite(fov) && fov > 0 && fov < 180 ? fov : null,
+    zoom: Number.isFinite(zoom) && zoom > 0 ? zoom : 1
+  };
+};
+
+/**
+ * Viewpoint looking at the target along one of the VIEW_PRESETS, from the camera's current distance
+ * @param {string} key - Key of VIEW_PRESETS
+ * @param {THREE.Camera} camera - Current camera
+ * @param {THREE.Vector3} target - Orbit target
+ * @returns {Object} - Viewpoint (see captureViewpoint)
+ */
+export const getPresetViewpoint = (key, camera, target) => {
+  const distance = camera.position.distanceTo(target);
+  const position = target.clone().addScaledVector(VIEW_PRESETS[key].direction, distance);
+  return {
+    name: VIEW_PRESETS[key].label,
+    position: position.toArray(),
+    target: target.toArray(),
+    fov: camera.isPerspectiveCamera ? camera.fov : null,
+    zoom: camera.zoom
+  };
+};
+
+/**
+ * Animate a camera to a viewpoint
+ * @param {THREE.Camera} camera - Camera to move
+ * @param {THREE.Vector3} target - Orbit target (moved along with the camera)
+ * @param {Object} viewpoint - Destination (see captureViewpoint); FOV only applies to perspective cameras
+ * @param {number} duration - Length of the transition in milliseconds
+ * @returns {Promise<boolean>} - Resolves with true when the camera arrives, or with false when the transition
+ *   is cancelled (whatever cancelled it has taken over the camera)
+ */
+export const startCameraTransition = (camera, target, viewpoint, duration) => {
+  cancelCameraTransition();
+
+  return new Promise((resolve) => {
+    transition = {
+      camera: camera,
+      target: target,
+      fromPosition: camera.position.clone(),
+      toPosition: new THREE.Vector3().fromArray(viewpoint.position),
+      fromTarget: target.clone(),
+      toTarget: new THREE.Vector3().fromArray(viewpoint.target),
+      fromFov: camera.isPerspectiveCamera ? camera.fov : null,
+      toFov: camera.isPerspectiveCamera && viewpoint.fov ? viewpoint.fov : null,
+      fromZoom: camera.zoom,
+      toZoom: viewpoint.zoom || 1,
+      duration: duration,
+      startTime: null, // Set on the first frame so a slow frame right after the click doesn't skip ahead
+      resolve: resolve
+    };
+  });
+};
+
+/**
+ * Move the camera to this frame's point of the transition - call before rendering
+ * @param {number} timestamp - requestAnimationFrame timestamp
+ */
+export const updateCameraTransition = (timestamp) => {
+  if (!transition) return;
+
+  if (transition.startTime === null) {
+    transition.startTime = timestamp;
+  }
+  const progress = Math.min(1, (timestamp - transition.startTime) / transition.duration);
+  const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2; // Ease in-out (cubic)
+
+  const { camera, target } = transition;
+  camera.position.lerpVectors(transition.fromPosition, transition.toPosition, eased);
+  target.lerpVectors(transition.fromTarget, transition.toTarget, eased);
+  if (transition.toFov !== null) {
+    camera.fov = THREE.MathUtils.lerp(transition.fromFov, transition.toFov, eased);
+  }
+  camera.zoom = THREE.MathUtils.lerp(transition.fromZoom, transition.toZoom, eased);
+  camera.updateProjectionMatrix();
+  camera.lookAt(target);
+
+  if (progress === 1) {
+    const finished = transition;
+    transition = null;
+    finished.resolve(true);
+  }
+};
+
+/**
+ * Whether a transition is driving the camera
+ * @returns {boolean}
+ */
+export const isCameraTransitioning = () => Boolean(transition);
+
+/**
+ * Stop a running transition where it is (its promise resolves with false)
+ */
+export const cancelCameraTransition = () => {
+  if (!transition) return;
+  const cancelled = transition;
+  transition = null;
+  cancelled.resolve(false);
+};
+
+/**
+ * Half the height of the area a camera shows at the target's distance
+ * @param {THREE.Camera} camera - Perspective or orthographic camera
+ * @param {THREE.Vector3} target - Orbit target
+ * @returns {number}
+ */
+const getVisibleHalfHeight = (camera, target) => {
+  if (camera.isOrthographicCamera) {
+    return (camera.top - camera.bottom) / 2 / camera.zoom;
+  }
+  const distance = camera.position.distanceTo(target);
+  return distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / camera.zoom;
+};
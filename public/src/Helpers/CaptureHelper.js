@@ -0,0 +1,274 @@
+import * as THREE from 'three'
+
+// Multisample count of the offscreen screenshot target (antialiasing; ignored on WebGL1)
+const SCREENSHOT_SAMPLES = 4;
+
+// Video formats tried for turntables, best first
+const VIDEO_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Bitrate of turntable videos - high enough that fine texture detail survives the spin
+const VIDEO_BITS_PER_SECOND = 12000000;
+
+// Running turntable (null when idle): orbit parameters, the camera pose to restore and the recorder
+let turntable = null;
+
+/**
+ * Largest screenshot width/height the renderer supports
+ * @param {THREE.WebGLRenderer} renderer - The viewer's renderer
+ * @returns {number} - Pixels
+ */
+export const getMaxScreenshotSize = (renderer) => renderer.capabilities.maxTextureSize;
+
+/**
+ * Render a camera's view offscreen and encode it as PNG
+ * @param {THREE.WebGLRenderer} renderer - The viewer's renderer
+ * @param {THREE.Scene} scene - Scene to render
+ * @param {THREE.Camera} camera - View to capture (not modified - the framing's height is kept, the width follows the aspect ratio)
+ * @param {Object} options
+ * @param {number} options.width - Image width in pixels
+ * @param {number} options.height - Image height in pixels
+ * @param {string} options.background - 'scene' (as shown in the viewer), 'color' or 'transparent'
+ * @param {string} options.color - Solid background color ('#rrggbb') for the 'color' background
+ * @param {THREE.Object3D[]} options.hidden - Objects left out of the image (helpers, gizmos)
+ * @returns {Promise<Blob>} - The PNG image
+ *
+ * The image is rendered into its own render target, so its size doesn't depend on the window.
+ * The target stores the renderer's output color space, so the PNG matches what the canvas shows.
+ */
+export const captureScreenshot = (renderer, scene, camera, options) => {
+  const { width, height } = options;
+  const maxSize = getMaxScreenshotSize(renderer);
+  if (width > maxSize || height > maxSize) {
+    return Promise.reject(new Error(`Screenshots can be at most ${maxSize} × ${maxSize} pixels on this GPU`));
+  }
+
+  const target = new THREE.WebGLRenderTarget(width, height, { samples: SCREENSHOT_SAMPLES });
+  target.texture.colorSpace = renderer.outputColorSpace;
+  const captureCamera = createCaptureCamera(camera, width / height);
+  const pixels = new Uint8Array(width * height * 4);
+
+  const restoreScene = prepareScene(scene, options);
+  const previousTarget = renderer.getRenderTarget();
+  try {
+    renderer.setRenderTarget(target);
+    renderer.render(scene, captureCamera);
+    renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+  } catch (error) {
+    return Promise.reject(error);
+  } finally {
+    renderer.setRenderTarget(previousTarget);
+    restoreScene();
+    target.dispose();
+  }
+
+  return encodePNG(pixels, width, height);
+};
+
+/**
+ * Record a turntable: one full orbit of the camera around a target, as a WebM video of the canvas
+ * @param {HTMLCanvasElement} canvas - The renderer's canvas
+ * @param {THREE.Camera} camera - Camera to orbit (its pose is restored afterwards)
+ * @param {THREE.Vector3} target - Center of the orbit
+ * @param {Object} options
+ * @param {number} options.duration - Length of the orbit in seconds
+ * @param {number} options.frameRate - Frames per second captured from the canvas
+ * @returns {Promise<Blob>} - The video; rejects with an AbortError when cancelled
+ *
+ * The camera keeps its distance and height above the target and always faces it.
+ * The orbit is driven by updateTurntable() from the render loop, so it follows real time.
+ */
+export const startTurntable = (canvas, camera, target, options) => {
+  if (turntable) {
+    return Promise.reject(new Error('A turntable is already being recorded'));
+  }
+  const mimeType = typeof MediaRecorder === 'undefined'
+    ? null
+    : VIDEO_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) {
+    return Promise.reject(new Error('This browser cannot record WebM video'));
+  }
+
+  const stream = canvas.captureStream(options.frameRate);
+  const recorder = new MediaRecorder(stream, { mimeType: mimeType, videoBitsPerSecond: VIDEO_BITS_PER_SECOND });
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (e) => {
+    if (e.data.size > 0) {
+      chunks.push(e.data);
+    }
+  });
+
+  // Orbit at the camera's current distance and height so the model fills the view the same way
+  const offset = camera.position.clone().sub(target);
+
+  return new Promise((resolve, reject) => {
+    const run = {
+      recorder: recorder,
+      camera: camera,
+      target: target.clone(),
+      radius: Math.hypot(offset.x, offset.z) || offset.length(),
+      height: offset.y,
+      startAngle: Math.atan2(offset.x, offset.z),
+      startPosition: camera.position.clone(),
+      startQuaternion: camera.quaternion.clone(),
+      duration: options.duration * 1000,
+      startTime: null, // Set on the first frame, like camera transitions
+      cancelled: false
+    };
+
+    recorder.addEventListener('stop', () => {
+      stream.getTracks().forEach((track) => track.stop());
+      if (run.cancelled) {
+        reject(new DOMException('Turntable recording cancelled', 'AbortError'));
+      } else {
+        resolve(new Blob(chunks, { type: 'video/webm' }));
+      }
+    });
+    recorder.addEventListener('error', (e) => {
+      finishTurntable();
+      reject(e.error || new Error('Recording failed'));
+    });
+
+    turntable = run;
+    recorder.start();
+  });
+};
+
+/**
+ * Move the camera to this frame's point of the turntable orbit - call before rendering
+ * @param {number} timestamp - requestAnimationFrame timestamp
+ */
+export const updateTurntable = (timestamp) => {
+  if (!turntable) return;
+
+  if (turntable.startTime === null) {
+    turntable.startTime = timestamp;
+  }
+  const progress = Math.min(1, (timestamp - turntable.startTime) / turntable.duration);
+
+  // The full circle ends where it started, so the last frame is left out and the video loops cleanly
+  if (progress === 1) {
+    finishTurntable();
+    return;
+  }
+
+  const angle = turntable.startAngle + progress * Math.PI * 2;
+  const { camera, target } = turntable;
+  camera.position.set(
+    target.x + Math.sin(angle) * turntable.radius,
+    target.y + turntable.height,
+    target.z + Math.cos(angle) * turntable.radius
+  );
+  camera.lookAt(target);
+};
+
+/**
+ * Whether a turntable is driving the camera
+ * @returns {boolean}
+ */
+export const isTurntableRunning = () => Boolean(turntable);
+
+/**
+ * Stop the running turntable without producing a video
+ */
+export const cancelTurntable = () => {
+  if (!turntable) return;
+  turntable.cancelled = true;
+  finishTurntable();
+};
+
+/**
+ * Stop recording and put the camera back where the turntable started
+ */
+const finishTurntable = () => {
+  if (!turntable) return;
+  const { recorder, camera } = turntable;
+  camera.position.copy(turntable.startPosition);
+  camera.quaternion.copy(turntable.startQuaternion);
+  turntable = null;
+  if (recorder.state !== 'inactive') {
+    recorder.stop();
+  }
+};
+
+/**
+ * Copy a camera for a capture of another aspect ratio
+ * @param {THREE.Camera} camera - Viewer camera (parentless or in an untransformed parent)
+ * @param {number} aspect - Width / height of the capture
+ * @returns {THREE.Camera}
+ */
+const createCaptureCamera = (camera, aspect) => {
+  const captureCamera = camera.clone();
+  camera.updateWorldMatrix(true, false);
+  camera.matrixWorld.decompose(captureCamera.position, captureCamera.quaternion, captureCamera.scale);
+
+  if (captureCamera.isPerspectiveCamera) {
+    captureCamera.aspect = aspect;
+  } else {
+    const halfHeight = (camera.top - camera.bottom) / 2;
+    captureCamera.left = -halfHeight * aspect;
+    captureCamera.right = halfHeight * aspect;
+  }
+  captureCamera.updateProjectionMatrix();
+  captureCamera.updateMatrixWorld();
+  return captureCamera;
+};
+
+/**
+ * Set up the scene's background and hide objects for a capture
+ * @param {THREE.Scene} scene - Scene to render
+ * @param {Object} options - Screenshot options (background, color, hidden)
+ * @returns {Function} - Restores the scene as it was
+ */
+const prepareScene = (scene, options) => {
+  const previousBackground = scene.background;
+  const hidden = options.hidden.filter((object) => object.visible);
+  hidden.forEach((object) => {
+    object.visible = false;
+  });
+
+  if (options.background === 'transparent') {
+    scene.background = null;
+  } else if (options.background === 'color') {
+    scene.background = new THREE.Color(options.color);
+  }
+
+  return () => {
+    scene.background = previousBackground;
+    hidden.forEach((object) => {
+      object.visible = true;
+    });
+  };
+};
+
+/**
+ * Encode raw pixels read from a render target as PNG
+ * @param {Uint8Array} pixels - RGBA rows, bottom row first (WebGL order)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Promise<Blob>}
+ */
+const encodePNG = (pixels, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(width, height);
+
+  // Flip vertically - images are stored top row first
+  const rowLength = width * 4;
+  for (let y = 0; y < height; y++) {
+    const sourceStart = (height - 1 - y) * rowLength;
+    image.data.set(pixels.subarray(sourceStart, sourceStart + rowLength), y * rowLength);
+  }
+  context.putImageData(image, 0, 0);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('The browser could not encode the PNG'));
+      }
+    }, 'image/png');
+  });
+};
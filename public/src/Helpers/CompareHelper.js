@@ -0,0 +1,418 @@
+import * as THREE from 'three'
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { LoadGLTFByPath, disposeModel } from './ModelHelper.js';
+import { getModelBounds } from './MeasureHelper.js';
+
+// Ways of showing the loaded model (before) next to the comparison model (after)
+export const COMPARE_MODES = {
+  split: { label: 'Side by Side', hint: 'Loaded model on the left, comparison model on the right - orbit either half' },
+  wipe: { label: 'Wipe', hint: 'One view, split by the handle - drag it to wipe between the loaded model (left) and the comparison model (right)' },
+  difference: { label: 'Difference', hint: 'Pixels where the two renders differ by more than the threshold are highlighted, the rest is dimmed' }
+};
+
+/**
+ * Vertex shader of the full-screen difference pass - the 2x2 plane already covers clip space
+ */
+const FULLSCREEN_VERTEX_SHADER = /* glsl */`
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+/**
+ * Largest per-channel difference between the two renders, highlighted above uThreshold
+ * Matching pixels show the loaded model as a dim grey image, so the highlights can be placed.
+ */
+const DIFFERENCE_FRAGMENT_SHADER = /* glsl */`
+uniform sampler2D tBefore;
+uniform sampler2D tAfter;
+uniform float uThreshold;
+
+varying vec2 vUv;
+
+void main() {
+  vec3 before = clamp(texture2D(tBefore, vUv).rgb, 0.0, 1.0);
+  vec3 after = clamp(texture2D(tAfter, vUv).rgb, 0.0, 1.0);
+  vec3 delta = abs(before - after);
+  float difference = max(delta.r, max(delta.g, delta.b));
+
+  vec3 color = vec3(dot(before, vec3(0.2126, 0.7152, 0.0722)) * 0.3);
+  if (difference > uThreshold) {
+    color = vec3(1.0, 0.0, 0.5) * (0.4 + 0.6 * difference);
+  }
+
+  gl_FragColor = vec4(color, 1.0);
+  #include <encodings_fragment>
+}
+`;
+
+// Largest per-channel difference (0 to 1) that difference mode still counts as the same color
+export const DEFAULT_DIFFERENCE_THRESHOLD = 0.05;
+
+// Scene and renderer both models are drawn with (set by initComparison)
+let compareScene = null;
+let compareRenderer = null;
+
+// Element over the right half of the canvas that the comparison camera's controls listen to
+let viewportElement = null;
+
+// Holds the comparison model - only visible while its side is being drawn
+let compareRoot = null;
+let compareModel = null;
+let compareMixer = null; // Plays the comparison model's clips in step with the loaded model's
+let compareActions = [];
+
+let compareMode = null; // Key of COMPARE_MODES, or null when not comparing
+let wipePosition = 0.5; // Wipe line, as a fraction of the canvas width from the left
+let camerasSynced = true;
+
+// Camera of the right half in side by side mode, with OrbitControls of its own (null in the other modes)
+let compareCamera = null;
+let compareControls = null;
+
+// Render targets of both models and the full-screen pass that compares them (created on first use)
+let differenceTargets = null;
+let differenceQuad = null;
+let differenceScene = null;
+const differenceThreshold = { value: DEFAULT_DIFFERENCE_THRESHOLD }; // Uniform of the difference pass, kept while the pass is freed
+const differenceCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+/**
+ * Remember where the comparison is drawn, and add the (hidden) group the comparison model goes in
+ * @param {THREE.Scene} scene - The viewer's scene - the comparison model shares its lights and environment
+ * @param {THREE.WebGLRenderer} renderer - The viewer's renderer
+ * @param {HTMLElement} viewport - Element over the right half of the canvas, for orbiting the comparison camera
+ */
+export const initComparison = (scene, renderer, viewport) => {
+  compareScene = scene;
+  compareRenderer = renderer;
+  viewportElement = viewport;
+
+  compareRoot = new THREE.Group();
+  compareRoot.name = 'Comparison';
+  compareRoot.visible = false;
+  scene.add(compareRoot);
+};
+
+/**
+ * Load a catalog model to compare the loaded model with, replacing the previous comparison model
+ * @param {string} url - URL of the .gltf or .glb file
+ * @param {Object} [options] - signal / onProgress, as for LoadGLTFByPath()
+ * @returns {Promise<Object>} - Resolves with LoadGLTFByPath()'s result once the model is centered like the loaded one
+ *
+ * Its statistics join the comparison table in a row of their own (keyed 'compare:' + URL), so comparing
+ * a model with another copy of itself leaves the loaded model's row and benchmark in place.
+ */
+export const loadComparisonModel = (url, options = {}) => {
+  return LoadGLTFByPath(compareRoot, url, { ...options, current: false }).then((result) => {
+    clearComparisonModel(result.gltf.scene);
+    compareModel = result.gltf.scene;
+
+    // Centered at the origin, like centerModel() does for the loaded model, so both line up
+    const center = getModelBounds(compareModel).getCenter(new THREE.Vector3());
+    compareModel.position.sub(center);
+
+    if (result.gltf.animations.length > 0) {
+      compareMixer = new THREE.AnimationMixer(compareModel);
+      compareActions = result.gltf.animations.map((clip) => compareMixer.clipAction(clip));
+    }
+    return result;
+  });
+};
+
+/**
+ * The model the loaded model is compared with (null if none)
+ * @returns {THREE.Object3D|null}
+ */
+export const getComparisonModel = () => compareModel;
+
+/**
+ * Remove the comparison model and free its GPU resources
+ * @param {THREE.Object3D} [keep] - A model just added to the comparison group that stays
+ */
+export const clearComparisonModel = (keep = null) => {
+  if (compareMixer) {
+    compareMixer.stopAllAction();
+    compareMixer.uncacheRoot(compareModel);
+    compareMixer = null;
+    compareActions = [];
+  }
+  [...compareRoot.children].forEach((child) => {
+    if (child === keep) return;
+    compareRoot.remove(child);
+    disposeModel(child);
+  });
+  compareModel = null;
+};
+
+/**
+ * Start, switch or stop comparing
+ * @param {string|null} mode - Key of COMPARE_MODES, or null to go back to the loaded model alone
+ * @param {THREE.Camera} camera - The viewer's active camera
+ * @param {OrbitControls} controls - The viewer's orbit controls
+ *
+ * Side by side gives the right half a camera and controls of its own; the other modes draw both models
+ * from the viewer's camera. Stopping frees the difference pass, but keeps the comparison model.
+ */
+export const setComparisonMode = (mode, camera, controls) => {
+  compareMode = mode;
+  viewportElement.hidden = mode !== 'split';
+
+  if (mode === 'split' && !compareControls) {
+    compareCamera = camera.clone();
+    compareControls = new OrbitControls(compareCamera, viewportElement);
+    ['enableDamping', 'dampingFactor', 'screenSpacePanning', 'minDistance', 'maxDistance', 'maxPolarAngle'].forEach((key) => {
+      compareControls[key] = controls[key];
+    });
+    copyView(camera, controls.target, compareCamera, compareControls.target);
+    compareControls.update();
+  } else if (mode !== 'split' && compareControls) {
+    compareControls.dispose();
+    compareControls = null;
+    compareCamera = null;
+  }
+
+  if (mode !== 'difference' && differenceTargets) {
+    differenceTargets.forEach((target) => target.dispose());
+    differenceQuad.geometry.dispose();
+    differenceQuad.material.dispose();
+    differenceTargets = null;
+    differenceQuad = null;
+    differenceScene = null;
+  }
+};
+
+/**
+ * The active comparison mode
+ * @returns {string|null} - Key of COMPARE_MODES, or null when not comparing
+ */
+export const getComparisonMode = () => compareMode;
+
+/**
+ * Move the wipe line
+ * @param {number} position - Fraction of the canvas width from the left (0 to 1)
+ */
+export const setWipePosition = (position) => {
+  wipePosition = THREE.MathUtils.clamp(position, 0, 1);
+};
+
+/**
+ * Where the wipe line is
+ * @returns {number} - Fraction of the canvas width from the left
+ */
+export const getWipePosition = () => wipePosition;
+
+/**
+ * Set how far apart the two renders must be for a pixel to be highlighted in difference mode
+ * @param {number} threshold - Largest per-channel difference (0 to 1) that still counts as the same
+ */
+export const setDifferenceThreshold = (threshold) => {
+  differenceThreshold.value = threshold;
+};
+
+/**
+ * Whether the two halves of side by side mode move together
+ * @param {boolean} synced - False lets each half be orbited on its own
+ */
+export const setCamerasSynced = (synced) => {
+  camerasSynced = synced;
+};
+
+/**
+ * Keep the comparison side in step with the loaded model - call once per frame, after the orbit controls update
+ * @param {THREE.Camera} camera - The viewer's active camera
+ * @param {OrbitControls} controls - The viewer's orbit controls
+ * @param {THREE.AnimationAction[]} actions - The loaded model's clip actions - clips of the same name are posed alike
+ *
+ * In side by side mode, whichever camera was orbited last frame is copied to the other one.
+ */
+export const updateComparison = (camera, controls, actions) => {
+  if (!compareMode) return;
+
+  if (compareMixer) {
+    compareActions.forEach((action) => {
+      const source = actions.find((item) => item.getClip().name === action.getClip().name);
+      if (source && source.isScheduled() && source.enabled) {
+        action.play();
+        action.time = source.time;
+        action.setEffectiveWeight(source.getEffectiveWeight());
+      } else {
+        action.stop();
+      }
+    });
+    compareMixer.update(0);
+  }
+
+  if (!compareControls) return;
+
+  // Switching between the orbit, orthographic and embedded cameras swaps the kind of camera to follow
+  if (compareCamera.type !== camera.type) {
+    compareCamera = camera.clone();
+    compareControls.object = compareCamera;
+  }
+
+  if (!camerasSynced) {
+    compareControls.update();
+  } else if (compareControls.update()) {
+    copyView(compareCamera, compareControls.target, camera, controls.target);
+  } else {
+    copyView(camera, controls.target, compareCamera, compareControls.target);
+  }
+};
+
+/**
+ * Draw the loaded model and the comparison model in the active comparison mode
+ * @param {THREE.Camera} camera - The viewer's active camera
+ * @param {THREE.Object3D|null} model - The loaded model
+ * @param {THREE.Object3D[]} helpers - The loaded model's overlays and helpers, hidden on the comparison side
+ *
+ * Draw calls and triangles of the frame add up over all passes.
+ */
+export const renderComparison = (camera, model, helpers) => {
+  const renderer = compareRenderer;
+  const scene = compareScene;
+  const size = renderer.getSize(new THREE.Vector2());
+
+  // Only what is visible now is hidden for the comparison side - and shown again afterwards
+  const beforeObjects = [model, ...helpers].filter((object) => object && object !== compareRoot && object.visible);
+  const showSide = (side) => {
+    beforeObjects.forEach((object) => {
+      object.visible = side === 'before';
+    });
+    compareRoot.visible = side === 'after';
+  };
+
+  renderer.info.autoReset = false;
+  renderer.info.reset();
+  try {
+    if (compareMode === 'split') {
+      const half = Math.floor(size.x / 2);
+      renderer.setScissorTest(true);
+      showSide('before');
+      renderViewport(camera, 0, half, size.y);
+      showSide('after');
+      renderViewport(compareCamera, half, size.x - half, size.y);
+      setCameraAspect(camera, size.x / size.y);
+    } else if (compareMode === 'wipe') {
+      const split = Math.round(size.x * wipePosition);
+      renderer.setScissorTest(true);
+      showSide('before');
+      renderer.setScissor(0, 0, split, size.y);
+      renderer.render(scene, camera);
+      showSide('after');
+      renderer.setScissor(split, 0, size.x - split, size.y);
+      renderer.render(scene, camera);
+    } else {
+      const targets = getDifferenceTargets(renderer.getDrawingBufferSize(new THREE.Vector2()));
+      const previousTarget = renderer.getRenderTarget();
+      showSide('before');
+      renderer.setRenderTarget(targets[0]);
+      renderer.render(scene, camera);
+      showSide('after');
+      renderer.setRenderTarget(targets[1]);
+      renderer.render(scene, camera);
+      renderer.setRenderTarget(previousTarget);
+      renderer.render(differenceScene, differenceCamera);
+    }
+  } finally {
+    beforeObjects.forEach((object) => {
+      object.visible = true;
+    });
+    compareRoot.visible = false;
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, size.x, size.y);
+    renderer.info.autoReset = true;
+  }
+};
+
+/**
+ * Draw the scene into one part of the canvas, with the camera fitted to it
+ * @param {THREE.Camera} camera - Camera to draw with
+ * @param {number} x - Left edge in CSS pixels
+ * @param {number} width - Width in CSS pixels
+ * @param {number} height - Height in CSS pixels
+ */
+const renderViewport = (camera, x, width, height) => {
+  compareRenderer.setViewport(x, 0, width, height);
+  compareRenderer.setScissor(x, 0, width, height);
+  setCameraAspect(camera, width / height);
+  compareRenderer.render(compareScene, camera);
+};
+
+/**
+ * Fit a camera's projection to an aspect ratio (an orthographic camera keeps its visible height)
+ * @param {THREE.Camera} camera - Perspective or orthographic camera
+ * @param {number} aspect - Width / height
+ */
+const setCameraAspect = (camera, aspect) => {
+  if (camera.isOrthographicCamera) {
+    const halfHeight = (camera.top - camera.bottom) / 2;
+    camera.left = -halfHeight * aspect;
+    camera.right = halfHeight * aspect;
+  } else {
+    camera.aspect = aspect;
+  }
+  camera.updateProjectionMatrix();
+};
+
+/**
+ * Give one camera the pose, lens and orbit target of another
+ * @param {THREE.Camera} from - Camera to copy
+ * @param {THREE.Vector3} fromTarget - Orbit target of the camera to copy
+ * @param {THREE.Camera} to - Camera to move
+ * @param {THREE.Vector3} toTarget - Orbit target to move
+ */
+const copyView = (from, fromTarget, to, toTarget) => {
+  to.position.copy(from.position);
+  to.quaternion.copy(from.quaternion);
+  to.zoom = from.zoom;
+  to.near = from.near;
+  to.far = from.far;
+  if (from.isPerspectiveCamera) {
+    to.fov = from.fov;
+  } else {
+    to.top = from.top;
+    to.bottom = from.bottom;
+  }
+  to.updateProjectionMatrix();
+  toTarget.copy(fromTarget);
+};
+
+/**
+ * The two render targets of difference mode, sized to the canvas's drawing buffer
+ * @param {THREE.Vector2} size - Drawing buffer size in pixels
+ * @returns {THREE.WebGLRenderTarget[]} - [before, after]
+ *
+ * Tone mapping applies in render targets too, but their colors stay linear (the canvas converts to sRGB),
+ * so half float keeps the dark tones that 8 bits would band. The shader clamps to 0..1 as the canvas does,
+ * which only matters with tone mapping off.
+ */
+const getDifferenceTargets = (size) => {
+  if (!differenceTargets) {
+    differenceTargets = [0, 1].map(() => new THREE.WebGLRenderTarget(size.x, size.y, { type: THREE.HalfFloatType }));
+    differenceQuad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), new THREE.ShaderMaterial({
+      uniforms: {
+        tBefore: { value: differenceTargets[0].texture },
+        tAfter: { value: differenceTargets[1].texture },
+        uThreshold: differenceThreshold
+      },
+      vertexShader: FULLSCREEN_VERTEX_SHADER,
+      fragmentShader: DIFFERENCE_FRAGMENT_SHADER,
+      depthTest: false,
+      depthWrite: false,
+      toneMapped: false
+    }));
+    differenceQuad.frustumCulled = false;
+    differenceScene = new THREE.Scene();
+    differenceScene.add(differenceQuad);
+  }
+  differenceTargets.forEach((target) => {
+    if (target.width !== size.x || target.height !== size.y) {
+      target.setSize(size.x, size.y);
+    }
+  });
+  return differenceTargets;
+};
@@ -0,0 +1,242 @@
+import * as THREE from 'three'
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+
+// Resolution of each face of the (sharp) background cube map
+const BACKGROUND_CUBE_SIZE = 1024;
+
+let envRenderer = null;
+let envScene = null; // The viewer's scene that receives environment/background
+let pmremGenerator = null;
+
+// Scene rendered into the cube map: the built-in room, or a sphere textured with an HDR/EXR panorama
+let sourceScene = null;
+let sourceTexture = null; // Equirectangular texture of a loaded HDR/EXR (null for the room)
+
+// Cube camera capturing the (rotated) source, and the prefiltered environment made from it
+let cubeRenderTarget = null;
+let cubeCamera = null;
+let envRenderTarget = null;
+
+// Environment settings on page load (and after resetEnvironmentSettings)
+// backgroundMode: 'environment' (sharp), 'blurred' or 'color'
+const DEFAULT_SETTINGS = {
+  name: 'Neutral Studio',
+  intensity: 1,
+  rotation: 0, // Degrees around the Y axis
+  backgroundMode: 'color',
+  backgroundColor: '#ffffff',
+  blurriness: 0.5
+};
+
+// Current environment settings
+let settings = { ...DEFAULT_SETTINGS };
+
+/**
+ * Set up image-based lighting and load the bundled neutral environment
+ * @param {THREE.WebGLRenderer} renderer - Renderer used for prefiltering
+ * @param {THREE.Scene} scene - Scene whose environment and background are managed
+ */
+export const initEnvironment = (renderer, scene) => {
+  envRenderer = renderer;
+  envScene = scene;
+  pmremGenerator = new THREE.PMREMGenerator(renderer);
+
+  cubeRenderTarget = new THREE.WebGLCubeRenderTarget(BACKGROUND_CUBE_SIZE, { type: THREE.HalfFloatType });
+  cubeCamera = new THREE.CubeCamera(0.1, 100, cubeRenderTarget);
+
+  useNeutralEnvironment();
+};
+
+/**
+ * Switch to the bundled neutral studio environment (Three.js RoomEnvironment)
+ */
+export const useNeutralEnvironment = () => {
+  disposeSource();
+  sourceScene = new RoomEnvironment();
+  settings.name = 'Neutral Studio';
+  rebuildEnvironment();
+};
+
+/**
+ * Load an equirectangular .hdr or .exr file as the environment
+ * @param {File} file - The panorama chosen by the user
+ * @returns {Promise} - Resolves once the environment is in use
+ */
+export const loadEnvironmentFile = (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (extension !== 'hdr' && extension !== 'exr') {
+    return Promise.reject(new Error(`Unsupported environment format: .${extension} (use .hdr or .exr)`));
+  }
+
+  // The object URL has no extension, so the loader is chosen from the file name
+  const loader = extension === 'exr' ? new EXRLoader() : new RGBELoader();
+  const url = URL.createObjectURL(file);
+
+  return loader.loadAsync(url)
+    .then((texture) => {
+      useEquirectangularTexture(texture, file.name);
+    })
+    .finally(() => {
+      URL.revokeObjectURL(url);
+    });
+};
+
+/**
+ * Set how strongly the environment lights the model
+ * @param {number} intensity - envMapIntensity applied to the model's materials
+ * @param {THREE.Object3D} [root] - Loaded model to update
+ */
+export const setEnvironmentIntensity = (intensity, root) => {
+  settings.intensity = intensity;
+  envScene.backgroundIntensity = intensity;
+  if (root) {
+    applyEnvironmentIntensity(root);
+  }
+};
+
+/**
+ * Apply the current environment intensity to every material of a model
+ * Called after each model load since this Three.js version has no scene-wide environment intensity
+ * @param {THREE.Object3D} root - Loaded model
+ */
+export const applyEnvironmentIntensity = (root) => {
+  root.traverse((object) => {
+    if (!object.isMesh) return;
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.forEach((material) => {
+      if ('envMapIntensity' in material) {
+        material.envMapIntensity = settings.intensity;
+      }
+    });
+  });
+};
+
+/**
+ * Rotate the environment around the vertical axis
+ * @param {number} degrees - Rotation in degrees
+ */
+export const setEnvironmentRotation = (degrees) => {
+  settings.rotation = degrees;
+  rebuildEnvironment();
+};
+
+/**
+ * Choose what is drawn behind the model
+ * @param {string} mode - 'environment', 'blurred' or 'color'
+ */
+export const setBackgroundMode = (mode) => {
+  settings.backgroundMode = mode;
+  applyBackground();
+};
+
+/**
+ * Set the solid background color (used in 'color' mode)
+ * @param {string} color - '#rrggbb'
+ */
+export const setBackgroundColor = (color) => {
+  settings.backgroundColor = color;
+  applyBackground();
+};
+
+/**
+ * Set how blurred the background is in 'blurred' mode
+ * @param {number} blurriness - 0 (sharp) to 1 (fully blurred)
+ */
+export const setBackgroundBlurriness = (blurriness) => {
+  settings.blurriness = blurriness;
+  applyBackground();
+};
+
+/**
+ * Get the current environment settings
+ * @returns {Object} - { name, intensity, rotation, backgroundMode, backgroundColor, blurriness }
+ */
+export const getEnvironmentSettings = () => settings;
+
+/**
+ * Restore the neutral environment and the default intensity, rotation and background
+ * @param {THREE.Object3D} [root] - Loaded model to update
+ */
+export const resetEnvironmentSettings = (root) => {
+  settings = { ...DEFAULT_SETTINGS };
+  useNeutralEnvironment();
+  if (root) {
+    applyEnvironmentIntensity(root);
+  }
+};
+
+/**
+ * Use a loaded equirectangular texture as the environment source
+ * @param {THREE.Texture} texture - HDR/EXR panorama
+ * @param {string} name - Display name
+ */
+const useEquirectangularTexture = (texture, name) => {
+  disposeSource();
+
+  texture.mapping = THREE.EquirectangularReflectionMapping;
+  sourceTexture = texture;
+
+  // Inside-out sphere showing the panorama; z is mirrored so directions match equirectangular mapping
+  const sphere = new THREE.Mesh(
+    new THREE.SphereGeometry(1, 64, 32),
+    new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide, toneMapped: false })
+  );
+  sphere.scale.set(1, 1, -1);
+
+  sourceScene = new THREE.Scene();
+  sourceScene.add(sphere);
+  settings.name = name;
+  rebuildEnvironment();
+};
+
+/**
+ * Capture the rotated source into the cube map and prefilter it for image-based lighting
+ */
+const rebuildEnvironment = () => {
+  sourceScene.rotation.y = THREE.MathUtils.degToRad(settings.rotation);
+  sourceScene.updateMatrixWorld(true);
+  cubeCamera.update(envRenderer, sourceScene);
+
+  if (envRenderTarget) {
+    envRenderTarget.dispose();
+  }
+  envRenderTarget = pmremGenerator.fromCubemap(cubeRenderTarget.texture);
+
+  envScene.environment = envRenderTarget.texture;
+  applyBackground();
+};
+
+/**
+ * Update the scene background for the current mode
+ */
+const applyBackground = () => {
+  if (settings.backgroundMode === 'color') {
+    envScene.background = new THREE.Color(settings.backgroundColor);
+    envScene.backgroundBlurriness = 0;
+  } else {
+    envScene.background = cubeRenderTarget.texture;
+    envScene.backgroundBlurriness = settings.backgroundMode === 'blurred' ? settings.blurriness : 0;
+  }
+  envScene.backgroundIntensity = settings.intensity;
+};
+
+/**
+ * Free the GPU resources of the current environment source
+ */
+const disposeSource = () => {
+  if (sourceScene) {
+    sourceScene.traverse((object) => {
+      if (object.isMesh) {
+        object.geometry.dispose();
+        object.material.dispose();
+      }
+    });
+    sourceScene = null;
+  }
+  if (sourceTexture) {
+    sourceTexture.dispose();
+    sourceTexture = null;
+  }
+};
@@ -0,0 +1,78 @@
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+
+/**
+ * Export a model to glTF or GLB
+ * @param {THREE.Object3D} model - Root of the model to export
+ * @param {Object} options
+ * @param {string} options.format - 'gltf' (JSON with embedded buffers) or 'glb' (binary)
+ * @param {string} options.baseName - File name without extension
+ * @param {boolean} options.onlyVisible - Skip hidden nodes
+ * @param {THREE.AnimationClip[]} options.animations - Clips to include (empty for none)
+ * @param {boolean} options.embedImages - .gltf only: embed images as data URIs instead of separate files
+ * @returns {Promise<File[]>} - The exported file first, followed by any external image files
+ */
+export const exportModel = (model, options) => {
+  const exporter = new GLTFExporter();
+  const binary = options.format === 'glb';
+
+  return exporter.parseAsync(model, {
+    binary: binary,
+    onlyVisible: options.onlyVisible,
+    animations: options.animations
+  }).then((result) => {
+    // GLB always carries its images in the binary chunk
+    if (binary) {
+      return [new File([result], `${options.baseName}.glb`, { type: 'model/gltf-binary' })];
+    }
+
+    const imageFiles = options.embedImages ? [] : extractImages(result, options.baseName);
+    const json = JSON.stringify(result, null, 2);
+    return [new File([json], `${options.baseName}.gltf`, { type: 'model/gltf+json' }), ...imageFiles];
+  });
+};
+
+/**
+ * Save a file through the browser's download mechanism
+ * @param {File} file - File to save
+ */
+export const downloadFile = (file) => {
+  const url = URL.createObjectURL(file);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Move data-URI images out of a glTF JSON into separate files
+ * @param {Object} json - Exported glTF JSON (modified in place to reference the files)
+ * @param {string} baseName - Prefix for the image file names
+ * @returns {File[]} - The extracted image files
+ */
+const extractImages = (json, baseName) => {
+  if (!json.images) return [];
+
+  return json.images
+    .map((image, index) => {
+      const match = image.uri && image.uri.match(/^data:([^;]+);base64,(.*)$/);
+      if (!match) return null;
+
+      const mimeType = match[1];
+      const extension = mimeType === 'image/jpeg' ? 'jpg' : mimeType.split('/')[1];
+      const fileName = `${baseName}_image${index}.${extension}`;
+
+      const binaryString = atob(match[2]);
+      const bytes = new Uint8Array(binaryString.length);
+      for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+      }
+
+      image.uri = fileName;
+      return new File([bytes], fileName, { type: mimeType });
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,370 @@
+import * as THREE from 'three'
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { MeshoptSimplifier } from 'meshoptimizer/simplifier';
+import { getModelBounds } from './MeasureHelper.js';
+
+// Triangle ratios of the generated levels, from the most to the least detailed (the full mesh is level 0)
+export const LOD_RATIOS = [0.5, 0.25, 0.1];
+
+// Camera distance at which each generated level takes over, in multiples of the model's bounding sphere radius
+export const DEFAULT_LOD_DISTANCES = [2, 4, 8];
+
+// Remap value meshopt gives vertices that no triangle of a simplified level uses
+const UNUSED_VERTEX = 0xffffffff;
+
+// Wrapped meshes: { mesh, lod, parent, levels: [{ object, mesh, ratio, triangles, error }] } - level 0 holds the mesh itself
+let lodEntries = [];
+
+// Incremented by clearLODs() so a generation still in progress knows its model is gone
+let generation = 0;
+
+// Distances as multiples of the model radius, and the radius of the model they were generated for
+let lodDistances = [...DEFAULT_LOD_DISTANCES];
+let modelRadius = 1;
+
+/**
+ * Whether the simplifier can run in this browser (it needs WebAssembly)
+ * @returns {boolean}
+ */
+export const isLODSupported = () => MeshoptSimplifier.supported;
+
+/**
+ * Simplify every mesh of a model to the LOD_RATIOS and wrap it in a THREE.LOD with its levels
+ * @param {THREE.Object3D} model - Root of the loaded model
+ * @param {Object} [options]
+ * @param {Function} [options.getMaterial] - Returns a mesh's own material(s) for its levels - e.g. while a render mode replaces them
+ * @param {Function} [options.onProgress] - Called with (done, total) meshes after each mesh
+ * @returns {Promise<Object|null>} - getLODStats() once the model is wrapped, or null if clearLODs() was called meanwhile
+ *
+ * Meshes are simplified one at a time with a pause in between, so the page stays responsive on large models.
+ * Each level keeps only the vertices its triangles use, so its memory shrinks with it.
+ */
+export const generateLODs = async (model, options = {}) => {
+  const { getMaterial = (mesh) => mesh.material, onProgress } = options;
+  clearLODs();
+  const run = generation;
+  await MeshoptSimplifier.ready;
+
+  modelRadius = getModelBounds(model).getBoundingSphere(new THREE.Sphere()).radius || 1;
+
+  // Collect the meshes first - wrapping them changes the hierarchy
+  const meshes = [];
+  model.traverse((object) => {
+    if (object.isMesh && !object.isInstancedMesh && object.geometry.attributes.position) {
+      meshes.push(object);
+    }
+  });
+
+  const entries = [];
+  for (const mesh of meshes) {
+    if (run !== generation) break;
+    entries.push(createLODEntry(mesh, getMaterial(mesh)));
+    if (onProgress) {
+      onProgress(entries.length, meshes.length);
+    }
+    await new Promise((resolve) => setTimeout(resolve));
+  }
+
+  if (run !== generation) {
+    entries.forEach(disposeLevels);
+    return null;
+  }
+
+  lodEntries = entries;
+  wrapLODs();
+  setLODDistances(lodDistances);
+  return getLODStats();
+};
+
+/**
+ * Put the original meshes back in place of their LODs and free the generated levels
+ * Also cancels a generation in progress.
+ */
+export const clearLODs = () => {
+  generation++;
+  unwrapLODs();
+  lodEntries.forEach(disposeLevels);
+  lodEntries = [];
+};
+
+/**
+ * Whether the loaded model's meshes are wrapped in LODs
+ * @returns {boolean}
+ */
+export const hasLODs = () => lodEntries.length > 0;
+
+/**
+ * Take the LODs out of the model for a moment (e.g. to export the model as it was loaded)
+ * @returns {Function} - Puts them back
+ */
+export const suspendLODs = () => {
+  const entries = lodEntries;
+  unwrapLODs();
+  return () => {
+    if (entries === lodEntries) {
+      wrapLODs();
+    }
+  };
+};
+
+/**
+ * Set the camera distance at which each generated level takes over
+ * A level set closer than the one before it is skipped.
+ * @param {number[]} distances - One per LOD_RATIOS entry, in multiples of the model's bounding sphere radius
+ */
+export const setLODDistances = (distances) => {
+  lodDistances = [...distances];
+  lodEntries.forEach(({ lod }) => {
+    let previous = 0;
+    lod.levels.forEach((level, index) => {
+      if (index === 0) return;
+      previous = Math.max(previous, lodDistances[index - 1] * modelRadius);
+      level.distance = previous;
+    });
+  });
+};
+
+/**
+ * Triangle counts of each level and how many meshes are showing it
+ * @returns {Object|null} - { meshes, levels: [{ ratio, distance, triangles, error, active }] } (null without LODs)
+ *   error is the largest simplification error of the level, relative to the size of its meshes
+ */
+export const getLODStats = () => {
+  if (lodEntries.length === 0) return null;
+
+  const levels = [1, ...LOD_RATIOS].map((ratio, index) => ({
+    ratio: ratio,
+    distance: index === 0 ? 0 : lodEntries[0].lod.levels[index].distance,
+    triangles: 0,
+    error: 0,
+    active: 0
+  }));
+  lodEntries.forEach(({ lod, levels: entryLevels }) => {
+    entryLevels.forEach((level, index) => {
+      levels[index].triangles += level.triangles;
+      levels[index].error = Math.max(levels[index].error, level.error);
+    });
+    if (lod.parent) {
+      levels[lod.getCurrentLevel()].active++;
+    }
+  });
+  return { meshes: lodEntries.length, levels: levels };
+};
+
+/**
+ * Keep the generated levels on their (possibly animated or moved) meshes - call before rendering
+ */
+export const updateLODs = () => {
+  lodEntries.forEach(({ mesh, levels }) => {
+    levels.forEach((level) => {
+      if (level.mesh === mesh) return;
+      level.mesh.position.copy(mesh.position);
+      level.mesh.quaternion.copy(mesh.quaternion);
+      level.mesh.scale.copy(mesh.scale);
+    });
+  });
+};
+
+/**
+ * Simplify one mesh into its levels and build the LOD that will hold them
+ * @param {THREE.Mesh} mesh - Mesh of the loaded model
+ * @param {THREE.Material|THREE.Material[]} material - The mesh's own material(s), shared by its levels
+ * @returns {Object} - LOD entry (not yet in the model)
+ *
+ * The LOD sits at the center of the mesh, so the camera distance is measured from there rather than from
+ * its node's origin. Each level is wrapped in a group that moves it back, so the mesh keeps its own
+ * transform - animations and the transform gizmo keep working on it.
+ */
+const createLODEntry = (mesh, material) => {
+  const geometry = mesh.geometry;
+  if (!geometry.boundingSphere) {
+    geometry.computeBoundingSphere();
+  }
+  mesh.updateMatrix();
+  const center = geometry.boundingSphere.center.clone().applyMatrix4(mesh.matrix);
+
+  const lod = new THREE.LOD();
+  lod.name = `${mesh.name || 'Mesh'} LOD`;
+  lod.position.copy(center);
+
+  // The simplifier works on indexed triangles - a non-indexed geometry has its identical vertices merged first
+  const source = geometry.index ? geometry : mergeVertices(geometry);
+  const positions = readPositions(source.attributes.position);
+
+  const levels = [{ object: null, mesh: mesh, ratio: 1, triangles: countTriangles(geometry), error: 0 }];
+  LOD_RATIOS.forEach((ratio) => {
+    const { geometry: levelGeometry, error } = createLevelGeometry(source, positions, ratio);
+    const levelMesh = mesh.isSkinnedMesh ? new THREE.SkinnedMesh(levelGeometry, material) : new THREE.Mesh(levelGeometry, material);
+    levelMesh.name = `${mesh.name || 'Mesh'} ${Math.round(ratio * 100)}%`;
+    levelMesh.castShadow = mesh.castShadow;
+    levelMesh.receiveShadow = mesh.receiveShadow;
+    levelMesh.frustumCulled = mesh.frustumCulled;
+    levelMesh.renderOrder = mesh.renderOrder;
+    levelMesh.layers.mask = mesh.layers.mask;
+    if (mesh.isSkinnedMesh) {
+      levelMesh.bindMode = mesh.bindMode;
+      levelMesh.bind(mesh.skeleton, mesh.bindMatrix);
+    }
+    // Share the influences, so morph target animations drive every level
+    if (mesh.morphTargetInfluences) {
+      levelMesh.morphTargetInfluences = mesh.morphTargetInfluences;
+      levelMesh.morphTargetDictionary = mesh.morphTargetDictionary;
+    }
+    levels.push({ object: null, mesh: levelMesh, ratio: ratio, triangles: countTriangles(levelGeometry), error: error });
+  });
+  if (source !== geometry) {
+    source.dispose();
+  }
+
+  levels.forEach((level, index) => {
+    level.object = new THREE.Group();
+    level.object.name = `Level ${index} (${Math.round(level.ratio * 100)}%)`;
+    level.object.position.copy(center).negate();
+    if (level.mesh !== mesh) {
+      level.object.add(level.mesh);
+    }
+    lod.addLevel(level.object, 0);
+  });
+
+  return { mesh: mesh, lod: lod, parent: mesh.parent, levels: levels };
+};
+
+/**
+ * Simplify an indexed geometry to a share of its triangles
+ * @param {THREE.BufferGeometry} source - Indexed geometry of the mesh
+ * @param {Float32Array} positions - Its positions as xyz floats
+ * @param {number} ratio - Share of the triangles to keep (per material group)
+ * @returns {Object} - { geometry, error } with the error relative to the size of the mesh
+ */
+const createLevelGeometry = (source, positions, ratio) => {
+  const sourceIndex = source.index.array;
+  const ranges = source.groups.length > 0 ? source.groups : [{ start: 0, count: sourceIndex.length, materialIndex: 0 }];
+
+  let error = 0;
+  const parts = ranges.map(({ start, count, materialIndex }) => {
+    const indices = new Uint32Array(sourceIndex.subarray(start, Math.min(start + count, sourceIndex.length)));
+    const target = Math.max(3, Math.floor((indices.length * ratio) / 3) * 3);
+    // Permissive lets edges collapse across UV and normal seams - without it flat-shaded or heavily
+    // unwrapped meshes barely simplify. The error isn't capped, so every level gets close to its ratio.
+    const [simplified, partError] = indices.length > target
+      ? MeshoptSimplifier.simplify(indices, positions, 3, target, 1, ['Permissive'])
+      : [indices, 0];
+    error = Math.max(error, partError);
+    return { indices: simplified, materialIndex: materialIndex };
+  });
+
+  const index = new Uint32Array(parts.reduce((total, part) => total + part.indices.length, 0));
+  const geometry = new THREE.BufferGeometry();
+  let offset = 0;
+  parts.forEach((part) => {
+    index.set(part.indices, offset);
+    if (source.groups.length > 0) {
+      geometry.addGroup(offset, part.indices.length, part.materialIndex);
+    }
+    offset += part.indices.length;
+  });
+
+  // Keep only the vertices the simplified triangles use (renumbers the index in place)
+  const [remap, vertexCount] = index.length > 0 ? MeshoptSimplifier.compactMesh(index) : [new Uint32Array(0), 0];
+  Object.entries(source.attributes).forEach(([name, attribute]) => {
+    geometry.setAttribute(name, compactAttribute(attribute, remap, vertexCount));
+  });
+  Object.entries(source.morphAttributes).forEach(([name, attributes]) => {
+    geometry.morphAttributes[name] = attributes.map((attribute) => compactAttribute(attribute, remap, vertexCount));
+  });
+  geometry.morphTargetsRelative = source.morphTargetsRelative;
+  geometry.setIndex(new THREE.BufferAttribute(vertexCount > 65535 ? index : new Uint16Array(index), 1));
+  geometry.name = `${source.name || 'Geometry'} ${Math.round(ratio * 100)}%`;
+
+  return { geometry: geometry, error: error };
+};
+
+/**
+ * Copy the vertices a level keeps into a new attribute, in their new order
+ * @param {THREE.BufferAttribute|THREE.InterleavedBufferAttribute} attribute - Attribute of the full mesh
+ * @param {Uint32Array} remap - New index of each old vertex (UNUSED_VERTEX if dropped)
+ * @param {number} vertexCount - Vertices of the level
+ * @returns {THREE.BufferAttribute} - Same component type, so quantized attributes stay quantized
+ */
+const compactAttribute = (attribute, remap, vertexCount) => {
+  const itemSize = attribute.itemSize;
+  const interleaved = attribute.isInterleavedBufferAttribute;
+  const sourceArray = interleaved ? attribute.data.array : attribute.array;
+  const stride = interleaved ? attribute.data.stride : itemSize;
+  const offset = interleaved ? attribute.offset : 0;
+
+  const array = new sourceArray.constructor(vertexCount * itemSize);
+  remap.forEach((target, vertex) => {
+    if (target === UNUSED_VERTEX) return;
+    for (let i = 0; i < itemSize; i++) {
+      array[target * itemSize + i] = sourceArray[vertex * stride + offset + i];
+    }
+  });
+
+  const compacted = new THREE.BufferAttribute(array, itemSize, attribute.normalized);
+  compacted.name = attribute.name;
+  return compacted;
+};
+
+/**
+ * Read positions as plain floats, whatever their storage (interleaved or quantized)
+ * @param {THREE.BufferAttribute|THREE.InterleavedBufferAttribute} attribute - Position attribute
+ * @returns {Float32Array}
+ */
+const readPositions = (attribute) => {
+  const positions = new Float32Array(attribute.count * 3);
+  for (let i = 0; i < attribute.count; i++) {
+    positions[i * 3] = attribute.getX(i);
+    positions[i * 3 + 1] = attribute.getY(i);
+    positions[i * 3 + 2] = attribute.getZ(i);
+  }
+  return positions;
+};
+
+/**
+ * Count the triangles a geometry draws
+ * @param {THREE.BufferGeometry} geometry - Geometry to count
+ * @returns {number}
+ */
+const countTriangles = (geometry) => Math.floor((geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3);
+
+/**
+ * Swap each mesh for its LOD in the mesh's place among its siblings
+ */
+const wrapLODs = () => {
+  lodEntries.forEach(({ mesh, lod, parent, levels }) => {
+    if (lod.parent || mesh.parent !== parent) return;
+    const index = parent.children.indexOf(mesh);
+    levels[0].object.add(mesh);
+    parent.add(lod);
+    parent.children.splice(parent.children.indexOf(lod), 1);
+    parent.children.splice(index, 0, lod);
+  });
+};
+
+/**
+ * Put each mesh back in its LOD's place
+ */
+const unwrapLODs = () => {
+  lodEntries.forEach(({ mesh, lod, parent }) => {
+    if (!lod.parent) return;
+    const index = parent.children.indexOf(lod);
+    lod.removeFromParent();
+    parent.add(mesh);
+    parent.children.splice(parent.children.indexOf(mesh), 1);
+    parent.children.splice(index, 0, mesh);
+  });
+};
+
+/**
+ * Free the geometries of an entry's generated levels (the materials belong to the mesh)
+ * @param {Object} entry - LOD entry
+ */
+const disposeLevels = (entry) => {
+  entry.levels.forEach((level) => {
+    if (level.mesh !== entry.mesh) {
+      level.mesh.removeFromParent();
+      level.mesh.geometry.dispose();
+    }
+  });
+};
@@ -0,0 +1,390 @@
+import * as THREE from 'three'
+
+// Scene the light rig lives in (set by initLightRig)
+let rigScene = null;
+
+// All lights in the rig: { id, type, light, helper, shadowHelper }
+let lights = [];
+
+// Incrementing id so removed lights never share an id with new ones
+let nextLightId = 1;
+
+// Whether light helpers (and shadow camera helpers) are drawn
+let helpersVisible = true;
+
+// Light types that can be added to the rig
+export const LIGHT_TYPES = ['ambient', 'hemisphere', 'directional', 'point', 'spot'];
+
+// Lights that have a target to aim at
+const TARGETED_TYPES = ['directional', 'spot'];
+
+// Lights that can cast shadows
+const SHADOW_TYPES = ['directional', 'point', 'spot'];
+
+// Default settings for a newly added light of each type
+// Point and spot intensities are in candela (renderer.useLegacyLights = false), hence the larger values
+const LIGHT_DEFAULTS = {
+  ambient: { color: '#ffffff', intensity: 0.5 },
+  hemisphere: { color: '#ffffff', groundColor: '#444444', intensity: 1, position: [0, 10, 0] },
+  directional: { color: '#ffffff', intensity: 1, position: [5, 5, 5], target: [0, 0, 0] },
+  point: { color: '#ffffff', intensity: 20, position: [2, 3, 2], distance: 0, decay: 2 },
+  spot: { color: '#ffffff', intensity: 40, position: [3, 5, 3], target: [0, 0, 0], distance: 0, decay: 2, angle: Math.PI / 6, penumbra: 0.2 }
+};
+
+// Shadow settings of a newly added shadow-casting light (frustum is the directional half-extent)
+// near/far match the three.js shadow camera defaults
+const SHADOW_DEFAULTS = { mapSize: 1024, bias: -0.0005, near: 0.5, far: 500, frustum: 10 };
+
+// Shadow map resolutions offered in the light panel
+const SHADOW_MAP_SIZES = [512, 1024, 2048, 4096];
+
+// Rig restored by resetLightRig - matches the original ambient + directional setup
+const DEFAULT_RIG = [
+  { type: 'ambient' },
+  { type: 'directional' }
+];
+
+/**
+ * Attach the light rig to a scene and create the default lights
+ * @param {THREE.Scene} scene - The Three.js scene to light
+ */
+export const initLightRig = (scene) => {
+  rigScene = scene;
+  resetLightRig();
+};
+
+/**
+ * Remove every light and restore the default rig (ambient + directional)
+ */
+export const resetLightRig = () => {
+  [...lights].forEach((entry) => removeLight(entry.id));
+  DEFAULT_RIG.forEach((config) => addLight(config.type, config));
+};
+
+/**
+ * Create a light and add it (plus its helper) to the scene
+ * @param {string} type - One of LIGHT_TYPES
+ * @param {Object} [options] - Overrides for LIGHT_DEFAULTS[type]
+ * @returns {Object} - The rig entry { id, type, light, helper, shadowHelper }
+ */
+export const addLight = (type, options = {}) => {
+  const config = { ...LIGHT_DEFAULTS[type], ...options };
+  let light;
+
+  switch (type) {
+    case 'ambient':
+      light = new THREE.AmbientLight(config.color, config.intensity);
+      break;
+    case 'hemisphere':
+      light = new THREE.HemisphereLight(config.color, config.groundColor, config.intensity);
+      break;
+    case 'directional':
+      light = new THREE.DirectionalLight(config.color, config.intensity);
+      break;
+    case 'point':
+      light = new THREE.PointLight(config.color, config.intensity, config.distance, config.decay);
+      break;
+    case 'spot':
+      light = new THREE.SpotLight(config.color, config.intensity, config.distance, config.angle, config.penumbra, config.decay);
+      break;
+    default:
+      throw new Error(`Unknown light type: ${type}`);
+  }
+
+  if (config.position) {
+    light.position.fromArray(config.position);
+  }
+
+  // Targets must be in the scene graph so their world matrix is updated
+  if (TARGETED_TYPES.includes(type)) {
+    light.target.position.fromArray(config.target);
+    rigScene.add(light.target);
+  }
+
+  if (SHADOW_TYPES.includes(type)) {
+    light.castShadow = false;
+    light.shadow.mapSize.set(SHADOW_DEFAULTS.mapSize, SHADOW_DEFAULTS.mapSize);
+    light.shadow.bias = SHADOW_DEFAULTS.bias;
+    if (type === 'directional') {
+      setShadowFrustum(light, SHADOW_DEFAULTS.frustum);
+    }
+  }
+
+  rigScene.add(light);
+
+  const entry = {
+    id: nextLightId++,
+    type: type,
+    light: light,
+    helper: createLightHelper(light, type),
+    shadowHelper: null
+  };
+
+  if (entry.helper) {
+    entry.helper.visible = helpersVisible;
+    rigScene.add(entry.helper);
+  }
+
+  lights.push(entry);
+  return entry;
+};
+
+/**
+ * Remove a light, its target and helpers from the scene
+ * @param {number} id - Rig entry id
+ */
+export const removeLight = (id) => {
+  const entry = lights.find((item) => item.id === id);
+  if (!entry) return;
+
+  const { light } = entry;
+  rigScene.remove(light);
+  if (light.target) {
+    rigScene.remove(light.target);
+  }
+  [entry.helper, entry.shadowHelper].forEach((helper) => {
+    if (helper) {
+      rigScene.remove(helper);
+      helper.dispose();
+    }
+  });
+  if (light.shadow) {
+    light.shadow.dispose();
+  }
+  light.dispose();
+
+  lights = lights.filter((item) => item !== entry);
+};
+
+/**
+ * Describe the rig as plain settings, for saving and sharing the viewer state
+ * @returns {Object[]} - One config per light: addLight options plus { type, shadow }
+ */
+export const serializeLightRig = () => lights.map(({ type, light }) => {
+  const config = { type: type, color: '#' + light.color.getHexString(), intensity: light.intensity };
+  if (type !== 'ambient') {
+    config.position = light.position.toArray();
+  }
+  if (type === 'hemisphere') {
+    config.groundColor = '#' + light.groundColor.getHexString();
+  }
+  if (TARGETED_TYPES.includes(type)) {
+    config.target = light.target.position.toArray();
+  }
+  if (type === 'point' || type === 'spot') {
+    config.distance = light.distance;
+    config.decay = light.decay;
+  }
+  if (type === 'spot') {
+    config.angle = light.angle;
+    config.penumbra = light.penumbra;
+  }
+  if (SHADOW_TYPES.includes(type)) {
+    const shadowCamera = light.shadow.camera;
+    config.shadow = {
+      enabled: light.castShadow,
+      mapSize: light.shadow.mapSize.x,
+      bias: light.shadow.bias,
+      near: shadowCamera.near,
+      far: shadowCamera.far,
+      frustum: type === 'directional' ? shadowCamera.right : null
+    };
+  }
+  return config;
+});
+
+/**
+ * Replace the rig with lights described by serializeLightRig
+ * @param {Object[]} configs - Light configs; entries that are not objects or have an unknown type are skipped
+ */
+export const restoreLightRig = (configs) => {
+  [...lights].forEach((entry) => removeLight(entry.id));
+  (Array.isArray(configs) ? configs : [])
+    .map(sanitizeLightConfig)
+    .filter(Boolean)
+    .forEach((config) => {
+      const entry = addLight(config.type, config);
+      const { shadow } = config;
+      if (shadow) {
+        entry.light.castShadow = shadow.enabled;
+        setShadowMapSize(entry.light, shadow.mapSize);
+        entry.light.shadow.bias = shadow.bias;
+        setShadowCameraRange(entry.light, shadow.near, shadow.far);
+        if (config.type === 'directional') {
+          setShadowFrustum(entry.light, shadow.frustum);
+        }
+      }
+      updateLightHelpers(entry);
+    });
+};
+
+/**
+ * Check a saved light config field by field, since it may come from a hand-edited link
+ * @param {Object} config - A config from serializeLightRig
+ * @returns {Object|null} - addLight options plus { type, shadow }, with invalid fields left out
+ *   (so LIGHT_DEFAULTS / SHADOW_DEFAULTS apply), or null when the type is unknown
+ */
+const sanitizeLightConfig = (config) => {
+  if (!config || typeof config !== 'object' || !LIGHT_TYPES.includes(config.type)) {
+    return null;
+  }
+
+  const { type } = config;
+  const isNumber = (value, min = -Infinity, max = Infinity) => Number.isFinite(value) && value >= min && value <= max;
+  const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every((item) => Number.isFinite(item));
+  const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+  const clean = { type: type };
+
+  if (isColor(config.color)) clean.color = config.color;
+  if (isNumber(config.intensity, 0)) clean.intensity = config.intensity;
+  if (type !== 'ambient' && isVector(config.position)) clean.position = config.position;
+  if (type === 'hemisphere' && isColor(config.groundColor)) clean.groundColor = config.groundColor;
+  if (TARGETED_TYPES.includes(type) && isVector(config.target)) clean.target = config.target;
+  if (type === 'point' || type === 'spot') {
+    if (isNumber(config.distance, 0)) clean.distance = config.distance;
+    if (isNumber(config.decay, 0)) clean.decay = config.decay;
+  }
+  if (type === 'spot') {
+    if (isNumber(config.angle, 0, Math.PI / 2)) clean.angle = config.angle;
+    if (isNumber(config.penumbra, 0, 1)) clean.penumbra = config.penumbra;
+  }
+
+  const { shadow } = config;
+  if (SHADOW_TYPES.includes(type) && shadow && typeof shadow === 'object') {
+    const near = isNumber(shadow.near) && shadow.near > 0 ? shadow.near : SHADOW_DEFAULTS.near;
+    clean.shadow = {
+      enabled: shadow.enabled === true,
+      mapSize: SHADOW_MAP_SIZES.includes(shadow.mapSize) ? shadow.mapSize : SHADOW_DEFAULTS.mapSize,
+      bias: isNumber(shadow.bias) ? shadow.bias : SHADOW_DEFAULTS.bias,
+      near: near,
+      far: isNumber(shadow.far) && shadow.far > near ? shadow.far : Math.max(SHADOW_DEFAULTS.far, near * 2),
+      frustum: isNumber(shadow.frustum) && shadow.frustum > 0 ? shadow.frustum : SHADOW_DEFAULTS.frustum
+    };
+  }
+
+  return clean;
+};
+
+/**
+ * Get all lights in the rig
+ * @returns {Array} - Rig entries { id, type, light, helper, shadowHelper }
+ */
+export const getLights = () => lights;
+
+/**
+ * Whether a light type has a target / can cast shadows
+ */
+export const hasTarget = (type) => TARGETED_TYPES.includes(type);
+export const canCastShadow = (type) => SHADOW_TYPES.includes(type);
+
+/**
+ * Show or hide all light helpers
+ * @param {boolean} visible - Whether helpers are drawn
+ */
+export const setHelpersVisible = (visible) => {
+  helpersVisible = visible;
+  lights.forEach(updateLightHelpers);
+};
+
+/**
+ * Refresh a light's helpers after its position, target, cone or shadow camera changed
+ * @param {Object} entry - Rig entry
+ */
+export const updateLightHelpers = (entry) => {
+  const { light } = entry;
+  light.updateMatrixWorld();
+  if (light.target) {
+    light.target.updateMatrixWorld();
+  }
+
+  if (entry.helper) {
+    entry.helper.visible = helpersVisible;
+    entry.helper.update();
+  }
+
+  // Shadow camera frustum is only drawn for lights that actually cast shadows
+  if (light.castShadow && helpersVisible) {
+    if (!entry.shadowHelper) {
+      entry.shadowHelper = new THREE.CameraHelper(light.shadow.camera);
+      rigScene.add(entry.shadowHelper);
+    }
+    entry.shadowHelper.visible = true;
+    entry.shadowHelper.update();
+  } else if (entry.shadowHelper) {
+    entry.shadowHelper.visible = false;
+  }
+};
+
+/**
+ * Change the shadow map resolution of a light
+ * @param {THREE.Light} light - A shadow-casting light
+ * @param {number} size - Width and height of the shadow map in pixels
+ */
+export const setShadowMapSize = (light, size) => {
+  light.shadow.mapSize.set(size, size);
+  // The shadow map render target is only reallocated when it is missing
+  if (light.shadow.map) {
+    light.shadow.map.dispose();
+    light.shadow.map = null;
+  }
+};
+
+/**
+ * Set the half-extent of a directional light's orthographic shadow camera
+ * @param {THREE.DirectionalLight} light - The directional light
+ * @param {number} size - Frustum half-width/half-height in world units
+ */
+export const setShadowFrustum = (light, size) => {
+  const camera = light.shadow.camera;
+  camera.left = -size;
+  camera.right = size;
+  camera.top = size;
+  camera.bottom = -size;
+  camera.updateProjectionMatrix();
+};
+
+/**
+ * Set the near/far planes of a light's shadow camera
+ * @param {THREE.Light} light - A shadow-casting light
+ * @param {number} near - Near plane distance
+ * @param {number} far - Far plane distance
+ */
+export const setShadowCameraRange = (light, near, far) => {
+  light.shadow.camera.near = near;
+  light.shadow.camera.far = far;
+  light.shadow.camera.updateProjectionMatrix();
+};
+
+/**
+ * Let every mesh in a model cast and receive shadows
+ * @param {THREE.Object3D} root - Root object of the loaded model
+ */
+export const enableMeshShadows = (root) => {
+  root.traverse((object) => {
+    if (object.isMesh) {
+      object.castShadow = true;
+      object.receiveShadow = true;
+    }
+  });
+};
+
+/**
+ * Create the visual helper for a light
+ * @param {THREE.Light} light - The light
+ * @param {string} type - Light type
+ * @returns {THREE.Object3D|null} - Helper, or null for ambient lights (no position)
+ */
+const createLightHelper = (light, type) => {
+  switch (type) {
+    case 'hemisphere':
+      return new THREE.HemisphereLightHelper(light, 0.5);
+    case 'directional':
+      return new THREE.DirectionalLightHelper(light, 0.5);
+    case 'point':
+      return new THREE.PointLightHelper(light, 0.25);
+    case 'spot':
+      return new THREE.SpotLightHelper(light);
+    default:
+      return null;
+  }
+};
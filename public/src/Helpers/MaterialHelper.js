@@ -0,0 +1,171 @@
+import * as THREE from 'three'
+
+// Texture slots shown by the material inspector, in glTF terms
+// Metalness and roughness share one glTF texture, so roughnessMap is only listed when it differs
+export const TEXTURE_SLOTS = [
+  { key: 'map', label: 'Base Color' },
+  { key: 'normalMap', label: 'Normal' },
+  { key: 'metalnessMap', label: 'Metallic-Roughness' },
+  { key: 'roughnessMap', label: 'Roughness' },
+  { key: 'aoMap', label: 'Occlusion' },
+  { key: 'emissiveMap', label: 'Emissive' }
+];
+
+// glTF alpha modes
+export const ALPHA_MODES = ['OPAQUE', 'MASK', 'BLEND'];
+
+/**
+ * Gather everything the inspector shows about a material
+ * @param {THREE.Material} material - The material to describe
+ * @param {Object} [parser] - GLTFParser of the loaded model (for glTF indices and extensions)
+ * @returns {Object} - { name, type, textures, extensions, alphaMode, gltfIndex }
+ */
+export const describeMaterial = (material, parser) => {
+  const textures = [];
+  TEXTURE_SLOTS.forEach((slot) => {
+    const texture = material[slot.key];
+    if (!texture) return;
+    if (slot.key === 'roughnessMap' && texture === material.metalnessMap) return;
+
+    textures.push({
+      slot: slot.key,
+      label: slot.label,
+      texture: texture,
+      name: texture.name || (texture.image && texture.image.src ? texture.image.src.split('/').pop() : ''),
+      channel: texture.channel || 0, // UV set (glTF texCoord)
+      width: texture.image ? texture.image.width : 0,
+      height: texture.image ? texture.image.height : 0
+    });
+  });
+
+  const association = parser ? parser.associations.get(material) : null;
+  const gltfIndex = association && association.materials !== undefined ? association.materials : null;
+
+  return {
+    name: material.name || '(unnamed)',
+    type: material.type,
+    textures: textures,
+    extensions: getMaterialExtensions(material, parser, gltfIndex),
+    alphaMode: getAlphaMode(material),
+    gltfIndex: gltfIndex
+  };
+};
+
+/**
+ * Work out the glTF alpha mode a material currently behaves as
+ * @param {THREE.Material} material - The material
+ * @returns {string} - 'OPAQUE', 'MASK' or 'BLEND'
+ */
+export const getAlphaMode = (material) => {
+  if (material.transparent) return 'BLEND';
+  if (material.alphaTest > 0) return 'MASK';
+  return 'OPAQUE';
+};
+
+/**
+ * Switch a material to a glTF alpha mode (mirrors what GLTFLoader sets up)
+ * @param {THREE.Material} material - The material
+ * @param {string} mode - 'OPAQUE', 'MASK' or 'BLEND'
+ * @param {number} [cutoff=0.5] - Alpha cutoff used in MASK mode
+ */
+export const setAlphaMode = (material, mode, cutoff = 0.5) => {
+  material.transparent = mode === 'BLEND';
+  material.depthWrite = mode !== 'BLEND';
+  material.alphaTest = mode === 'MASK' ? cutoff : 0;
+  // Transparency and alpha test are compiled into the shader
+  material.needsUpdate = true;
+};
+
+/**
+ * Draw a texture into a small canvas for the inspector
+ * @param {THREE.Texture} texture - The texture
+ * @param {number} size - Thumbnail width and height in pixels
+ * @returns {HTMLCanvasElement|null} - The thumbnail, or null if the image can't be drawn (compressed/data textures)
+ */
+export const createTextureThumbnail = (texture, size) => {
+  const image = texture.image;
+  if (!image || !image.width || texture.isCompressedTexture || texture.isDataTexture) {
+    return null;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  try {
+    const context = canvas.getContext('2d');
+    // glTF images are stored top-down; the preview shows them as authored
+    context.drawImage(image, 0, 0, size, size);
+  } catch (error) {
+    return null;
+  }
+  return canvas;
+};
+
+/**
+ * Count the meshes in a model that use a material (edits affect all of them)
+ * @param {THREE.Material} material - The material
+ * @param {THREE.Object3D} root - Loaded model
+ * @param {Function} [getMaterial] - Returns a mesh's material(s) - e.g. its own while a render mode replaces them
+ * @returns {number}
+ */
+export const countMaterialUsers = (material, root, getMaterial = (mesh) => mesh.material) => {
+  let users = 0;
+  root.traverse((object) => {
+    if (!object.isMesh) return;
+    const meshMaterial = getMaterial(object);
+    const materials = Array.isArray(meshMaterial) ? meshMaterial : [meshMaterial];
+    if (materials.includes(material)) users++;
+  });
+  return users;
+};
+
+/**
+ * List the glTF extensions a material uses, including those on its texture references and textures
+ * @param {THREE.Material} material - The material
+ * @param {Object} [parser] - GLTFParser of the loaded model
+ * @param {number|null} gltfIndex - Index of the material in the glTF JSON
+ * @returns {string[]} - Extension names
+ */
+const getMaterialExtensions = (material, parser, gltfIndex) => {
+  const extensions = new Set();
+  if (!parser) return [];
+
+  // Extensions anywhere in the material definition (e.g. KHR_materials_*, KHR_texture_transform)
+  if (gltfIndex !== null) {
+    collectExtensionNames(parser.json.materials[gltfIndex], extensions);
+  }
+
+  // Extensions on the textures themselves (e.g. KHR_texture_basisu, EXT_texture_webp)
+  TEXTURE_SLOTS.forEach((slot) => {
+    const texture = material[slot.key];
+    const association = texture ? parser.associations.get(texture) : null;
+    if (association && association.textures !== undefined) {
+      collectExtensionNames(parser.json.textures[association.textures], extensions);
+    }
+  });
+
+  return [...extensions].sort();
+};
+
+/**
+ * Recursively collect the keys of every `extensions` object in a glTF JSON definition
+ * @param {Object} definition - Part of the glTF JSON
+ * @param {Set<string>} names - Collected extension names
+ */
+const collectExtensionNames = (definition, names) => {
+  if (!definition || typeof definition !== 'object') return;
+
+  Object.entries(definition).forEach(([key, value]) => {
+    if (key === 'extensions' && value && typeof value === 'object') {
+      Object.keys(value).forEach((name) => names.add(name));
+    }
+    collectExtensionNames(value, names);
+  });
+};
+
+/**
+ * Current material color values as '#rrggbb' for color inputs
+ * @param {THREE.Color} color - A material color
+ * @returns {string}
+ */
+export const colorToHex = (color) => '#' + color.getHexString(THREE.SRGBColorSpace);
@@ -0,0 +1,203 @@
+import * as THREE from 'three'
+import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+
+// Color of measurement lines, points and the bounds overlay
+const MEASURE_COLOR = 0xffcc00;
+
+// Group holding measurement lines, points and labels, and the bounds overlay (set by initMeasurements)
+let measureGroup = null;
+
+// First point of a measurement waiting for its second: { point, marker }
+let pendingPoint = null;
+
+// Finished measurements: { id, distance, objects }
+let measurements = [];
+
+// Incrementing id so removed measurements never share an id with new ones
+let nextMeasurementId = 1;
+
+// Box helper and dimension labels of the bounds overlay (null when hidden)
+let boundsOverlay = null;
+
+/**
+ * Create the group measurements are drawn in
+ * @param {THREE.Scene} scene - The viewer's scene
+ */
+export const initMeasurements = (scene) => {
+  measureGroup = new THREE.Group();
+  measureGroup.name = 'Measurements';
+  scene.add(measureGroup);
+};
+
+/**
+ * Axis-aligned bounding box of a model's meshes
+ * @param {THREE.Object3D} model - Root of the loaded model
+ * @returns {THREE.Box3} - World-space box (lights, cameras and helpers are ignored)
+ */
+export const getModelBounds = (model) => {
+  const box = new THREE.Box3();
+  // A freshly loaded model hasn't been rendered yet, so its world matrices are still out of date
+  model.updateWorldMatrix(true, true);
+  model.traverse((object) => {
+    if (object.isMesh) {
+      box.expandByObject(object);
+    }
+  });
+  return box;
+};
+
+/**
+ * Format a length in model units (glTF units are meters)
+ * @param {number} value - Length
+ * @returns {string}
+ */
+export const formatLength = (value) => `${value.toFixed(value < 10 ? 3 : 2)} m`;
+
+/**
+ * Add a clicked surface point - every second point completes a measurement
+ * @param {THREE.Vector3} point - World-space point on the model
+ * @returns {Object|null} - The finished measurement { id, distance }, or null for a first point
+ */
+export const addMeasurePoint = (point) => {
+  const marker = createPointMarker(point);
+  measureGroup.add(marker);
+
+  if (!pendingPoint) {
+    pendingPoint = { point: point.clone(), marker: marker };
+    return null;
+  }
+
+  const start = pendingPoint.point;
+  const distance = start.distanceTo(point);
+  const line = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([start, point]),
+    new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false })
+  );
+  line.renderOrder = 999; // Drawn over the model
+  const label = createLabel(formatLength(distance), 'measure-label');
+  label.position.lerpVectors(start, point, 0.5);
+  measureGroup.add(line, label);
+
+  const measurement = {
+    id: nextMeasurementId++,
+    distance: distance,
+    objects: [pendingPoint.marker, marker, line, label]
+  };
+  measurements.push(measurement);
+  pendingPoint = null;
+  return { id: measurement.id, distance: distance };
+};
+
+/**
+ * Whether the next point completes a measurement
+ * @returns {boolean}
+ */
+export const hasPendingPoint = () => Boolean(pendingPoint);
+
+/**
+ * Get the finished measurements
+ * @returns {Array} - { id, distance }
+ */
+export const getMeasurements = () => measurements.map(({ id, distance }) => ({ id, distance }));
+
+/**
+ * Remove one measurement
+ * @param {number} id - Measurement id
+ */
+export const removeMeasurement = (id) => {
+  const measurement = measurements.find((item) => item.id === id);
+  if (!measurement) return;
+  measurement.objects.forEach(disposeObject);
+  measurements = measurements.filter((item) => item !== measurement);
+};
+
+/**
+ * Remove all measurements, including a half-finished one
+ */
+export const clearMeasurements = () => {
+  measurements.forEach((measurement) => measurement.objects.forEach(disposeObject));
+  measurements = [];
+  if (pendingPoint) {
+    disposeObject(pendingPoint.marker);
+    pendingPoint = null;
+  }
+};
+
+/**
+ * Show the model's bounding box with its width, height and depth
+ * @param {THREE.Object3D} model - Root of the loaded model
+ * @returns {THREE.Vector3} - Size of the box (x = width, y = height, z = depth)
+ */
+export const showBoundsOverlay = (model) => {
+  hideBoundsOverlay();
+
+  const box = getModelBounds(model);
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3());
+  const helper = new THREE.Box3Helper(box, MEASURE_COLOR);
+
+  // Each label sits on the middle of an edge running along its axis
+  const labels = [
+    { text: `W ${formatLength(size.x)}`, position: [center.x, box.min.y, box.max.z] },
+    { text: `H ${formatLength(size.y)}`, position: [box.max.x, center.y, box.max.z] },
+    { text: `D ${formatLength(size.z)}`, position: [box.max.x, box.min.y, center.z] }
+  ].map(({ text, position }) => {
+    const label = createLabel(text, 'measure-label bounds-label');
+    label.position.fromArray(position);
+    return label;
+  });
+
+  measureGroup.add(helper, ...labels);
+  boundsOverlay = { helper: helper, labels: labels };
+  return size;
+};
+
+/**
+ * Remove the bounding box overlay
+ */
+export const hideBoundsOverlay = () => {
+  if (!boundsOverlay) return;
+  [boundsOverlay.helper, ...boundsOverlay.labels].forEach(disposeObject);
+  boundsOverlay = null;
+};
+
+/**
+ * Small dot marking a measured point - a fixed size on screen, drawn over the model
+ * @param {THREE.Vector3} point - World-space position
+ * @returns {THREE.Points}
+ */
+const createPointMarker = (point) => {
+  const marker = new THREE.Points(
+    new THREE.BufferGeometry().setFromPoints([point]),
+    new THREE.PointsMaterial({ color: MEASURE_COLOR, size: 8, sizeAttenuation: false, depthTest: false })
+  );
+  marker.renderOrder = 999;
+  return marker;
+};
+
+/**
+ * HTML label placed in the scene (drawn by the CSS2DRenderer)
+ * @param {string} text - Label text
+ * @param {string} className - CSS class of the label element
+ * @returns {CSS2DObject}
+ */
+const createLabel = (text, className) => {
+  const element = document.createElement('div');
+  element.className = className;
+  element.textContent = text;
+  return new CSS2DObject(element);
+};
+
+/**
+ * Remove a measurement object from the scene and free its GPU resources
+ * @param {THREE.Object3D} object - Line, point marker, box helper or label
+ */
+const disposeObject = (object) => {
+  object.removeFromParent(); // Labels remove their element from the page
+  if (object.geometry) {
+    object.geometry.dispose();
+  }
+  if (object.material) {
+    object.material.dispose();
+  }
+};
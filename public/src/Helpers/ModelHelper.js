@@ -1,114 +1,594 @@
 import * as THREE from 'three'
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
 
-// Track which format is currently loaded ('gltf' or 'glb')
-let currentFormat = 'gltf';
+// Compression extensions the loader can decode, with their display names
+export const COMPRESSION_EXTENSIONS = {
+  KHR_draco_mesh_compression: 'Draco',
+  EXT_meshopt_compression: 'Meshopt',
+  KHR_texture_basisu: 'KTX2'
+};
+
+// Decoders shared by every GLTFLoader - the wasm binaries are served by app.js under /decoders/
+const DECODERS_PATH = '/decoders/';
+let dracoLoader = null;
+let ktx2Loader = null;
+
+// Key in modelStats of the model currently in the scene
+let currentModelKey = null;
+
+// Statistics of every model loaded this session, keyed by source, in load order:
+// the URL of a catalog model, or 'local:' + the root file's path for user files -
+// so a dropped scene.gltf gets a row of its own next to the catalog's scene.gltf
+// A comparison model's key is 'compare:' + its URL, so it never takes the loaded model's row
+// Each entry: key, name (file name, shown as the label), format, loadTime (ms), fileSize and transferSize (KB), resources (per-file breakdown),
+// vertices, triangles, meshes,
+// compression (extension names), compressedSize and decodedSize (KB),
+// and the result of the last render benchmark (null until one has run)
+// Loading a model again replaces its entry
+const modelStats = new Map();
+
+/**
+ * Set up the Draco, meshopt and KTX2 decoders used for compressed models
+ * @param {THREE.WebGLRenderer} renderer - Used to detect which GPU texture formats KTX2 can transcode to
+ */
+export const initDecoders = (renderer) => {
+  dracoLoader = new DRACOLoader();
+  dracoLoader.setDecoderPath(DECODERS_PATH + 'draco/');
+
+  ktx2Loader = new KTX2Loader();
+  ktx2Loader.setTranscoderPath(DECODERS_PATH + 'basis/');
+  ktx2Loader.detectSupport(renderer);
+
+  // Keep Resource Timing entries for models with many buffers and textures (the default limit is 250)
+  if (performance.setResourceTimingBufferSize) {
+    performance.setResourceTimingBufferSize(2000);
+  }
+};
 
-// Performance tracking - when did loading start
-let loadStartTime = 0;
+/**
+ * Fetch the list of models available on the server
+ * @returns {Promise<Array>} - Catalog entries from /api/models:
+ *   { name, url, format, size, generator, version, extensionsUsed, extensionsRequired }
+ */
+export const fetchModelCatalog = () => {
+  return fetch('/api/models').then((response) => {
+    if (!response.ok) {
+      throw new Error(`Model catalog request failed (${response.status})`);
+    }
+    return response.json();
+  });
+};
 
-// Store statistics for both formats to enable comparison
-// Statistics include: loadTime, fileSize, vertices, triangles, meshes
-let modelStats = {
-  gltf: { loadTime: 0, fileSize: 0, vertices: 0, triangles: 0, meshes: 0 },
-  glb: { loadTime: 0, fileSize: 0, vertices: 0, triangles: 0, meshes: 0 }
+/**
+ * Listen for changes to the files in public/models, pushed by app.js over Server-Sent Events
+ * @param {Function} onChange - Called with { name, url, exists } for each model whose file, or a buffer or texture
+ *   it uses, was written (exists is false once the model was deleted)
+ * @returns {EventSource} - The connection - close() stops listening; it reconnects by itself after a server restart
+ */
+export const watchModelFiles = (onChange) => {
+  const events = new EventSource('/api/models/events');
+  events.addEventListener('model-changed', (event) => {
+    onChange(JSON.parse(event.data));
+  });
+  return events;
 };
 
 /**
  * Load a GLTF or GLB model and add it to the scene
  * @param {THREE.Scene} scene - The Three.js scene to add the model to
- * @param {string} format - Either 'gltf' or 'glb'
- * @returns {Promise} - Resolves with the loaded model and its statistics
+ * @param {string} scenePath - URL of the .gltf or .glb file (format is taken from the extension)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the load; the model then never reaches the scene
+ * @param {Function} [options.onProgress] - Called with { name, loaded, total, itemsLoaded, itemsTotal }
+ * @param {boolean} [options.current] - False loads a model alongside the one loaded before (e.g. a comparison model):
+ *   getCurrentStats() stays on that model, and the statistics get a row of their own ('compare:' + URL)
+ * @returns {Promise} - Resolves with the loaded model, its statistics and format;
+ *   rejects with an AbortError when cancelled, or an Error whose `url` is the file that failed
  * 
  * This function:
  * 1. Loads the model file using GLTFLoader
- * 2. Calculates performance metrics (load time, file size)
+ * 2. Calculates performance metrics (load time, per-resource transfer and file sizes)
  * 3. Analyzes model geometry (vertices, triangles, meshes)
- * 4. Stores statistics for comparison between formats
+ * 4. Stores statistics for comparison with other loaded models
  */
-export const LoadGLTFByPath = (scene, format = 'gltf') => {
-  currentFormat = format;
+export const LoadGLTFByPath = (scene, scenePath = '/public/models/scene.gltf', options = {}) => {
+  // Determine the format from the file extension
+  const format = scenePath.toLowerCase().endsWith('.glb') ? 'glb' : 'gltf';
+  const name = decodeURIComponent(scenePath.split('/').pop());
 
-  // Determine which file to load based on format
-  const scenePath = format === 'gltf' ? '/public/models/scene.gltf' : '/public/models/scene-2.glb';
+  // Sizes come from Resource Timing for every URL the manager sees requested
+  const manager = new THREE.LoadingManager();
+  return loadIntoScene(scene, createGLTFLoader(manager), scenePath, format, scenePath, name, new Map(), options);
+};
+
+/**
+ * Load a user-provided model from a set of local files and add it to the scene
+ * @param {THREE.Scene} scene - The Three.js scene to add the model to
+ * @param {FileList|File[]} files - A .glb, or a .gltf together with its .bin and texture files
+ * @param {Object} [options] - { signal, onProgress }, as for LoadGLTFByPath
+ * @returns {Promise} - Resolves with the loaded model, its statistics and detected format
+ * 
+ * Every file is exposed through an object URL, and a LoadingManager URL modifier
+ * redirects the loader's requests for sibling resources (buffers, textures) to them.
+ */
+export const LoadGLTFFromFiles = (scene, files, options = {}) => {
+  const fileList = Array.from(files);
+
+  // The root file is the first .gltf or .glb in the set
+  const rootFile = fileList.find((file) => /\.(gltf|glb)$/i.test(file.name));
+  if (!rootFile) {
+    return Promise.reject(new Error('No .gltf or .glb file found in the selected files'));
+  }
+
+  const format = rootFile.name.toLowerCase().endsWith('.glb') ? 'glb' : 'gltf';
+
+  // Map each file's relative path (and bare name as fallback) to an object URL,
+  // and each object URL back to its file for the resource breakdown
+  const objectURLs = new Map();
+  const localFiles = new Map();
+  fileList.forEach((file) => {
+    const blobURL = URL.createObjectURL(file);
+    localFiles.set(blobURL, file);
+    objectURLs.set(file.webkitRelativePath || file.name, blobURL);
+    if (!objectURLs.has(file.name)) {
+      objectURLs.set(file.name, blobURL);
+    }
+  });
+
+  // Resolve every request the loader makes against the dropped set
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier((url) => {
+    const normalized = decodeURI(url).replace(/^(\.?\/)+/, '');
+    const baseName = normalized.split('/').pop();
+    return objectURLs.get(normalized) || objectURLs.get(baseName) || url;
+  });
+
+  const rootPath = rootFile.webkitRelativePath || rootFile.name;
+
+  return loadIntoScene(scene, createGLTFLoader(manager), rootPath, format, `local:${rootPath}`, rootFile.name, localFiles, options)
+    .finally(() => {
+      // Release the object URLs once the loader no longer needs them
+      new Set(objectURLs.values()).forEach((blobURL) => URL.revokeObjectURL(blobURL));
+    });
+};
+
+/**
+ * Create a GLTFLoader with the compressed asset decoders attached
+ * @param {THREE.LoadingManager} manager - Manager of this load (tracks requests, may redirect them to local files)
+ * @returns {GLTFLoader}
+ */
+const createGLTFLoader = (manager) => {
+  const loader = new GLTFLoader(manager);
+  if (dracoLoader) loader.setDRACOLoader(dracoLoader);
+  if (ktx2Loader) {
+    // .ktx2 images are fetched by the KTX2Loader itself, so it has to use this load's manager too.
+    // Each load gets its own view of the shared loader with the manager swapped in, so loads running
+    // side by side keep their own requests while sharing one transcoder and worker pool
+    loader.setKTX2Loader(Object.create(ktx2Loader, {
+      manager: { value: manager },
+      init: { value: () => ktx2Loader.init() }
+    }));
+  }
+  loader.setMeshoptDecoder(MeshoptDecoder);
+  return loader;
+};
+
+/**
+ * Load a model with the given loader, gather its statistics and add it to the scene
+ * @param {THREE.Scene} scene - The Three.js scene to add the model to
+ * @param {GLTFLoader} loader - Loader to use (may carry a custom LoadingManager)
+ * @param {string} url - URL of the root .gltf/.glb file
+ * @param {string} format - Either 'gltf' or 'glb'
+ * @param {string} key - Statistics key of the model's source (see modelStats)
+ * @param {string} name - Display name of the model
+ * @param {Map<string, File>} localFiles - Object URL -> user file, for loads from local files (empty otherwise)
+ * @param {Object} options - { signal, onProgress, current }
+ * @returns {Promise} - Resolves with { gltf, stats, format }
+ * 
+ * This three.js version's FileLoader cannot abort a request, so a cancelled load keeps
+ * downloading in the background; its result is disposed of instead of being added to the scene.
+ */
+const loadIntoScene = (scene, loader, url, format, key, name, localFiles, options) => {
+  const { signal, onProgress, current = true } = options;
 
   return new Promise((resolve, reject) => {
-    // Record start time for performance measurement
-    loadStartTime = performance.now();
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
 
-    // Create a loader instance
-    const loader = new GLTFLoader();
+    // Record start time for performance measurement (per load - a comparison model may load alongside)
+    const startTime = performance.now();
 
-    // Load the GLTF/GLB file
-    loader.load(scenePath, (gltf) => {
-      // Calculate how long the load took
-      const loadTime = performance.now() - loadStartTime;
-
-      // Initialize counters for model statistics
-      let vertices = 0;
-      let triangles = 0;
-      let meshes = 0;
-
-      // Traverse the loaded model to gather geometry statistics
-      gltf.scene.traverse((object) => {
-        if (object.isMesh) {
-          meshes++; // Count number of mesh objects
-
-          if (object.geometry) {
-            // Count vertices from position attribute
-            const positionAttribute = object.geometry.attributes.position;
-            if (positionAttribute) {
-              vertices += positionAttribute.count;
-            }
+    // Progress reported to the caller: bytes of the root file, and files finished so far
+    const progress = { name: name, loaded: 0, total: 0, itemsLoaded: 0, itemsTotal: 0 };
+    const reportProgress = () => {
+      if (onProgress && !(signal && signal.aborted)) {
+        onProgress({ ...progress });
+      }
+    };
 
-            // Count triangles from index buffer or position count
-            if (object.geometry.index) {
-              // Indexed geometry: 3 indices per triangle
-              triangles += object.geometry.index.count / 3;
-            } else if (positionAttribute) {
-              // Non-indexed geometry: 3 vertices per triangle
-              triangles += positionAttribute.count / 3;
-            }
-          }
+    // Every file request (root, buffers, images) passes through the manager - remember the URLs
+    const requestedURLs = new Set();
+    loader.manager.onProgress = (itemURL, itemsLoaded, itemsTotal) => {
+      requestedURLs.add(itemURL);
+      progress.itemsLoaded = itemsLoaded;
+      progress.itemsTotal = itemsTotal;
+      reportProgress();
+    };
+
+    // The first file that failed, so the error names it rather than just the root file
+    let failedURL = null;
+    loader.manager.onError = (itemURL) => {
+      if (!failedURL) failedURL = itemURL;
+    };
+
+    // Settle right away on cancel - whatever the loader still delivers is discarded
+    const onAbort = () => reject(createAbortError());
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    // Load the GLTF/GLB file
+    loader.load(url, (gltf) => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+        if (signal.aborted) {
+          disposeModel(gltf.scene);
+          return;
         }
-      });
+      }
+
+      // Calculate how long the load took
+      const loadTime = performance.now() - startTime;
 
-      // Store statistics for this format
-      modelStats[format] = {
-        loadTime: loadTime.toFixed(2), // Round to 2 decimal places
-        vertices: vertices,
-        triangles: Math.floor(triangles), // Round down to integer
-        meshes: meshes
+      // Store statistics for this model, replacing those of an earlier load of it
+      // A model loaded alongside keeps out of the loaded model's row, even when it is the same file
+      const stats = {
+        key: current ? key : `compare:${key}`,
+        name: name,
+        format: format,
+        loadTime: roundTo2(loadTime),
+        ...collectResourceStats(gltf, requestedURLs, localFiles),
+        ...collectGeometryStats(gltf.scene),
+        ...collectCompressionStats(gltf),
+        benchmark: null // A previous run's render cost no longer applies
       };
+      modelStats.delete(stats.key);
+      modelStats.set(stats.key, stats);
+      if (current) {
+        currentModelKey = key;
+      }
 
       // Add the loaded model to the scene
       scene.add(gltf.scene);
 
       // Resolve promise with model and stats
-      resolve({ gltf, stats: modelStats[format] });
+      resolve({ gltf, stats, format });
     },
-      (progress) => {
-        // Progress callback - track file size during download
-        if (progress.total > 0) {
-          // Convert bytes to kilobytes
-          modelStats[format].fileSize = (progress.total / 1024).toFixed(2);
-        }
+      (event) => {
+        // Byte progress of the root file (total is 0 without a Content-Length)
+        progress.loaded = event.loaded;
+        progress.total = event.lengthComputable ? event.total : 0;
+        reportProgress();
       },
       (error) => {
-        // Error callback - reject promise if loading fails
-        reject(error);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+
+        // Error callback - reject promise if loading fails, naming the file and (for local files) its name
+        const failed = failedURL || url;
+        const localFile = localFiles.get(failed);
+        const loadError = new Error(error && error.message ? error.message : String(error), { cause: error });
+        loadError.url = localFile ? localFile.name : failed;
+        reject(loadError);
+      });
+  });
+};
+
+/**
+ * Error used to reject cancelled loads (same name as fetch's, so callers can check error.name)
+ * @returns {DOMException}
+ */
+const createAbortError = () => new DOMException('Model load cancelled', 'AbortError');
+
+/**
+ * Free the GPU resources of a model that is no longer needed
+ * @param {THREE.Object3D} root - Model to dispose of (geometries, materials and their textures, skeletons' bone textures)
+ */
+export const disposeModel = (root) => {
+  // Skinned meshes can share a skeleton, so each is disposed once
+  const skeletons = new Set();
+  root.traverse((object) => {
+    if (object.isSkinnedMesh) {
+      skeletons.add(object.skeleton);
+    }
+    if (object.geometry) {
+      object.geometry.dispose();
+    }
+    if (object.material) {
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach((material) => {
+        Object.values(material).forEach((value) => {
+          if (value && value.isTexture) {
+            value.dispose();
+            // ImageBitmaps hold decoded pixels until closed, even once the GPU copy is gone
+            if (typeof ImageBitmap !== 'undefined' && value.image instanceof ImageBitmap) {
+              value.image.close();
+            }
+          }
+        });
+        material.dispose();
       });
+    }
   });
+  skeletons.forEach((skeleton) => skeleton.dispose());
 };
 
 /**
- * Get statistics for both model formats
- * @returns {Object} - Object containing stats for both 'gltf' and 'glb' formats
+ * Account for every file a model pulled in, and the buffers and images embedded in them
+ * @param {Object} gltf - The loaded glTF (its parser holds the JSON)
+ * @param {Set<string>} requestedURLs - URLs the LoadingManager saw requested
+ * @param {Map<string, File>} localFiles - Object URL -> user file
+ * @returns {Object} - { fileSize, transferSize, resources } with the totals in KB
+ * 
+ * Each resource is { name, type, source, transferSize, decodedSize } with sizes in bytes:
+ * - source 'network' / 'cache': fetched from the server, sizes from Resource Timing
+ *   (transferSize includes headers and is ~0 from the HTTP cache; decodedSize is the size on disk)
+ * - source 'local': a user file, its size is known exactly and nothing is transferred
+ * - source 'embedded': a buffer or image stored inside another resource (GLB chunk, buffer view, data URI);
+ *   listed for the breakdown but not added to the totals, since its parent file already counts it
+ */
+const collectResourceStats = (gltf, requestedURLs, localFiles) => {
+  const json = gltf.parser.json;
+  const resources = [];
+
+  requestedURLs.forEach((url) => {
+    const localFile = localFiles.get(url);
+
+    // Embedded data is listed from the JSON below; other object URLs are images the loader unpacked from buffer views
+    if (url.startsWith('data:') || (url.startsWith('blob:') && !localFile)) return;
+    // Decoder binaries are fetched on first use but are not part of the model
+    if (url.includes(DECODERS_PATH)) return;
+
+    if (localFile) {
+      resources.push({ name: localFile.name, type: getResourceType(localFile.name), source: 'local', transferSize: 0, decodedSize: localFile.size });
+      return;
+    }
+
+    const name = decodeURIComponent(url.split(/[?#]/)[0].split('/').pop());
+    const timing = getResourceTiming(url);
+    resources.push({
+      name: name,
+      type: getResourceType(name),
+      source: timing && timing.transferSize === 0 && timing.decodedBodySize > 0 ? 'cache' : 'network',
+      // null when the browser reports no timing (e.g. cross-origin without Timing-Allow-Origin)
+      transferSize: timing ? timing.transferSize : null,
+      decodedSize: timing ? timing.decodedBodySize : null
+    });
+  });
+
+  (json.buffers || []).forEach((buffer, index) => {
+    if (buffer.uri && !buffer.uri.startsWith('data:')) return;
+    const name = buffer.uri ? `buffer ${index} (data URI)` : 'GLB binary chunk';
+    resources.push({ name: name, type: 'buffer', source: 'embedded', transferSize: 0, decodedSize: buffer.byteLength });
+  });
+
+  (json.images || []).forEach((image, index) => {
+    let decodedSize;
+    if (image.bufferView !== undefined) {
+      decodedSize = json.bufferViews[image.bufferView].byteLength;
+    } else if (image.uri && image.uri.startsWith('data:')) {
+      // Base64 payload: 4 characters per 3 bytes
+      const base64 = image.uri.slice(image.uri.indexOf(',') + 1);
+      decodedSize = Math.floor(base64.length * 3 / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+    } else {
+      return; // External image, already listed from the manager
+    }
+    resources.push({ name: image.name || `image ${index}`, type: 'image', source: 'embedded', transferSize: 0, decodedSize: decodedSize });
+  });
+
+  const downloaded = resources.filter((resource) => resource.source !== 'embedded');
+  const fileBytes = downloaded.reduce((sum, resource) => sum + (resource.decodedSize || 0), 0);
+  const transferBytes = downloaded.reduce((sum, resource) => sum + (resource.transferSize || 0), 0);
+
+  return {
+    fileSize: roundTo2(fileBytes / 1024),
+    transferSize: roundTo2(transferBytes / 1024),
+    resources: resources
+  };
+};
+
+/**
+ * Find the Resource Timing entry of a fetched URL
+ * @param {string} url - URL as requested by the loader
+ * @returns {PerformanceResourceTiming|null} - The most recent entry, or null if there is none
  */
-export const getModelStats = () => modelStats;
+const getResourceTiming = (url) => {
+  const entries = performance.getEntriesByName(new URL(url, document.baseURI).href, 'resource');
+  return entries.length > 0 ? entries[entries.length - 1] : null;
+};
 
 /**
- * Get the currently loaded format
- * @returns {string} - Either 'gltf' or 'glb'
+ * Classify a resource by its file extension
+ * @param {string} name - File name
+ * @returns {string} - 'model', 'buffer', 'image' or 'other'
  */
-export const getCurrentFormat = () => currentFormat;
+const getResourceType = (name) => {
+  const extension = name.split('.').pop().toLowerCase();
+  if (extension === 'gltf' || extension === 'glb') return 'model';
+  if (extension === 'bin') return 'buffer';
+  if (['png', 'jpg', 'jpeg', 'webp', 'avif', 'ktx2', 'gif'].includes(extension)) return 'image';
+  return 'other';
+};
+
+/**
+ * Count vertices, triangles and meshes in a loaded model
+ * @param {THREE.Object3D} root - Root object of the model
+ * @returns {Object} - { vertices, triangles, meshes }
+ */
+const collectGeometryStats = (root) => {
+  // Initialize counters for model statistics
+  let vertices = 0;
+  let triangles = 0;
+  let meshes = 0;
+
+  // Traverse the loaded model to gather geometry statistics
+  root.traverse((object) => {
+    if (object.isMesh) {
+      meshes++; // Count number of mesh objects
+
+      if (object.geometry) {
+        // Count vertices from position attribute
+        const positionAttribute = object.geometry.attributes.position;
+        if (positionAttribute) {
+          vertices += positionAttribute.count;
+        }
+
+        // Count triangles from index buffer or position count
+        if (object.geometry.index) {
+          // Indexed geometry: 3 indices per triangle
+          triangles += object.geometry.index.count / 3;
+        } else if (positionAttribute) {
+          // Non-indexed geometry: 3 vertices per triangle
+          triangles += positionAttribute.count / 3;
+        }
+      }
+    }
+  });
+
+  return {
+    vertices: vertices,
+    triangles: Math.floor(triangles), // Round down to integer
+    meshes: meshes
+  };
+};
+
+/**
+ * Work out which compression extensions a model uses and how much its data grows when decoded
+ * @param {Object} gltf - The loaded glTF (its parser holds the JSON)
+ * @returns {Object} - { compression, compressedSize, decodedSize } with sizes in KB
+ * 
+ * compressedSize is the binary data as stored: the buffers (including embedded images), minus
+ * meshopt fallback buffers, which are never downloaded. Images referenced by URI are not included.
+ * decodedSize is what the decoded geometry and textures occupy in memory.
+ */
+const collectCompressionStats = (gltf) => {
+  const json = gltf.parser.json;
+  const extensionsUsed = json.extensionsUsed || [];
+  const compression = extensionsUsed.filter((name) => name in COMPRESSION_EXTENSIONS);
+
+  // Stored size of the binary data; embedded images already live inside these buffers
+  const compressedBytes = (json.buffers || []).reduce((sum, buffer) => {
+    const meshopt = buffer.extensions && buffer.extensions.EXT_meshopt_compression;
+    return meshopt && meshopt.fallback ? sum : sum + buffer.byteLength;
+  }, 0);
+
+  // Decoded geometry and texture data in memory
+  const memory = measureMemory(gltf.scene);
+  const decodedBytes = memory.bufferBytes + memory.textureBytes;
+
+  return {
+    compression: compression,
+    // Only meaningful when something is compressed
+    compressedSize: compression.length > 0 ? roundTo2(compressedBytes / 1024) : 0,
+    decodedSize: roundTo2(decodedBytes / 1024)
+  };
+};
+
+/**
+ * Estimate how much memory an object's geometry and textures take once decoded and uploaded
+ * @param {THREE.Object3D} root - Model (or whole scene) to measure
+ * @returns {Object} - { bufferBytes, textureBytes } with shared buffers and textures counted once
+ */
+export const measureMemory = (root) => {
+  const arrays = new Set();
+  root.traverse((object) => {
+    if (!object.geometry) return;
+    const geometry = object.geometry;
+    Object.values(geometry.attributes).forEach((attribute) => {
+      arrays.add(attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array);
+    });
+    if (geometry.index) {
+      arrays.add(geometry.index.array);
+    }
+  });
+
+  let bufferBytes = 0;
+  arrays.forEach((array) => { bufferBytes += array.byteLength; });
+
+  let textureBytes = 0;
+  collectTextures(root).forEach((texture) => {
+    if (texture.isCompressedTexture) {
+      // Transcoded GPU data, every mip level included
+      textureBytes += texture.mipmaps.reduce((sum, mipmap) => sum + mipmap.data.byteLength, 0);
+    } else if (texture.image && texture.image.width) {
+      // RGBA8 once uploaded, plus a third for the generated mip chain
+      const levelBytes = texture.image.width * texture.image.height * 4;
+      textureBytes += texture.generateMipmaps ? Math.round(levelBytes * 4 / 3) : levelBytes;
+    }
+  });
+
+  return { bufferBytes, textureBytes };
+};
+
+/**
+ * Collect the unique textures used by a model's materials
+ * @param {THREE.Object3D} root - Root object of the model
+ * @returns {Set<THREE.Texture>}
+ */
+const collectTextures = (root) => {
+  const textures = new Set();
+  root.traverse((object) => {
+    if (!object.material) return;
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.forEach((material) => {
+      Object.values(material).forEach((value) => {
+        if (value && value.isTexture) textures.add(value);
+      });
+    });
+  });
+  return textures;
+};
+
+/**
+ * Round a measurement to 2 decimal places
+ * @param {number} value
+ * @returns {number}
+ */
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the statistics of every model loaded so far
+ * @returns {Object[]} - One stats entry per model, in load order
+ */
+export const getModelStats = () => [...modelStats.values()];
+
+/**
+ * Get the statistics of the model currently in the scene
+ * @returns {Object|null} - Its stats entry, or null before the first load
+ */
+export const getCurrentStats = () => modelStats.get(currentModelKey) || null;
+
+/**
+ * Remove a model from the comparison
+ * @param {string} key - Stats key of the model
+ */
+export const removeModelStats = (key) => {
+  modelStats.delete(key);
+};
+
+/**
+ * Record a render benchmark result for the currently loaded model
+ * @param {Object} result - Benchmark summary from PerformanceHelper
+ */
+export const setBenchmarkResult = (result) => {
+  const stats = getCurrentStats();
+  if (stats) {
+    stats.benchmark = result;
+  }
+};
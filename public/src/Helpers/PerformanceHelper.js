@@ -0,0 +1,327 @@
+import { measureMemory } from './ModelHelper.js';
+
+// Number of recent frames the live statistics are computed over
+const HISTORY_SIZE = 240;
+
+// Recent per-frame timings in milliseconds
+let frameIntervals = []; // Time between consecutive frames (what the user sees)
+let cpuTimes = []; // Time spent in the frame callback (updates + render submission)
+let gpuTimes = []; // GPU time of the render call (only with EXT_disjoint_timer_query_webgl2)
+
+let lastFrameTimestamp = 0;
+let frameStartTime = 0;
+
+// GPU timer queries - results arrive a few frames later, so queries are polled every frame
+let gl = null;
+let timerExtension = null;
+let activeQuery = null;
+let pendingQueries = [];
+
+// Running benchmark (null when idle): orbit parameters, the camera pose to restore and per-frame samples
+let benchmark = null;
+
+/**
+ * Set up GPU timing if the browser exposes timer queries
+ * @param {THREE.WebGLRenderer} renderer - The viewer's renderer
+ */
+export const initProfiler = (renderer) => {
+  gl = renderer.getContext();
+  timerExtension = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+};
+
+/**
+ * Whether GPU frame times are available
+ * @returns {boolean}
+ */
+export const hasGPUTiming = () => Boolean(timerExtension);
+
+/**
+ * Mark the start of a frame - call first thing in the animation loop
+ * @param {number} timestamp - requestAnimationFrame timestamp
+ */
+export const beginFrame = (timestamp) => {
+  if (lastFrameTimestamp > 0) {
+    pushSample(frameIntervals, timestamp - lastFrameTimestamp);
+  }
+  lastFrameTimestamp = timestamp;
+  frameStartTime = performance.now();
+
+  pollGPUQueries();
+
+  // Only one timer query may be active at a time
+  if (timerExtension && !activeQuery) {
+    activeQuery = gl.createQuery();
+    gl.beginQuery(timerExtension.TIME_ELAPSED_EXT, activeQuery);
+  }
+};
+
+/**
+ * Mark the end of a frame - call right after rendering
+ * @param {THREE.WebGLRenderer} renderer - Renderer whose info is sampled for the benchmark
+ */
+export const endFrame = (renderer) => {
+  const cpuTime = performance.now() - frameStartTime;
+  pushSample(cpuTimes, cpuTime);
+
+  if (activeQuery) {
+    gl.endQuery(timerExtension.TIME_ELAPSED_EXT);
+    pendingQueries.push(activeQuery);
+    activeQuery = null;
+  }
+
+  if (benchmark) {
+    recordBenchmarkFrame(renderer, cpuTime);
+  }
+};
+
+/**
+ * Gather the live performance numbers for the overlay
+ * @param {THREE.WebGLRenderer} renderer - The viewer's renderer
+ * @param {THREE.Scene} scene - Scene whose memory is estimated
+ * @returns {Object} - { fps, frameTime: { avg, p50, p95, p99 }, cpuTime, gpuTime,
+ *   drawCalls, triangles, geometries, textures, bufferMemory, textureMemory }
+ */
+export const getPerformanceSnapshot = (renderer, scene) => {
+  const frameTime = summarize(frameIntervals);
+  const memory = measureMemory(scene);
+
+  return {
+    fps: frameTime.avg > 0 ? 1000 / frameTime.avg : 0,
+    frameTime: frameTime,
+    cpuTime: summarize(cpuTimes).avg,
+    gpuTime: timerExtension ? summarize(gpuTimes).avg : null,
+    drawCalls: renderer.info.render.calls,
+    triangles: renderer.info.render.triangles,
+    geometries: renderer.info.memory.geometries,
+    textures: renderer.info.memory.textures,
+    bufferMemory: memory.bufferBytes,
+    textureMemory: memory.textureBytes
+  };
+};
+
+/**
+ * Collect the geometries and textures a model owns and watch for their disposal - call before disposing it
+ * @param {THREE.Object3D} root - The model about to be disposed
+ * @returns {Object} - Tracker for checkModelReleased()
+ * 
+ * The renderer frees a geometry or texture when it is disposed, so a resource still waiting for
+ * its 'dispose' event afterwards is still on the GPU. Only the model's own resources are tracked -
+ * shadow maps, environments or capture targets the viewer creates meanwhile don't count.
+ */
+export const trackModelResources = (root) => {
+  const tracker = { geometries: new Set(), textures: new Set(), pending: new Set() };
+  const track = (resources, resource) => {
+    if (resources.has(resource)) return;
+    resources.add(resource);
+    tracker.pending.add(resource);
+    const onDispose = () => {
+      tracker.pending.delete(resource);
+      resource.removeEventListener('dispose', onDispose);
+    };
+    resource.addEventListener('dispose', onDispose);
+  };
+
+  root.traverse((object) => {
+    if (object.geometry) {
+      track(tracker.geometries, object.geometry);
+    }
+    if (object.material) {
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach((material) => {
+        Object.values(material).forEach((value) => {
+          if (value && value.isTexture) {
+            track(tracker.textures, value);
+          }
+        });
+      });
+    }
+    // Bone matrices of a skinned mesh live in a texture of its skeleton (once it has been drawn)
+    if (object.isSkinnedMesh && object.skeleton.boneTexture) {
+      track(tracker.textures, object.skeleton.boneTexture);
+    }
+  });
+  return tracker;
+};
+
+/**
+ * Count the tracked resources that were not disposed - call right after disposing the model
+ * @param {Object} tracker - From trackModelResources()
+ * @returns {Object} - { geometries: { total, leaked }, textures: { total, leaked }, leaked }
+ */
+export const checkModelReleased = (tracker) => {
+  const countLeaked = (resources) => [...resources].filter((resource) => tracker.pending.has(resource)).length;
+  return {
+    geometries: { total: tracker.geometries.size, leaked: countLeaked(tracker.geometries) },
+    textures: { total: tracker.textures.size, leaked: countLeaked(tracker.textures) },
+    leaked: tracker.pending.size > 0
+  };
+};
+
+/**
+ * Run the fixed benchmark: one full camera orbit around the target over a set number of frames
+ * @param {THREE.Camera} camera - Camera to move (restored afterwards)
+ * @param {THREE.Vector3} target - Point to orbit around
+ * @param {number} frames - Number of frames the orbit takes
+ * @returns {Promise<Object>} - Resolves with { frames, fps, frameTime: { avg, p50, p95, p99 },
+ *   cpuTime, gpuTime, drawCalls, triangles } once the orbit is complete; rejects with an AbortError
+ *   if cancelBenchmark() stops it
+ */
+export const startBenchmark = (camera, target, frames) => {
+  if (benchmark) {
+    return Promise.reject(new Error('A benchmark is already running'));
+  }
+
+  // Orbit at the camera's current distance and height so the model fills the view the same way
+  const offset = camera.position.clone().sub(target);
+  const radius = Math.hypot(offset.x, offset.z) || offset.length();
+
+  return new Promise((resolve, reject) => {
+    benchmark = {
+      frames: frames,
+      frame: 0,
+      camera: camera,
+      target: target.clone(),
+      radius: radius,
+      height: offset.y,
+      startAngle: Math.atan2(offset.x, offset.z),
+      startPosition: camera.position.clone(),
+      startQuaternion: camera.quaternion.clone(),
+      intervals: [],
+      cpuTimes: [],
+      gpuTimes: [],
+      drawCalls: 0,
+      triangles: 0,
+      resolve: resolve,
+      reject: reject
+    };
+  });
+};
+
+/**
+ * Move the camera to this frame's point on the benchmark orbit - call before rendering
+ */
+export const updateBenchmark = () => {
+  if (!benchmark) return;
+
+  const angle = benchmark.startAngle + (benchmark.frame / benchmark.frames) * Math.PI * 2;
+  benchmark.camera.position.set(
+    benchmark.target.x + Math.sin(angle) * benchmark.radius,
+    benchmark.target.y + benchmark.height,
+    benchmark.target.z + Math.cos(angle) * benchmark.radius
+  );
+  benchmark.camera.lookAt(benchmark.target);
+};
+
+/**
+ * Whether the benchmark is driving the camera
+ * @returns {boolean}
+ */
+export const isBenchmarkRunning = () => Boolean(benchmark);
+
+/**
+ * Stop the running benchmark without a result, e.g. because the model or camera it measures is gone
+ */
+export const cancelBenchmark = () => {
+  if (!benchmark) return;
+  finishBenchmark().reject(new DOMException('Benchmark cancelled', 'AbortError'));
+};
+
+/**
+ * End the running benchmark and put the camera back where the user left it
+ * @returns {Object} - The finished run
+ */
+const finishBenchmark = () => {
+  const run = benchmark;
+  benchmark = null;
+  run.camera.position.copy(run.startPosition);
+  run.camera.quaternion.copy(run.startQuaternion);
+  return run;
+};
+
+/**
+ * Store one frame of benchmark timings and finish the run after the last frame
+ * @param {THREE.WebGLRenderer} renderer - Renderer whose info holds this frame's draw calls
+ * @param {number} cpuTime - CPU time of this frame in milliseconds
+ */
+const recordBenchmarkFrame = (renderer, cpuTime) => {
+  // The first frame's interval includes the time before the benchmark started
+  if (benchmark.frame > 0) {
+    benchmark.intervals.push(frameIntervals[frameIntervals.length - 1]);
+  }
+  benchmark.cpuTimes.push(cpuTime);
+  benchmark.drawCalls += renderer.info.render.calls;
+  benchmark.triangles += renderer.info.render.triangles;
+  benchmark.frame++;
+
+  if (benchmark.frame < benchmark.frames) return;
+
+  const run = finishBenchmark();
+  const frameTime = summarize(run.intervals);
+  run.resolve({
+    frames: run.frames,
+    fps: frameTime.avg > 0 ? 1000 / frameTime.avg : 0,
+    frameTime: frameTime,
+    cpuTime: summarize(run.cpuTimes).avg,
+    gpuTime: timerExtension && run.gpuTimes.length > 0 ? summarize(run.gpuTimes).avg : null,
+    drawCalls: Math.round(run.drawCalls / run.frames),
+    triangles: Math.round(run.triangles / run.frames)
+  });
+};
+
+/**
+ * Collect finished GPU timer queries
+ */
+const pollGPUQueries = () => {
+  if (!timerExtension || pendingQueries.length === 0) return;
+
+  // A disjoint event (e.g. GPU frequency change) invalidates every query in flight
+  const disjoint = gl.getParameter(timerExtension.GPU_DISJOINT_EXT);
+
+  while (pendingQueries.length > 0) {
+    const query = pendingQueries[0];
+    if (!gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) break;
+
+    if (!disjoint) {
+      const gpuTime = gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6; // Nanoseconds to milliseconds
+      pushSample(gpuTimes, gpuTime);
+      if (benchmark) {
+        benchmark.gpuTimes.push(gpuTime);
+      }
+    }
+    gl.deleteQuery(query);
+    pendingQueries.shift();
+  }
+};
+
+/**
+ * Append a sample to a history buffer, dropping the oldest beyond HISTORY_SIZE
+ * @param {number[]} history - Sample buffer
+ * @param {number} value - New sample
+ */
+const pushSample = (history, value) => {
+  history.push(value);
+  if (history.length > HISTORY_SIZE) {
+    history.shift();
+  }
+};
+
+/**
+ * Average and percentiles of a set of timings
+ * @param {number[]} samples - Timings in milliseconds
+ * @returns {Object} - { avg, p50, p95, p99 } (all 0 without samples)
+ */
+const summarize = (samples) => {
+  if (samples.length === 0) {
+    return { avg: 0, p50: 0, p95: 0, p99: 0 };
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+  return {
+    avg: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    p50: percentile(0.5),
+    p95: percentile(0.95),
+    p99: percentile(0.99)
+  };
+};
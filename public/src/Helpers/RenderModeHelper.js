@@ -0,0 +1,407 @@
+import * as THREE from 'three'
+import { VertexNormalsHelper } from 'three/examples/jsm/helpers/VertexNormalsHelper.js';
+import { VertexTangentsHelper } from 'three/examples/jsm/helpers/VertexTangentsHelper.js';
+import { getModelBounds } from './MeasureHelper.js';
+
+// Render modes offered by the debug view switcher
+export const RENDER_MODES = {
+  shaded: { label: 'Shaded', hint: 'The model\'s own materials' },
+  wireframe: { label: 'Wireframe Overlay', hint: 'Triangle edges drawn over the shaded model' },
+  normals: { label: 'Normals & Tangents', hint: 'Normals as colors, with vertex normal (cyan) and tangent (magenta) lines' },
+  uv: { label: 'UV Checker', hint: 'A labelled checker on the first UV set - stretching, seams and mirrored islands stand out' },
+  random: { label: 'Flat Random Colors', hint: 'One color per mesh, flat shaded so every triangle shows' },
+  depth: { label: 'Depth', hint: 'Distance from the camera across the model - white is nearest' },
+  overdraw: { label: 'Overdraw Heatmap', hint: 'Every layer of triangles adds up - the brighter, the more often a pixel is drawn' }
+};
+
+// Modes drawn on black, where the brightness of the model is what matters
+const DARK_BACKGROUND_MODES = ['depth', 'overdraw'];
+
+// Color of the wireframe overlay lines
+const WIREFRAME_COLOR = 0x00e5ff;
+
+// Light added per layer of triangles in the overdraw heatmap - about 10 layers reach full orange
+const OVERDRAW_COLOR = new THREE.Color(0.1, 0.05, 0.015);
+
+// Cells per side of the UV checker texture
+const CHECKER_CELLS = 8;
+
+/**
+ * Linear view-space depth between uDepthNear (white) and uDepthFar (black)
+ * The skinning and morph target chunks keep animated meshes in their current pose.
+ */
+const DEPTH_VERTEX_SHADER = /* glsl */`
+#include <common>
+#include <morphtarget_pars_vertex>
+#include <skinning_pars_vertex>
+
+varying float vViewDepth;
+
+void main() {
+	#include <skinbase_vertex>
+	#include <begin_vertex>
+	#include <morphtarget_vertex>
+	#include <skinning_vertex>
+	#include <project_vertex>
+	vViewDepth = - mvPosition.z;
+}
+`;
+
+const DEPTH_FRAGMENT_SHADER = /* glsl */`
+uniform float uDepthNear;
+uniform float uDepthFar;
+
+varying float vViewDepth;
+
+void main() {
+	float depth = clamp( ( vViewDepth - uDepthNear ) / ( uDepthFar - uDepthNear ), 0.0, 1.0 );
+	gl_FragColor = vec4( vec3( 1.0 - depth ), 1.0 );
+}
+`;
+
+let modeScene = null;
+let modeGroup = null; // Wireframe overlays and vertex helpers - kept out of the model, so the outliner and exports never see them
+
+let currentMode = 'shaded';
+let modeModel = null; // Model the current mode is applied to (null when none is loaded)
+let originalMaterials = new Map(); // Mesh -> its own material (or material array), put back when the mode ends
+let followers = []; // { mesh, object } overlays and helpers that follow their mesh every frame
+let modeMaterials = new Map(); // Debug materials of the current mode by name, disposed when the mode ends
+let checkerTexture = null;
+let modelBounds = null; // Bounding sphere of the model, for the depth range
+let darkBackground = null; // Black background of the dark background modes (null when not shown)
+let previousBackground = null; // Scene background it replaced
+
+/**
+ * Create the group overlays and helpers are drawn in
+ * @param {THREE.Scene} scene - The viewer's scene
+ */
+export const initRenderModes = (scene) => {
+  modeScene = scene;
+  modeGroup = new THREE.Group();
+  modeGroup.name = 'Render Mode';
+  scene.add(modeGroup);
+};
+
+/**
+ * Switch the render mode
+ * @param {string} mode - Key of RENDER_MODES
+ * @param {THREE.Object3D} [model] - Loaded model (the mode is applied once a model is loaded)
+ * @returns {Object} - What the mode found: { meshes, withoutUVs, withTangents }
+ */
+export const setRenderMode = (mode, model) => {
+  clearRenderMode();
+  currentMode = mode;
+  return model ? applyRenderMode(model) : { meshes: 0, withoutUVs: 0, withTangents: 0 };
+};
+
+/**
+ * Get the current render mode
+ * @returns {string} - Key of RENDER_MODES
+ */
+export const getRenderMode = () => currentMode;
+
+/**
+ * Apply the current render mode to a model
+ * The model's materials are swapped for debug materials and remembered, so clearRenderMode() can put them back.
+ * @param {THREE.Object3D} model - Root of the loaded model
+ * @returns {Object} - What the mode found: { meshes, withoutUVs, withTangents }
+ */
+export const applyRenderMode = (model) => {
+  const summary = { meshes: 0, withoutUVs: 0, withTangents: 0 };
+  modeModel = model;
+  if (currentMode === 'shaded') return summary;
+
+  const meshes = [];
+  model.traverse((object) => {
+    if (object.isMesh) {
+      meshes.push(object);
+    }
+  });
+
+  modelBounds = getModelBounds(model).getBoundingSphere(new THREE.Sphere());
+  const helperSize = Math.max(modelBounds.radius, 0.001) * 0.02;
+
+  meshes.forEach((mesh, index) => {
+    const geometry = mesh.geometry;
+    const side = getOriginalSide(mesh);
+    summary.meshes++;
+    if (!geometry.attributes.uv) summary.withoutUVs++;
+    if (geometry.attributes.tangent) summary.withTangents++;
+
+    switch (currentMode) {
+      case 'wireframe':
+        addFollower(mesh, createWireframeOverlay(mesh));
+        return;
+      case 'normals':
+        overrideMaterial(mesh, getModeMaterial(`normals-${side}`, () => new THREE.MeshNormalMaterial({ side: side })));
+        if (geometry.attributes.normal) {
+          addFollower(mesh, new VertexNormalsHelper(mesh, helperSize, 0x00ffff));
+        }
+        if (geometry.attributes.normal && geometry.attributes.tangent) {
+          addFollower(mesh, new VertexTangentsHelper(mesh, helperSize, 0xff00ff));
+        }
+        return;
+      case 'uv':
+        overrideMaterial(mesh, getModeMaterial(`uv-${side}`, () => new THREE.MeshBasicMaterial({
+          map: getCheckerTexture(), side: side, toneMapped: false
+        })));
+        return;
+      case 'random':
+        // The golden ratio spreads the hues of neighbouring meshes far apart
+        overrideMaterial(mesh, getModeMaterial(`random-${index}`, () => new THREE.MeshLambertMaterial({
+          color: new THREE.Color().setHSL((index * 0.618034) % 1, 0.65, 0.55),
+          flatShading: true,
+          side: side
+        })));
+        return;
+      case 'depth':
+        overrideMaterial(mesh, getModeMaterial(`depth-${side}`, () => new THREE.ShaderMaterial({
+          uniforms: { uDepthNear: { value: 0 }, uDepthFar: { value: 1 } },
+          vertexShader: DEPTH_VERTEX_SHADER,
+          fragmentShader: DEPTH_FRAGMENT_SHADER,
+          side: side
+        })));
+        return;
+      case 'overdraw':
+        // No depth test, so hidden layers count too
+        overrideMaterial(mesh, getModeMaterial(`overdraw-${side}`, () => new THREE.MeshBasicMaterial({
+          color: OVERDRAW_COLOR,
+          blending: THREE.AdditiveBlending,
+          transparent: true,
+          depthTest: false,
+          depthWrite: false,
+          side: side,
+          toneMapped: false
+        })));
+        return;
+    }
+  });
+
+  if (DARK_BACKGROUND_MODES.includes(currentMode)) {
+    previousBackground = modeScene.background;
+    darkBackground = new THREE.Color(0x000000);
+    modeScene.background = darkBackground;
+  }
+
+  return summary;
+};
+
+/**
+ * Put the model's own materials back and remove the mode's overlays and helpers
+ * The render mode itself is kept, so applyRenderMode() can apply it to the next model.
+ */
+export const clearRenderMode = () => {
+  originalMaterials.forEach((material, mesh) => {
+    mesh.material = material;
+  });
+  originalMaterials = new Map();
+
+  followers.forEach(({ object }) => {
+    object.removeFromParent();
+    // Overlays share their mesh's geometry, helpers have their own
+    if (object.isLineSegments) {
+      object.geometry.dispose();
+      object.material.dispose();
+    }
+  });
+  followers = [];
+
+  modeMaterials.forEach((material) => material.dispose());
+  modeMaterials = new Map();
+  if (checkerTexture) {
+    checkerTexture.dispose();
+    checkerTexture = null;
+  }
+
+  // Leave a background chosen in the environment panel in the meantime alone
+  if (darkBackground && modeScene.background === darkBackground) {
+    modeScene.background = previousBackground;
+  }
+  darkBackground = null;
+  previousBackground = null;
+  modelBounds = null;
+  modeModel = null;
+};
+
+/**
+ * Put the model's own materials back for a while, e.g. to export it
+ * @returns {Function} - Call with the loaded model to apply the render mode again (skipped if another model was loaded)
+ */
+export const suspendRenderMode = () => {
+  const model = modeModel;
+  const mode = currentMode;
+  clearRenderMode();
+  return (loadedModel) => {
+    if (model && model === loadedModel && mode === currentMode) {
+      applyRenderMode(model);
+    }
+  };
+};
+
+/**
+ * Get a mesh's own material, even while a render mode has replaced it
+ * @param {THREE.Mesh} mesh - Mesh of the loaded model
+ * @returns {THREE.Material|THREE.Material[]}
+ */
+export const getOriginalMaterial = (mesh) => originalMaterials.has(mesh) ? originalMaterials.get(mesh) : mesh.material;
+
+/**
+ * Keep overlays and helpers on their (possibly animated) meshes and fit the depth range - call before rendering
+ * @param {THREE.Camera} camera - Camera being rendered
+ */
+export const updateRenderMode = (camera) => {
+  if (followers.length > 0) {
+    modeModel.updateWorldMatrix(true, true);
+  }
+  followers.forEach(({ mesh, object }) => {
+    object.visible = isShown(mesh);
+    if (object.isLineSegments) {
+      object.update();
+      return;
+    }
+    object.matrixWorld.copy(mesh.matrixWorld);
+    if (mesh.isSkinnedMesh) {
+      object.bindMatrix.copy(mesh.bindMatrix);
+      object.bindMatrixInverse.copy(mesh.bindMatrixInverse);
+    }
+  });
+
+  // Depth runs from the nearest to the farthest point of the model's bounding sphere
+  if (currentMode === 'depth' && modelBounds) {
+    const distance = camera.position.distanceTo(modelBounds.center);
+    const near = Math.max(0, distance - modelBounds.radius);
+    const far = distance + modelBounds.radius;
+    modeMaterials.forEach((material) => {
+      material.uniforms.uDepthNear.value = near;
+      material.uniforms.uDepthFar.value = far;
+    });
+  }
+};
+
+/**
+ * Swap a mesh's material for a debug material, remembering its own
+ * @param {THREE.Mesh} mesh - Mesh of the loaded model
+ * @param {THREE.Material} material - Debug material (one material covers every group of a multi-material mesh)
+ */
+const overrideMaterial = (mesh, material) => {
+  originalMaterials.set(mesh, mesh.material);
+  mesh.material = material;
+};
+
+/**
+ * Get a debug material of the current mode, creating it the first time
+ * @param {string} key - Name of the material within the mode
+ * @param {Function} create - Creates the material
+ * @returns {THREE.Material}
+ */
+const getModeMaterial = (key, create) => {
+  if (!modeMaterials.has(key)) {
+    modeMaterials.set(key, create());
+  }
+  return modeMaterials.get(key);
+};
+
+/**
+ * Side a mesh's own material renders, so double-sided surfaces stay visible from behind
+ * @param {THREE.Mesh} mesh - Mesh of the loaded model
+ * @returns {number} - THREE.FrontSide, THREE.BackSide or THREE.DoubleSide
+ */
+const getOriginalSide = (mesh) => {
+  const material = getOriginalMaterial(mesh);
+  return Array.isArray(material) ? material[0].side : material.side;
+};
+
+/**
+ * Add an overlay or helper that follows a mesh
+ * @param {THREE.Mesh} mesh - Mesh of the loaded model
+ * @param {THREE.Object3D} object - Overlay or helper
+ */
+const addFollower = (mesh, object) => {
+  object.raycast = () => {}; // Canvas picking only ever hits the model
+  modeGroup.add(object);
+  followers.push({ mesh: mesh, object: object });
+};
+
+/**
+ * Whether a mesh is drawn - it and all of its ancestors are visible
+ * @param {THREE.Object3D} object - Mesh of the loaded model
+ * @returns {boolean}
+ */
+const isShown = (object) => {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  return true;
+};
+
+/**
+ * Wireframe copy of a mesh, drawn on top of it
+ * It shares the mesh's geometry, skeleton and morph target weights, so it deforms with it.
+ * @param {THREE.Mesh} mesh - Mesh of the loaded model
+ * @returns {THREE.Mesh}
+ */
+const createWireframeOverlay = (mesh) => {
+  const material = getModeMaterial('wireframe', () => new THREE.MeshBasicMaterial({
+    color: WIREFRAME_COLOR,
+    wireframe: true,
+    transparent: true,
+    opacity: 0.6,
+    toneMapped: false
+  }));
+
+  let overlay;
+  if (mesh.isSkinnedMesh) {
+    overlay = new THREE.SkinnedMesh(mesh.geometry, material);
+    overlay.bind(mesh.skeleton, mesh.bindMatrix);
+  } else {
+    overlay = new THREE.Mesh(mesh.geometry, material);
+  }
+  overlay.morphTargetInfluences = mesh.morphTargetInfluences;
+  overlay.morphTargetDictionary = mesh.morphTargetDictionary;
+
+  // The world matrix is copied from the mesh every frame
+  overlay.matrixAutoUpdate = false;
+  overlay.matrixWorldAutoUpdate = false;
+  overlay.frustumCulled = mesh.frustumCulled;
+  overlay.renderOrder = 1; // After the opaque model
+  return overlay;
+};
+
+/**
+ * Checker texture for the UV checker mode - colored, labelled cells show orientation and stretching
+ * @returns {THREE.CanvasTexture}
+ */
+const getCheckerTexture = () => {
+  if (checkerTexture) return checkerTexture;
+
+  const size = 512;
+  const cell = size / CHECKER_CELLS;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  context.font = `bold ${cell * 0.3}px sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+
+  // Columns are lettered and rows numbered from the UV origin - the image's top-left corner in glTF
+  for (let row = 0; row < CHECKER_CELLS; row++) {
+    for (let column = 0; column < CHECKER_CELLS; column++) {
+      const dark = (row + column) % 2 === 0;
+      const hue = Math.round((column / CHECKER_CELLS) * 360);
+      context.fillStyle = `hsl(${hue}, 70%, ${dark ? 35 : 75}%)`;
+      context.fillRect(column * cell, row * cell, cell, cell);
+      context.fillStyle = dark ? '#fff' : '#000';
+      context.fillText(`${String.fromCharCode(65 + column)}${row + 1}`, (column + 0.5) * cell, (row + 0.5) * cell);
+    }
+  }
+
+  checkerTexture = new THREE.CanvasTexture(canvas);
+  checkerTexture.colorSpace = THREE.SRGBColorSpace;
+  checkerTexture.wrapS = THREE.RepeatWrapping;
+  checkerTexture.wrapT = THREE.RepeatWrapping;
+  checkerTexture.anisotropy = 4;
+  checkerTexture.flipY = false; // Like GLTFLoader's textures
+  return checkerTexture;
+};
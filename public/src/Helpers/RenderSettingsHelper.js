@@ -0,0 +1,163 @@
+import * as THREE from 'three'
+
+// Tone mapping operators offered in the render settings panel
+// AgX is not built into this Three.js version, so it runs through CustomToneMapping (see below)
+export const TONE_MAPPING_OPTIONS = {
+  none: { label: 'None', value: THREE.NoToneMapping },
+  linear: { label: 'Linear', value: THREE.LinearToneMapping },
+  reinhard: { label: 'Reinhard', value: THREE.ReinhardToneMapping },
+  cineon: { label: 'Cineon', value: THREE.CineonToneMapping },
+  aces: { label: 'ACES Filmic', value: THREE.ACESFilmicToneMapping },
+  agx: { label: 'AgX', value: THREE.CustomToneMapping }
+};
+
+// Output color spaces offered in the render settings panel
+export const OUTPUT_COLOR_SPACE_OPTIONS = {
+  srgb: { label: 'sRGB', value: THREE.SRGBColorSpace },
+  linear: { label: 'Linear sRGB', value: THREE.LinearSRGBColorSpace }
+};
+
+// Default render settings - match the threejs.org/editor defaults the viewer started with
+const DEFAULT_SETTINGS = {
+  toneMapping: 'none',
+  exposure: 1,
+  outputColorSpace: 'srgb',
+  physicallyCorrectLights: true
+};
+
+let settingsRenderer = null;
+let settingsScene = null;
+let settings = { ...DEFAULT_SETTINGS };
+
+/**
+ * AgX tone mapping (Blender's default view transform), after the Filament implementation
+ * https://github.com/google/filament/pull/7236
+ * Inputs and outputs are Linear-sRGB; `toneMappingExposure` is the renderer's exposure uniform.
+ */
+const AGX_TONE_MAPPING_GLSL = /* glsl */`
+const mat3 LINEAR_REC2020_TO_LINEAR_SRGB = mat3(
+	vec3( 1.6605, - 0.1246, - 0.0182 ),
+	vec3( - 0.5876, 1.1329, - 0.1006 ),
+	vec3( - 0.0728, - 0.0083, 1.1187 )
+);
+
+const mat3 LINEAR_SRGB_TO_LINEAR_REC2020 = mat3(
+	vec3( 0.6274, 0.0691, 0.0164 ),
+	vec3( 0.3293, 0.9195, 0.0880 ),
+	vec3( 0.0433, 0.0113, 0.8956 )
+);
+
+vec3 agxDefaultContrastApprox( vec3 x ) {
+	vec3 x2 = x * x;
+	vec3 x4 = x2 * x2;
+	return + 15.5 * x4 * x2
+		- 40.14 * x4 * x
+		+ 31.96 * x4
+		- 6.868 * x2 * x
+		+ 0.4298 * x2
+		+ 0.1191 * x
+		- 0.00232;
+}
+
+vec3 CustomToneMapping( vec3 color ) {
+	const mat3 AgXInsetMatrix = mat3(
+		vec3( 0.856627153315983, 0.137318972929847, 0.11189821299995 ),
+		vec3( 0.0951212405381588, 0.761241990602591, 0.0767994186031903 ),
+		vec3( 0.0482516061458583, 0.101439036467562, 0.811302368396859 )
+	);
+	const mat3 AgXOutsetMatrix = mat3(
+		vec3( 1.1271005818144368, - 0.1413297634984383, - 0.14132976349843826 ),
+		vec3( - 0.11060664309660323, 1.157823702216272, - 0.11060664309660294 ),
+		vec3( - 0.016493938717834573, - 0.016493938717834257, 1.2519364065950405 )
+	);
+	const float AgxMinEv = - 12.47393;
+	const float AgxMaxEv = 4.026069;
+
+	color *= toneMappingExposure;
+	color = LINEAR_SRGB_TO_LINEAR_REC2020 * color;
+	color = AgXInsetMatrix * color;
+
+	// Log2 encoding
+	color = max( color, 1e-10 );
+	color = log2( color );
+	color = ( color - AgxMinEv ) / ( AgxMaxEv - AgxMinEv );
+	color = clamp( color, 0.0, 1.0 );
+
+	// Sigmoid
+	color = agxDefaultContrastApprox( color );
+
+	color = AgXOutsetMatrix * color;
+
+	// Linearize
+	color = pow( max( vec3( 0.0 ), color ), vec3( 2.2 ) );
+	color = LINEAR_REC2020_TO_LINEAR_SRGB * color;
+
+	return clamp( color, 0.0, 1.0 );
+}
+`;
+
+/**
+ * Install the AgX operator and apply the default render settings
+ * @param {THREE.WebGLRenderer} renderer - The viewer's renderer
+ * @param {THREE.Scene} scene - The viewer's scene (its materials are recompiled when lighting mode changes)
+ */
+export const initRenderSettings = (renderer, scene) => {
+  settingsRenderer = renderer;
+  settingsScene = scene;
+
+  // Replace the pass-through CustomToneMapping with AgX
+  THREE.ShaderChunk.tonemapping_pars_fragment = THREE.ShaderChunk.tonemapping_pars_fragment.replace(
+    'vec3 CustomToneMapping( vec3 color ) { return color; }',
+    AGX_TONE_MAPPING_GLSL
+  );
+
+  applyRenderSettings(DEFAULT_SETTINGS);
+};
+
+/**
+ * Apply render settings to the renderer
+ * @param {Object} changes - Any of { toneMapping, exposure, outputColorSpace, physicallyCorrectLights }
+ *   toneMapping and outputColorSpace are keys of TONE_MAPPING_OPTIONS / OUTPUT_COLOR_SPACE_OPTIONS
+ */
+export const applyRenderSettings = (changes) => {
+  const lightingModeChanged = 'physicallyCorrectLights' in changes &&
+    changes.physicallyCorrectLights !== !settingsRenderer.useLegacyLights;
+
+  settings = { ...settings, ...changes };
+
+  settingsRenderer.toneMapping = TONE_MAPPING_OPTIONS[settings.toneMapping].value;
+  settingsRenderer.toneMappingExposure = settings.exposure;
+  settingsRenderer.outputColorSpace = OUTPUT_COLOR_SPACE_OPTIONS[settings.outputColorSpace].value;
+  settingsRenderer.useLegacyLights = !settings.physicallyCorrectLights;
+
+  // Tone mapping and color space changes recompile shaders by themselves, the lighting mode does not
+  if (lightingModeChanged) {
+    settingsScene.traverse((object) => {
+      if (!object.material) return;
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach((material) => { material.needsUpdate = true; });
+    });
+  }
+};
+
+/**
+ * Restore the default render settings
+ */
+export const resetRenderSettings = () => applyRenderSettings(DEFAULT_SETTINGS);
+
+/**
+ * Get the current render settings
+ * @returns {Object} - { toneMapping, exposure, outputColorSpace, physicallyCorrectLights }
+ */
+export const getRenderSettings = () => settings;
+
+/**
+ * Describe the current render settings for display (stats panel, captions)
+ * @returns {Object} - Human-readable { toneMapping, exposure, outputColorSpace, lights }
+ */
+export const describeRenderSettings = () => ({
+  toneMapping: TONE_MAPPING_OPTIONS[settings.toneMapping].label,
+  exposure: settings.exposure.toFixed(2),
+  outputColorSpace: OUTPUT_COLOR_SPACE_OPTIONS[settings.outputColorSpace].label,
+  lights: settings.physicallyCorrectLights ? 'Physically correct' : 'Legacy'
+});
@@ -0,0 +1,136 @@
+import * as THREE from 'three'
+
+// Scene the skeleton helper is drawn in (set by initRigTools)
+let rigScene = null;
+
+// SkeletonHelper drawing the loaded model's bones (null when hidden)
+let skeletonHelper = null;
+
+/**
+ * Remember the scene the skeleton helper is drawn in
+ * @param {THREE.Scene} scene - The viewer's scene
+ */
+export const initRigTools = (scene) => {
+  rigScene = scene;
+};
+
+/**
+ * Collect the morph targets (blend shapes) of a model, one entry per glTF mesh
+ * @param {THREE.Object3D} model - Root of the loaded model
+ * @param {GLTFParser} [parser] - Parser of the loaded model - groups the primitives of one glTF mesh
+ * @returns {Array} - [{ name, meshes, targets: [{ name, index }] }]
+ *
+ * A glTF mesh with several primitives becomes several three.js meshes with the same targets,
+ * so one slider drives all of them. Meshes that share another mesh's influences (e.g. LOD levels) are skipped.
+ */
+export const collectMorphTargets = (model, parser) => {
+  const entries = new Map();
+  const seenInfluences = new Set();
+
+  model.traverse((object) => {
+    if (!object.isMesh || !object.morphTargetInfluences || object.morphTargetInfluences.length === 0) return;
+    if (seenInfluences.has(object.morphTargetInfluences)) return;
+    seenInfluences.add(object.morphTargetInfluences);
+
+    const association = parser ? parser.associations.get(object) : null;
+    const key = association && association.meshes !== undefined ? `mesh-${association.meshes}` : object.uuid;
+    if (!entries.has(key)) {
+      // The primitives of a multi-primitive mesh sit in a group that carries the mesh's name
+      const parentAssociation = association && object.parent ? parser.associations.get(object.parent) : null;
+      const owner = parentAssociation && parentAssociation.meshes === association.meshes ? object.parent : object;
+      // Targets without a name (no targetNames in the file) are listed by index
+      const targets = Object.entries(object.morphTargetDictionary || {})
+        .map(([name, index]) => ({ name: name === String(index) ? `Target ${index}` : name, index: index }))
+        .sort((a, b) => a.index - b.index);
+      entries.set(key, { name: owner.name || '(unnamed)', meshes: [], targets: targets });
+    }
+    entries.get(key).meshes.push(object);
+  });
+
+  return [...entries.values()];
+};
+
+/**
+ * Set one morph target's influence on every mesh of an entry
+ * @param {Object} entry - Entry from collectMorphTargets()
+ * @param {number} index - Morph target index
+ * @param {number} value - Influence (0 to 1)
+ */
+export const setMorphInfluence = (entry, index, value) => {
+  entry.meshes.forEach((mesh) => {
+    mesh.morphTargetInfluences[index] = value;
+  });
+};
+
+/**
+ * Set every morph target of the given entries back to 0
+ * @param {Array} entries - Entries from collectMorphTargets()
+ */
+export const resetMorphTargets = (entries) => {
+  entries.forEach((entry) => {
+    entry.meshes.forEach((mesh) => mesh.morphTargetInfluences.fill(0));
+  });
+};
+
+/**
+ * List the bones of a model's skins in hierarchy order
+ * @param {THREE.Object3D} model - Root of the loaded model
+ * @returns {Array} - [{ bone, depth }] where depth counts the bones above it
+ */
+export const getBones = (model) => {
+  const skinned = new Set();
+  model.traverse((object) => {
+    if (object.isSkinnedMesh) {
+      object.skeleton.bones.forEach((bone) => skinned.add(bone));
+    }
+  });
+
+  const bones = [];
+  model.traverse((object) => {
+    if (!skinned.has(object)) return;
+    let depth = 0;
+    for (let parent = object.parent; parent; parent = parent.parent) {
+      if (skinned.has(parent)) depth++;
+    }
+    bones.push({ bone: object, depth: depth });
+  });
+  return bones;
+};
+
+/**
+ * Put every skin of a model back in its bind pose (the pose it was skinned in)
+ * @param {THREE.Object3D} model - Root of the loaded model
+ * @returns {number} - Number of skeletons reset
+ */
+export const resetBindPose = (model) => {
+  const skeletons = new Set();
+  model.traverse((object) => {
+    if (object.isSkinnedMesh) {
+      skeletons.add(object.skeleton);
+    }
+  });
+  skeletons.forEach((skeleton) => skeleton.pose());
+  return skeletons.size;
+};
+
+/**
+ * Draw a model's bones as lines
+ * The helper lives in the scene rather than the model, so the outliner and exports never see it.
+ * @param {THREE.Object3D} model - Root of the loaded model
+ */
+export const showSkeleton = (model) => {
+  hideSkeleton();
+  skeletonHelper = new THREE.SkeletonHelper(model);
+  skeletonHelper.name = 'Skeleton';
+  rigScene.add(skeletonHelper);
+};
+
+/**
+ * Remove the skeleton helper and free its GPU resources
+ */
+export const hideSkeleton = () => {
+  if (!skeletonHelper) return;
+  skeletonHelper.removeFromParent();
+  skeletonHelper.dispose();
+  skeletonHelper = null;
+};
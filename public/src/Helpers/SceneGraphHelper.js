@@ -0,0 +1,169 @@
+import * as THREE from 'three'
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+
+// Currently selected object (null when nothing is selected)
+let selectedObject = null;
+
+// Box drawn around the selection
+let selectionBox = null;
+
+// Move/rotate/scale gizmo for the selection
+let transformControls = null;
+
+// Callbacks notified with the new selection whenever it changes
+const selectionListeners = [];
+
+// Reused for canvas picking
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+/**
+ * Set up selection highlighting and the transform gizmo
+ * @param {THREE.Scene} scene - Scene to add the selection box and gizmo to
+ * @param {THREE.Camera} camera - Camera the gizmo is drawn for
+ * @param {HTMLElement} domElement - Canvas receiving gizmo pointer events
+ * @param {OrbitControls} orbitControls - Disabled while the gizmo is dragged
+ */
+export const initSelection = (scene, camera, domElement, orbitControls) => {
+  selectionBox = new THREE.BoxHelper(undefined, 0xffaa00);
+  selectionBox.visible = false;
+  scene.add(selectionBox);
+
+  transformControls = new TransformControls(camera, domElement);
+  // Orbiting while dragging the gizmo would move the camera and the object at once
+  transformControls.addEventListener('dragging-changed', (event) => {
+    orbitControls.enabled = !event.value;
+  });
+  // Keep the box around the object while it is being transformed
+  transformControls.addEventListener('objectChange', () => {
+    selectionBox.update();
+  });
+  scene.add(transformControls);
+};
+
+/**
+ * Point the transform gizmo at a new camera (after a model brings its own)
+ * @param {THREE.Camera} camera - The active camera
+ */
+export const setSelectionCamera = (camera) => {
+  if (transformControls) {
+    transformControls.camera = camera;
+  }
+};
+
+/**
+ * Select an object, highlight it and attach the transform gizmo
+ * @param {THREE.Object3D|null} object - Object to select, or null to clear the selection
+ */
+export const selectObject = (object) => {
+  selectedObject = object;
+
+  if (object) {
+    selectionBox.setFromObject(object);
+    selectionBox.visible = true;
+    transformControls.attach(object);
+  } else {
+    selectionBox.visible = false;
+    transformControls.detach();
+  }
+
+  selectionListeners.forEach((listener) => listener(object));
+};
+
+/**
+ * Get the selected object
+ * @returns {THREE.Object3D|null}
+ */
+export const getSelectedObject = () => selectedObject;
+
+/**
+ * Register a callback for selection changes
+ * @param {Function} listener - Called with the selected object (or null)
+ */
+export const onSelectionChange = (listener) => {
+  selectionListeners.push(listener);
+};
+
+/**
+ * Choose what the gizmo does
+ * @param {string} mode - 'translate', 'rotate' or 'scale'
+ */
+export const setTransformMode = (mode) => {
+  transformControls.setMode(mode);
+};
+
+/**
+ * Whether the gizmo is being dragged (so a pointer release is not a pick)
+ * @returns {boolean}
+ */
+export const isTransforming = () => Boolean(transformControls && transformControls.dragging);
+
+/**
+ * Refresh the selection box - called every frame so it follows animations
+ */
+export const updateSelectionHelper = () => {
+  if (selectedObject && selectionBox.visible) {
+    selectionBox.update();
+  }
+};
+
+/**
+ * Find the mesh under the pointer
+ * @param {PointerEvent} event - Pointer event on the canvas
+ * @param {THREE.Camera} camera - Camera the scene is viewed through
+ * @param {THREE.Object3D} root - Model to pick from
+ * @returns {THREE.Intersection|null} - Closest visible hit, or null
+ */
+export const raycastModel = (event, camera, root) => {
+  const rect = event.target.getBoundingClientRect();
+  pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+  raycaster.setFromCamera(pointer, camera);
+  const hits = raycaster.intersectObject(root, true);
+
+  // Hidden nodes are still raycast, so skip anything with a hidden ancestor
+  return hits.find((hit) => isVisibleInTree(hit.object)) || null;
+};
+
+/**
+ * Describe an object for the outliner
+ * @param {THREE.Object3D} object - Scene graph node
+ * @returns {Object} - { name, type, badges } where badges are short indicator labels
+ */
+export const describeNode = (object) => {
+  const badges = [];
+  if (object.isSkinnedMesh) {
+    badges.push('Skin');
+  }
+  if (object.isMesh) {
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    badges.push('Mesh');
+    badges.push(materials.length > 1 ? `${materials.length} Materials` : 'Material');
+  }
+  if (object.morphTargetInfluences && object.morphTargetInfluences.length > 0) {
+    badges.push('Morph');
+  }
+  if (object.isLOD) badges.push('LOD');
+  if (object.isBone) badges.push('Bone');
+  if (object.isCamera) badges.push('Camera');
+  if (object.isLight) badges.push('Light');
+
+  return {
+    name: object.name || '(unnamed)',
+    type: object.type,
+    badges: badges
+  };
+};
+
+/**
+ * Whether an object and all of its ancestors are visible
+ * @param {THREE.Object3D} object - Object to check
+ * @returns {boolean}
+ */
+const isVisibleInTree = (object) => {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  return true;
+};
@@ -0,0 +1,179 @@
+import { COMPRESSION_EXTENSIONS } from './ModelHelper.js';
+
+// Columns of the model comparison table
+// value: reads the raw value from a stats entry (null when not measured)
+// format: turns a raw value into display text
+// better: 'lower' or 'higher' for metrics where the delta against the baseline is good or bad, null otherwise
+export const STATS_COLUMNS = [
+  { key: 'name', label: 'Model', value: (stats) => stats.name, format: (value) => value, better: null },
+  { key: 'format', label: 'Format', value: (stats) => stats.format, format: (value) => value.toUpperCase(), better: null },
+  { key: 'loadTime', label: 'Load (ms)', value: (stats) => stats.loadTime, format: (value) => value.toFixed(2), better: 'lower' },
+  { key: 'fileSize', label: 'File (KB)', value: (stats) => stats.fileSize, format: (value) => value.toFixed(2), better: 'lower' },
+  { key: 'transferSize', label: 'Transfer (KB)', value: (stats) => stats.transferSize, format: (value) => value.toFixed(2), better: 'lower' },
+  { key: 'vertices', label: 'Vertices', value: (stats) => stats.vertices, format: (value) => value.toLocaleString(), better: null },
+  { key: 'triangles', label: 'Triangles', value: (stats) => stats.triangles, format: (value) => value.toLocaleString(), better: null },
+  { key: 'meshes', label: 'Meshes', value: (stats) => stats.meshes, format: (value) => String(value), better: null },
+  {
+    key: 'compression',
+    label: 'Compression',
+    value: (stats) => stats.compression.map((name) => COMPRESSION_EXTENSIONS[name]).join(', ') || 'None',
+    format: (value) => value,
+    better: null
+  },
+  {
+    key: 'compressedSize',
+    label: 'Compressed (KB)',
+    value: (stats) => (stats.compression.length > 0 ? stats.compressedSize : null),
+    format: (value) => value.toFixed(2),
+    better: 'lower'
+  },
+  { key: 'decodedSize', label: 'Decoded (KB)', value: (stats) => stats.decodedSize, format: (value) => value.toFixed(2), better: 'lower' },
+  { key: 'benchFps', label: 'Bench FPS', value: (stats) => benchmarkValue(stats, (b) => b.fps), format: (value) => value.toFixed(1), better: 'higher' },
+  { key: 'benchFrameAvg', label: 'Frame avg (ms)', value: (stats) => benchmarkValue(stats, (b) => b.frameTime.avg), format: (value) => value.toFixed(2), better: 'lower' },
+  { key: 'benchFrameP95', label: 'Frame p95 (ms)', value: (stats) => benchmarkValue(stats, (b) => b.frameTime.p95), format: (value) => value.toFixed(2), better: 'lower' },
+  { key: 'benchGpu', label: 'GPU (ms)', value: (stats) => benchmarkValue(stats, (b) => b.gpuTime), format: (value) => value.toFixed(2), better: 'lower' },
+  { key: 'benchDrawCalls', label: 'Draw Calls', value: (stats) => benchmarkValue(stats, (b) => b.drawCalls), format: (value) => String(value), better: 'lower' }
+];
+
+/**
+ * Sort stats entries by a column
+ * @param {Object[]} rows - Stats entries
+ * @param {string} key - Column key
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Object[]} - A sorted copy; unmeasured values always sort last
+ */
+export const sortStatsRows = (rows, key, direction) => {
+  const column = getColumn(key);
+  const sign = direction === 'desc' ? -1 : 1;
+
+  return [...rows].sort((a, b) => {
+    const valueA = column.value(a);
+    const valueB = column.value(b);
+    if (valueA === null && valueB === null) return 0;
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    if (typeof valueA === 'string') return sign * valueA.localeCompare(valueB);
+    return sign * (valueA - valueB);
+  });
+};
+
+/**
+ * Compare a row's value in a numeric column against the baseline row
+ * @param {Object} stats - Stats entry
+ * @param {Object} baseline - Baseline stats entry
+ * @param {Object} column - Entry of STATS_COLUMNS
+ * @returns {Object|null} - { difference, percent, quality } where quality is 'better', 'worse' or 'neutral',
+ *   or null when the column is not numeric or either value is missing
+ */
+export const computeDelta = (stats, baseline, column) => {
+  const value = column.value(stats);
+  const baseValue = column.value(baseline);
+  if (typeof value !== 'number' || typeof baseValue !== 'number') return null;
+
+  const difference = value - baseValue;
+  const percent = baseValue !== 0 ? (difference / baseValue) * 100 : null;
+
+  let quality = 'neutral';
+  if (column.better && difference !== 0) {
+    const improved = column.better === 'lower' ? difference < 0 : difference > 0;
+    quality = improved ? 'better' : 'worse';
+  }
+
+  return { difference, percent, quality };
+};
+
+/**
+ * Build a CSV of the comparison table
+ * @param {Object[]} rows - Stats entries in display order
+ * @param {Object|null} baseline - Baseline stats entry; adds a "Δ%" column per numeric metric
+ * @returns {string}
+ */
+export const statsToCSV = (rows, baseline) => {
+  const header = [];
+  STATS_COLUMNS.forEach((column) => {
+    header.push(column.label);
+    if (baseline && isNumericColumn(column, rows)) {
+      header.push(`${column.label} Δ%`);
+    }
+  });
+
+  const lines = rows.map((stats) => {
+    const cells = [];
+    STATS_COLUMNS.forEach((column) => {
+      const value = column.value(stats);
+      cells.push(value === null ? '' : value);
+      if (baseline && isNumericColumn(column, rows)) {
+        const delta = computeDelta(stats, baseline, column);
+        cells.push(delta && delta.percent !== null ? delta.percent.toFixed(2) : '');
+      }
+    });
+    return cells.map(escapeCSV).join(',');
+  });
+
+  return [header.map(escapeCSV).join(','), ...lines].join('\n');
+};
+
+/**
+ * Build a JSON export of the comparison table
+ * @param {Object[]} rows - Stats entries in display order
+ * @param {Object|null} baseline - Baseline stats entry; adds per-metric deltas to each row
+ * @returns {string}
+ */
+export const statsToJSON = (rows, baseline) => {
+  const models = rows.map((stats) => {
+    const entry = { ...stats };
+    if (baseline) {
+      entry.deltas = {};
+      STATS_COLUMNS.forEach((column) => {
+        const delta = computeDelta(stats, baseline, column);
+        if (delta) {
+          entry.deltas[column.key] = { difference: delta.difference, percent: delta.percent };
+        }
+      });
+    }
+    return entry;
+  });
+
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    baseline: baseline ? baseline.key : null,
+    models: models
+  }, null, 2);
+};
+
+/**
+ * Look up a column by key
+ * @param {string} key - Column key
+ * @returns {Object} - Entry of STATS_COLUMNS
+ */
+const getColumn = (key) => STATS_COLUMNS.find((column) => column.key === key);
+
+/**
+ * Read a value from a model's benchmark result
+ * @param {Object} stats - Stats entry
+ * @param {Function} read - Picks the value from the benchmark result
+ * @returns {number|null} - null when no benchmark has run (or the value was not measured)
+ */
+const benchmarkValue = (stats, read) => {
+  if (!stats.benchmark) return null;
+  const value = read(stats.benchmark);
+  return value === undefined ? null : value;
+};
+
+/**
+ * Whether a column holds numbers (and so has deltas)
+ * @param {Object} column - Entry of STATS_COLUMNS
+ * @param {Object[]} rows - Stats entries
+ * @returns {boolean}
+ */
+const isNumericColumn = (column, rows) => rows.some((stats) => typeof column.value(stats) === 'number');
+
+/**
+ * Quote a CSV cell when it contains a separator, quote or line break
+ * @param {string|number} value - Cell value
+ * @returns {string}
+ */
+const escapeCSV = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
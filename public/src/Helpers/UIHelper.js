@@ -0,0 +1,170 @@
+/**
+ * Small builders for the control panel's form controls
+ * Each returns a `.control-group` element styled like the static markup in index.html,
+ * so panels that are generated at runtime look the same as the hand-written ones.
+ */
+
+/**
+ * Create a labelled range slider with a value readout
+ * @param {Object} options
+ * @param {string} options.label - Label text
+ * @param {number} options.min - Minimum value
+ * @param {number} options.max - Maximum value
+ * @param {number} options.step - Slider step
+ * @param {number} options.value - Initial value
+ * @param {number} [options.digits=1] - Decimal places shown in the readout
+ * @param {Function} options.onInput - Called with the new numeric value
+ * @returns {HTMLElement} - The control group element
+ */
+export const createSliderControl = ({ label, min, max, step, value, digits = 1, onInput }) => {
+  const group = document.createElement('div');
+  group.className = 'control-group';
+
+  const labelElement = document.createElement('label');
+  labelElement.textContent = label;
+
+  const input = document.createElement('input');
+  input.type = 'range';
+  input.min = min;
+  input.max = max;
+  input.step = step;
+  input.value = value;
+
+  const readout = document.createElement('span');
+  readout.textContent = Number(value).toFixed(digits);
+
+  input.addEventListener('input', (e) => {
+    const newValue = parseFloat(e.target.value);
+    readout.textContent = newValue.toFixed(digits);
+    onInput(newValue);
+  });
+
+  group.append(labelElement, input, readout);
+  return group;
+};
+
+/**
+ * Create a labelled color picker
+ * @param {Object} options
+ * @param {string} options.label - Label text
+ * @param {string} options.value - Initial color as '#rrggbb'
+ * @param {Function} options.onInput - Called with the new '#rrggbb' value
+ * @returns {HTMLElement} - The control group element
+ */
+export const createColorControl = ({ label, value, onInput }) => {
+  const group = document.createElement('div');
+  group.className = 'control-group';
+
+  const labelElement = document.createElement('label');
+  labelElement.textContent = label;
+
+  const input = document.createElement('input');
+  input.type = 'color';
+  input.value = value;
+  input.addEventListener('input', (e) => onInput(e.target.value));
+
+  group.append(labelElement, input);
+  return group;
+};
+
+/**
+ * Create a checkbox with an inline label
+ * @param {Object} options
+ * @param {string} options.label - Label text
+ * @param {boolean} options.checked - Initial state
+ * @param {Function} options.onChange - Called with the new boolean state
+ * @returns {HTMLElement} - The control group element
+ */
+export const createCheckboxControl = ({ label, checked, onChange }) => {
+  const group = document.createElement('div');
+  group.className = 'control-group';
+
+  const labelElement = document.createElement('label');
+  labelElement.className = 'checkbox-label';
+
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = checked;
+  input.addEventListener('change', (e) => onChange(e.target.checked));
+
+  labelElement.append(input, document.createTextNode(' ' + label));
+  group.appendChild(labelElement);
+  return group;
+};
+
+/**
+ * Create a labelled dropdown
+ * @param {Object} options
+ * @param {string} options.label - Label text
+ * @param {Array<{value: string, label: string}>} options.options - Dropdown entries
+ * @param {string} options.value - Initially selected value
+ * @param {Function} options.onChange - Called with the selected value
+ * @returns {HTMLElement} - The control group element
+ */
+export const createSelectControl = ({ label, options, value, onChange }) => {
+  const group = document.createElement('div');
+  group.className = 'control-group';
+
+  const labelElement = document.createElement('label');
+  labelElement.textContent = label;
+
+  const select = document.createElement('select');
+  options.forEach((option) => select.add(new Option(option.label, option.value)));
+  select.value = value;
+  select.addEventListener('change', (e) => onChange(e.target.value));
+
+  group.append(labelElement, select);
+  return group;
+};
+
+/**
+ * Create X/Y/Z sliders for a 3D vector (position, target, ...)
+ * @param {Object} options
+ * @param {string} options.label - Label text
+ * @param {number} options.min - Minimum value per axis
+ * @param {number} options.max - Maximum value per axis
+ * @param {number} options.step - Slider step
+ * @param {THREE.Vector3} options.value - Initial vector (read only)
+ * @param {Function} options.onInput - Called with (axis, value) where axis is 'x', 'y' or 'z'
+ * @returns {HTMLElement} - The control group element
+ */
+export const createVectorControl = ({ label, min, max, step, value, onInput }) => {
+  const group = document.createElement('div');
+  group.className = 'control-group';
+
+  const labelElement = document.createElement('label');
+  labelElement.textContent = label;
+
+  const axes = document.createElement('div');
+  axes.className = 'position-controls';
+
+  ['x', 'y', 'z'].forEach((axis) => {
+    const row = document.createElement('div');
+    row.className = 'axis-control';
+
+    const axisLabel = document.createElement('span');
+    axisLabel.textContent = axis.toUpperCase() + ':';
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = value[axis];
+
+    const readout = document.createElement('span');
+    readout.textContent = value[axis].toFixed(1);
+
+    input.addEventListener('input', (e) => {
+      const newValue = parseFloat(e.target.value);
+      readout.textContent = newValue.toFixed(1);
+      onInput(axis, newValue);
+    });
+
+    row.append(axisLabel, input, readout);
+    axes.appendChild(row);
+  });
+
+  group.append(labelElement, axes);
+  return group;
+};
@@ -0,0 +1,209 @@
+// Short labels of the validator's severities, most severe first
+export const SEVERITY_LABELS = {
+  error: 'Error',
+  warning: 'Warning',
+  info: 'Info',
+  hint: 'Hint'
+};
+
+/**
+ * Validate a catalog model on the server, external buffers and images included
+ * @param {string} modelName - File name of the model in the catalog
+ * @returns {Promise<Object>} - Validation report (see validateAsset() in app.js)
+ */
+export const validateCatalogModel = (modelName) => {
+  return fetch(`/api/validate/${encodeURIComponent(modelName)}`).then(readReport);
+};
+
+/**
+ * Validate a model loaded from the user's files
+ * Only the .gltf/.glb itself is sent - the files next to a .gltf are not checked.
+ * @param {File[]} files - Files the model was loaded from
+ * @returns {Promise<Object>} - Validation report (see validateAsset() in app.js)
+ */
+export const validateModelFiles = (files) => {
+  const mainFile = files.find((file) => /\.(gltf|glb)$/i.test(file.name));
+  if (!mainFile) {
+    return Promise.reject(new Error('No .gltf or .glb file among the loaded files'));
+  }
+  return fetch(`/api/validate?name=${encodeURIComponent(mainFile.name)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: mainFile
+  }).then(readReport);
+};
+
+/**
+ * Find the object in the scene that a validation issue is about
+ * @param {string|null} pointer - JSON pointer of the issue, e.g. /meshes/0/primitives/1/indices
+ * @param {THREE.Object3D} model - Root of the loaded model
+ * @param {GLTFParser} parser - Parser of the loaded model (glTF JSON and object associations)
+ * @param {Function} [getMaterial] - Returns a mesh's material(s) - e.g. its own while a render mode replaces them
+ * @returns {Object|null} - { object, materialIndex } to select, or null if the issue isn't about anything in the scene
+ *
+ * Accessors, buffer views, textures, images, samplers, skins and cameras are followed to the mesh,
+ * material or node that uses them.
+ */
+export const findIssueTarget = (pointer, model, parser, getMaterial = (mesh) => mesh.material) => {
+  if (!pointer || !parser) return null;
+
+  const reference = resolvePointer(pointer.split('/').slice(1).map(unescapePointerToken), parser.json);
+  if (!reference) return null;
+
+  let target = null;
+  model.traverse((object) => {
+    if (target) return;
+    const association = parser.associations.get(object);
+
+    if (reference.type === 'materials' && object.isMesh) {
+      const meshMaterial = getMaterial(object);
+      const materials = Array.isArray(meshMaterial) ? meshMaterial : [meshMaterial];
+      const materialIndex = materials.findIndex((material) => {
+        const materialAssociation = parser.associations.get(material);
+        return materialAssociation && materialAssociation.materials === reference.index;
+      });
+      if (materialIndex !== -1) {
+        target = { object: object, materialIndex: materialIndex };
+      }
+    } else if (reference.type === 'meshes' && association && association.meshes === reference.index) {
+      // A mesh with several primitives is a group of meshes - pick the primitive the issue names, if any
+      const primitiveMatches = reference.primitive === undefined
+        ? association.primitives === undefined || object.isMesh
+        : association.primitives === reference.primitive;
+      if (primitiveMatches) {
+        target = { object: object, materialIndex: 0 };
+      }
+    } else if (reference.type === 'nodes' && association && association.nodes === reference.index) {
+      target = { object: object, materialIndex: 0 };
+    }
+  });
+  return target;
+};
+
+/**
+ * Check a validation response and read its report
+ * @param {Response} response - Response of a validation request
+ * @returns {Promise<Object>}
+ */
+const readReport = (response) => {
+  if (!response.ok) {
+    return response.json()
+      .catch(() => ({}))
+      .then((body) => {
+        throw new Error(body.error || `Validation request failed (${response.status})`);
+      });
+  }
+  return response.json();
+};
+
+/**
+ * Decode one token of a JSON pointer (~1 is '/', ~0 is '~')
+ * @param {string} token - Pointer token
+ * @returns {string}
+ */
+const unescapePointerToken = (token) => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+/**
+ * Follow a JSON pointer to the mesh, material or node whose object can be selected
+ * @param {string[]} tokens - Pointer tokens, e.g. ['accessors', '3']
+ * @param {Object} json - The glTF JSON
+ * @returns {Object|null} - { type: 'meshes'|'materials'|'nodes', index, primitive? }
+ */
+const resolvePointer = (tokens, json) => {
+  const [collection, indexToken, ...rest] = tokens;
+  const index = parseInt(indexToken, 10);
+  if (!Number.isInteger(index)) return null;
+
+  switch (collection) {
+    case 'meshes': {
+      const primitive = rest[0] === 'primitives' ? parseInt(rest[1], 10) : NaN;
+      return Number.isInteger(primitive) ? { type: 'meshes', index: index, primitive: primitive } : { type: 'meshes', index: index };
+    }
+    case 'materials':
+    case 'nodes':
+      return { type: collection, index: index };
+    case 'accessors':
+      return findAccessorUser(json, index);
+    case 'bufferViews': {
+      const accessorIndex = (json.accessors || []).findIndex((accessor) => accessor.bufferView === index);
+      if (accessorIndex !== -1) {
+        return findAccessorUser(json, accessorIndex);
+      }
+      const imageIndex = (json.images || []).findIndex((image) => image.bufferView === index);
+      return imageIndex !== -1 ? resolvePointer(['images', String(imageIndex)], json) : null;
+    }
+    case 'images': {
+      const textureIndex = (json.textures || []).findIndex((texture) => texture.source === index ||
+        Object.values(texture.extensions || {}).some((extension) => extension.source === index));
+      return textureIndex !== -1 ? resolvePointer(['textures', String(textureIndex)], json) : null;
+    }
+    case 'samplers': {
+      const textureIndex = (json.textures || []).findIndex((texture) => texture.sampler === index);
+      return textureIndex !== -1 ? resolvePointer(['textures', String(textureIndex)], json) : null;
+    }
+    case 'textures': {
+      const materialIndex = (json.materials || []).findIndex((material) => usesTexture(material, index));
+      return materialIndex !== -1 ? { type: 'materials', index: materialIndex } : null;
+    }
+    case 'skins':
+    case 'cameras': {
+      const key = collection === 'skins' ? 'skin' : 'camera';
+      const nodeIndex = (json.nodes || []).findIndex((node) => node[key] === index);
+      return nodeIndex !== -1 ? { type: 'nodes', index: nodeIndex } : null;
+    }
+    case 'animations': {
+      const animation = (json.animations || [])[index];
+      const channel = animation && rest[0] === 'channels' ? animation.channels[parseInt(rest[1], 10)] : null;
+      return channel && channel.target && channel.target.node !== undefined ? { type: 'nodes', index: channel.target.node } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Find what reads an accessor - a mesh primitive, a skin or an animation
+ * @param {Object} json - The glTF JSON
+ * @param {number} accessorIndex - Accessor index
+ * @returns {Object|null} - Reference as returned by resolvePointer()
+ */
+const findAccessorUser = (json, accessorIndex) => {
+  const meshes = json.meshes || [];
+  for (let meshIndex = 0; meshIndex < meshes.length; meshIndex++) {
+    const primitiveIndex = meshes[meshIndex].primitives.findIndex((primitive) =>
+      primitive.indices === accessorIndex ||
+      Object.values(primitive.attributes || {}).includes(accessorIndex) ||
+      (primitive.targets || []).some((target) => Object.values(target).includes(accessorIndex))
+    );
+    if (primitiveIndex !== -1) {
+      return { type: 'meshes', index: meshIndex, primitive: primitiveIndex };
+    }
+  }
+
+  const skinIndex = (json.skins || []).findIndex((skin) => skin.inverseBindMatrices === accessorIndex);
+  if (skinIndex !== -1) {
+    return resolvePointer(['skins', String(skinIndex)], json);
+  }
+
+  for (const animation of json.animations || []) {
+    const samplerIndex = animation.samplers.findIndex((sampler) => sampler.input === accessorIndex || sampler.output === accessorIndex);
+    const channel = animation.channels.find((item) => item.sampler === samplerIndex);
+    if (channel && channel.target && channel.target.node !== undefined) {
+      return { type: 'nodes', index: channel.target.node };
+    }
+  }
+  return null;
+};
+
+/**
+ * Whether a material refers to a texture in any of its texture slots (extensions included)
+ * @param {Object} value - Material definition, or a part of it
+ * @param {number} textureIndex - Texture index
+ * @returns {boolean}
+ */
+const usesTexture = (value, textureIndex) => {
+  if (!value || typeof value !== 'object') return false;
+  return Object.entries(value).some(([key, child]) =>
+    (/Texture$/.test(key) && child && child.index === textureIndex) || usesTexture(child, textureIndex)
+  );
+};
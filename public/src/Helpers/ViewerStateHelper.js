@@ -0,0 +1,118 @@
+// Layout version of saved states - states written by another version are ignored rather than misread
+const STATE_VERSION = 1;
+
+// localStorage key of the user's default state
+const STORAGE_KEY = 'gltf-viewer-state';
+
+// URL hash prefix of a shared state: #state=<base64url JSON>
+const HASH_PREFIX = '#state=';
+
+/**
+ * Encode a viewer state for the URL hash
+ * @param {Object} state - Plain viewer state (see collectViewerState in main.js)
+ * @returns {string} - base64url of the versioned JSON
+ */
+export const encodeViewerState = (state) => {
+  const json = JSON.stringify({ version: STATE_VERSION, ...state });
+  // btoa only takes Latin-1, so the UTF-8 bytes are encoded (names may contain any character)
+  const binary = Array.from(new TextEncoder().encode(json), (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode a viewer state written by encodeViewerState
+ * @param {string} encoded - base64url string
+ * @returns {Object|null} - The state, or null if it is malformed or from another version
+ */
+export const decodeViewerState = (encoded) => {
+  try {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return checkVersion(JSON.parse(new TextDecoder().decode(bytes)));
+  } catch (error) {
+    console.warn('Ignoring malformed viewer state:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Read the state shared in the page's URL hash
+ * @returns {Object|null} - The state, or null if the hash holds none
+ */
+export const readStateFromHash = () => {
+  if (!window.location.hash.startsWith(HASH_PREFIX)) return null;
+  return decodeViewerState(window.location.hash.slice(HASH_PREFIX.length));
+};
+
+/**
+ * Put a state in the URL hash without adding a history entry
+ * @param {Object} state - Viewer state
+ */
+export const writeStateToHash = (state) => {
+  history.replaceState(null, '', HASH_PREFIX + encodeViewerState(state));
+};
+
+/**
+ * Remove a shared state from the URL
+ */
+export const clearStateHash = () => {
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+};
+
+/**
+ * Link that opens the viewer in the given state
+ * @param {Object} state - Viewer state
+ * @returns {string}
+ */
+export const getShareURL = (state) =>
+  window.location.origin + window.location.pathname + window.location.search + HASH_PREFIX + encodeViewerState(state);
+
+/**
+ * Save a state as the user's default (restored on the next visit without a shared link)
+ * @param {Object} state - Viewer state
+ */
+export const saveDefaultState = (state) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STATE_VERSION, ...state }));
+  } catch (error) {
+    // Storage can be full or disabled (private browsing) - the viewer works without it
+    console.warn('Could not save the viewer state:', error.message);
+  }
+};
+
+/**
+ * Load the user's default state
+ * @returns {Object|null} - The state, or null if none is saved (or it is unreadable)
+ */
+export const loadDefaultState = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? checkVersion(JSON.parse(saved)) : null;
+  } catch (error) {
+    console.warn('Ignoring unreadable saved viewer state:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Forget the user's default state
+ */
+export const clearDefaultState = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn('Could not clear the saved viewer state:', error.message);
+  }
+};
+
+/**
+ * Accept only states of the current layout version
+ * @param {Object} state - Parsed state
+ * @returns {Object|null}
+ */
+const checkVersion = (state) => {
+  if (!state || typeof state !== 'object' || state.version !== STATE_VERSION) {
+    return null;
+  }
+  return state;
+};
@@ -1,8 +1,95 @@
 import * as THREE from 'three'
 // Import the helper function to load GLTF/GLB models and get statistics
-import { LoadGLTFByPath, getModelStats } from './Helpers/ModelHelper.js'
+import {
+  LoadGLTFByPath, LoadGLTFFromFiles, fetchModelCatalog, watchModelFiles, getModelStats, getCurrentStats, removeModelStats,
+  initDecoders, setBenchmarkResult, disposeModel
+} from './Helpers/ModelHelper.js'
+// Import the model comparison table columns, sorting, deltas and CSV/JSON export
+import { STATS_COLUMNS, sortStatsRows, computeDelta, statsToCSV, statsToJSON } from './Helpers/StatsTableHelper.js'
+// Import the light rig used by the lighting panel
+import {
+  LIGHT_TYPES, initLightRig, resetLightRig, addLight, removeLight, getLights, hasTarget, canCastShadow,
+  setHelpersVisible, updateLightHelpers, setShadowMapSize, setShadowFrustum, setShadowCameraRange, enableMeshShadows,
+  serializeLightRig, restoreLightRig
+} from './Helpers/LightingHelper.js'
+// Import image-based lighting (HDR/EXR environments) and background handling
+import {
+  initEnvironment, useNeutralEnvironment, loadEnvironmentFile, setEnvironmentIntensity, applyEnvironmentIntensity,
+  setEnvironmentRotation, setBackgroundMode, setBackgroundColor, setBackgroundBlurriness, getEnvironmentSettings,
+  resetEnvironmentSettings
+} from './Helpers/EnvironmentHelper.js'
+// Import tone mapping, exposure and color management settings
+import {
+  TONE_MAPPING_OPTIONS, OUTPUT_COLOR_SPACE_OPTIONS, initRenderSettings, applyRenderSettings,
+  resetRenderSettings, getRenderSettings, describeRenderSettings
+} from './Helpers/RenderSettingsHelper.js'
+// Import node selection, highlighting, picking and the transform gizmo
+import {
+  initSelection, setSelectionCamera, selectObject, getSelectedObject, onSelectionChange, setTransformMode,
+  isTransforming, updateSelectionHelper, raycastModel, describeNode
+} from './Helpers/SceneGraphHelper.js'
+// Import material inspection and editing helpers
+import {
+  ALPHA_MODES, describeMaterial, setAlphaMode, createTextureThumbnail, countMaterialUsers, colorToHex
+} from './Helpers/MaterialHelper.js'
+// Import the frame profiler and render benchmark
+import {
+  initProfiler, beginFrame, endFrame, getPerformanceSnapshot, startBenchmark, updateBenchmark, isBenchmarkRunning, cancelBenchmark,
+  trackModelResources, checkModelReleased
+} from './Helpers/PerformanceHelper.js'
+// Import glTF/GLB export of the edited model
+import { exportModel, downloadFile } from './Helpers/ExportHelper.js'
+// Import offscreen PNG screenshots and turntable video recording
+import {
+  getMaxScreenshotSize, captureScreenshot, startTurntable, updateTurntable, isTurntableRunning, cancelTurntable
+} from './Helpers/CaptureHelper.js'
+// Import the camera manager: embedded cameras, orthographic views, presets and viewpoint transitions
+import {
+  VIEW_PRESETS, describeCamera, detachCamera, getOrbitTarget, matchOrthographic, matchPerspective, captureViewpoint,
+  sanitizeViewpoint, getPresetViewpoint, startCameraTransition, updateCameraTransition, isCameraTransitioning, cancelCameraTransition
+} from './Helpers/CameraHelper.js'
+// Import measuring between surface points and the bounding box overlay
+import {
+  initMeasurements, getModelBounds, formatLength, addMeasurePoint, hasPendingPoint, getMeasurements, removeMeasurement,
+  clearMeasurements, showBoundsOverlay, hideBoundsOverlay
+} from './Helpers/MeasureHelper.js'
+// Import annotation hotspots pinned to the model and their storage on the server
+import {
+  initAnnotations, fetchAnnotations, saveAnnotations, addAnnotation, restoreAnnotations, getAnnotations,
+  setAnnotationText, removeAnnotation, clearAnnotations, updateAnnotations
+} from './Helpers/AnnotationHelper.js'
+// Import the debug render modes (wireframe, normals, UV checker, random colors, depth, overdraw)
+import {
+  RENDER_MODES, initRenderModes, setRenderMode, getRenderMode, applyRenderMode, clearRenderMode, suspendRenderMode,
+  getOriginalMaterial, updateRenderMode
+} from './Helpers/RenderModeHelper.js'
+// Import level of detail generation - simplified copies of each mesh swapped in with camera distance
+import {
+  LOD_RATIOS, DEFAULT_LOD_DISTANCES, isLODSupported, generateLODs, clearLODs, hasLODs, suspendLODs, setLODDistances,
+  getLODStats, updateLODs
+} from './Helpers/LODHelper.js'
+// Import morph target and skeleton inspection (blend shape sliders, skeleton helper, bone rotations, bind pose)
+import {
+  initRigTools, collectMorphTargets, setMorphInfluence, resetMorphTargets, getBones, resetBindPose, showSkeleton, hideSkeleton
+} from './Helpers/RigHelper.js'
+// Import glTF validation on the server and mapping of its issues to objects in the scene
+import { SEVERITY_LABELS, validateCatalogModel, validateModelFiles, findIssueTarget } from './Helpers/ValidationHelper.js'
+// Import the comparison view - a second model side by side, wiped over the loaded one or as a pixel difference
+import {
+  COMPARE_MODES, DEFAULT_DIFFERENCE_THRESHOLD, initComparison, loadComparisonModel, getComparisonModel, clearComparisonModel,
+  setComparisonMode, getComparisonMode, setWipePosition, getWipePosition, setDifferenceThreshold, setCamerasSynced,
+  updateComparison, renderComparison
+} from './Helpers/CompareHelper.js'
+// Import saving and sharing of the viewer state (URL hash and localStorage)
+import {
+  readStateFromHash, writeStateToHash, clearStateHash, getShareURL, saveDefaultState, loadDefaultState, clearDefaultState
+} from './Helpers/ViewerStateHelper.js'
+// Import builders for the generated panel controls
+import { createSliderControl, createColorControl, createCheckboxControl, createSelectControl, createVectorControl } from './Helpers/UIHelper.js'
 // Import OrbitControls to enable mouse-based camera interaction (drag to rotate, scroll to zoom)
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
+// Import the renderer for HTML labels placed in the scene (measurements, dimensions, annotations)
+import { CSS2DRenderer } from 'three/examples/jsm/renderers/CSS2DRenderer.js'
 
 //Renderer does the job of rendering the graphics
 let renderer = new THREE.WebGLRenderer({
@@ -18,330 +105,3368 @@ renderer.setSize(window.innerWidth, window.innerHeight);
 renderer.shadows = true;
 renderer.shadowType = 1;
 renderer.shadowMap.enabled = true;
+renderer.shadowMap.type = THREE.PCFShadowMap;
 renderer.setPixelRatio( window.devicePixelRatio );
-renderer.toneMapping = 0;
-renderer.toneMappingExposure = 1
-renderer.useLegacyLights  = false;
-renderer.toneMapping = THREE.NoToneMapping;
 renderer.setClearColor(0xffffff, 0);
-//make sure three/build/three.module.js is over r152 or this feature is not available. 
-renderer.outputColorSpace = THREE.SRGBColorSpace 
 
 const scene = new THREE.Scene();
 
+// Tone mapping (None), exposure (1), output color space (sRGB) and physically correct lights
+// are applied here and changed live from the render settings panel.
+//make sure three/build/three.module.js is over r152 or outputColorSpace is not available. 
+initRenderSettings(renderer, scene);
+
 // Add some default lighting in case the model doesn't have any
-// Ambient light provides soft, non-directional lighting from all angles
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-scene.add(ambientLight);
+// The rig starts with an ambient light (soft, non-directional) and a directional light (sunlight);
+// more lights can be added from the lighting panel
+initLightRig(scene);
+
+// Image-based lighting - starts with the bundled neutral studio environment, prefiltered through PMREMGenerator
+initEnvironment(renderer, scene);
+
+// Draco, meshopt and KTX2 decoders for compressed models (decoder binaries are served by app.js)
+initDecoders(renderer);
+
+// Frame timing (and GPU timer queries where the browser supports them) for the performance overlay
+initProfiler(renderer);
+
+// HTML labels (measurements, bounding box dimensions, annotation hotspots) are drawn in a layer over the canvas
+// that lets clicks through to it
+const labelRenderer = new CSS2DRenderer();
+labelRenderer.domElement.id = 'label-layer';
+labelRenderer.setSize(window.innerWidth, window.innerHeight);
+renderer.domElement.after(labelRenderer.domElement);
+initMeasurements(scene);
+initAnnotations(scene);
+
+// Debug render modes swap the model's materials and keep their overlays and helpers in a group of their own
+initRenderModes(scene);
+
+// The skeleton helper is drawn in the scene, outside the model
+initRigTools(scene);
+
+// A second model can be shown next to the loaded one - it shares the scene's lights and environment
+initComparison(scene, renderer, document.getElementById('compare-viewport'));
 
-// Directional light simulates sunlight - provides shadows and highlights
-const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-directionalLight.position.set(5, 5, 5);
-scene.add(directionalLight);
+let cameraList = []; // Cameras embedded in the loaded model (rebuilt on every load)
 
-let cameraList = [];
+// Fallback camera for models without one - also renders the empty scene before the first load
+const defaultCamera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+defaultCamera.position.z = 5; // Position camera 5 units back from origin
+scene.add(defaultCamera);
 
-let camera;
+let camera = defaultCamera;
 let controls; // OrbitControls instance for interactive camera movement
-let currentFormat = 'gltf'; // Track which format is currently loaded ('gltf' or 'glb')
+
+// Camera manager - the orbit camera is the default camera, or its orthographic twin
+const orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+let projection = 'perspective'; // Projection of the orbit camera: 'perspective' or 'orthographic'
+let activeCameraIndex = null; // Index into cameraList of the camera being viewed through (null = orbit camera)
+let orbitTarget = new THREE.Vector3(); // Where the orbit camera looks - restored when switching back to it
+let orbitHome = null; // Orbit camera framing of the loaded model, set by centerModel - restored by the viewer reset
+let savedViewpoints = []; // Named viewpoints: { name, position, target, fov, zoom }
+const CAMERA_TRANSITION_DURATION = 800; // ms
+let currentModelPath = null; // URL of the catalog model currently loaded (null for user files)
+let currentModelFiles = null; // Files the loaded model was opened from (null for catalog models) - sent for validation
+let pendingModelPath = null; // URL of the catalog model being loaded (null when idle or loading user files)
+let activeLoad = null; // AbortController of the load in progress - aborted when a newer load starts or on cancel
+let modelCatalog = []; // Models available on the server, from /api/models
 let loadedModel = null; // Reference to the currently loaded model for easy removal
+let loadedParser = null; // GLTFParser of the loaded model (glTF JSON and object associations)
 
 // Animation system variables
 let mixer = null; // AnimationMixer to control model animations
 let clock = new THREE.Clock(); // Clock for tracking animation time
 let animations = []; // Array to store available animations
+let clipRows = []; // Per-clip UI state: { clip, action, elements, scrubbing }
+let animationsPlaying = true; // Play/pause state of the animation panel (the mixer's timeScale is 0 while paused)
+let morphEntries = []; // Morph targets of the loaded model, one entry per glTF mesh (from collectMorphTargets)
+let boneList = []; // Bones of the loaded model's skins in hierarchy order: { bone, depth }
+
+// Model comparison table - sort column/direction (null key = load order) and stats key of the baseline model
+let statsSort = { key: null, direction: 'asc' };
+let statsBaseline = null;
+let statsDetail = null; // Stats key of the model whose resource breakdown is shown (null = the model in the scene)
+
+// Validation panel state
+let validationReport = null; // Report of the loaded model (null until it is validated)
+let validationRun = 0; // Incremented per validation, so only the latest request's report is shown
+
+// Compare panel state
+let compareLoad = null; // AbortController of the comparison model load in progress
+let comparisonName = null; // File name of the comparison model (null while none is loaded)
+
+// Toast - short notices at the bottom of the viewport (e.g. a model reloaded after its file changed)
+const TOAST_DURATION = 3000; // ms
+let toastTimer = null;
+
+// Performance overlay - refreshed a few times per second rather than every frame
+const OVERLAY_REFRESH_INTERVAL = 500; // ms
+let lastOverlayRefresh = 0;
+let lastLODStatsRefresh = 0; // The active levels of the LOD table refresh at the same interval
+
+// Scene graph outliner - maps each node to its tree item so canvas picks can reveal it
+let outlinerItems = new Map(); // Object3D -> <li>
+
+// Canvas tool - what a click on the model does: 'select' a node, 'measure' between points or 'annotate'
+let canvasTool = 'select';
+
+// Viewer state - saved to the URL hash and as the user's default, restored on page load
+let pendingViewState = null; // Restored state whose camera and clips apply once its model has loaded
+let stateSaveTimer = null;
+const STATE_SAVE_DELAY = 500; // ms - the state is saved once changes pause
+
+// Loop modes offered per clip in the clip list
+const LOOP_MODES = {
+  once: THREE.LoopOnce,
+  repeat: THREE.LoopRepeat,
+  pingpong: THREE.LoopPingPong
+};
+
+// Display names for the light types
+const LIGHT_TYPE_LABELS = {
+  ambient: 'Ambient Light',
+  hemisphere: 'Hemisphere Light',
+  directional: 'Directional Light',
+  point: 'Point Light',
+  spot: 'Spot Light'
+};
+
+// Instructions shown under the canvas tool buttons
+const CANVAS_TOOL_HINTS = {
+  select: 'Click a mesh to select its node',
+  measure: 'Click two points on the model to measure the distance between them',
+  annotate: 'Type a note, then click the model to pin it there'
+};
 
 // Initialize UI event listeners for buttons and sliders
 setupUI();
 
-// Load the initial GLTF model on page load
-loadModel('gltf');
+// Restore the state of a shared link, or else the user's saved default
+restoreViewerStateOrReset(readStateFromHash() || loadDefaultState());
+
+// Fetch the model catalog and load the initial GLTF model on page load
+setupModelBrowser();
+
+// Reload the model when its files are written again (e.g. re-exported from Blender)
+setupModelWatcher();
+
+// Start the render loop - it runs for the lifetime of the page, model loads never start another
+animate();
+
+/**
+ * Load a 3D model in either GLTF or GLB format
+ * @param {string|FileList|File[]} source - URL of a catalog model,
+ *   or a set of user files (a .glb, or a .gltf with its .bin and texture files)
+ * @returns {Promise<THREE.Object3D|undefined>} - Resolves with the model once it is in the scene,
+ *   or with nothing if the load failed or was cancelled
+ * 
+ * This function:
+ * 1. Cancels any load still in progress and shows the progress bar
+ * 2. Loads the new model using the specified format
+ * 3. Removes the previously loaded model from the scene
+ * 4. Centers the model and views it through its first camera (or the orbit camera)
+ * 5. Updates the statistics panel with load time and model info
+ * 
+ * Only the most recent load can reach the scene - a superseded or cancelled load is discarded,
+ * and the previous model stays in place until the new one has loaded.
+ */
+function loadModel(source) {
+  const isUserFiles = typeof source !== 'string';
+  
+  // Cancel the load in progress so it can never finish after this one
+  if (activeLoad) {
+    activeLoad.abort();
+  }
+  const controller = new AbortController();
+  activeLoad = controller;
+  pendingModelPath = isUserFiles ? null : source;
+  renderModelBrowser();
+  showLoadProgress(isUserFiles ? 'local files' : source.split('/').pop());
+  
+  // Load new model using the helper functions from ModelHelper.js
+  const options = { signal: controller.signal, onProgress: updateLoadProgress };
+  const loading = isUserFiles ? LoadGLTFFromFiles(scene, source, options) : LoadGLTFByPath(scene, source, options);
+  
+  return loading
+    .then((result) => {
+      activeLoad = null;
+      pendingModelPath = null;
+      currentModelPath = isUserFiles ? null : source;
+      currentModelFiles = isUserFiles ? Array.from(source) : null;
+      renderModelBrowser();
+      hideLoadProgress();
+      
+      // Replace the previous model with the new one
+      unloadModel();
+      
+      // Store reference to the loaded model for future removal
+      loadedModel = result.gltf.scene;
+      loadedParser = result.gltf.parser;
+      
+      // Let the model's meshes cast and receive shadows from the light rig
+      enableMeshShadows(loadedModel);
+      
+      // Apply the current environment intensity to the model's materials
+      applyEnvironmentIntensity(loadedModel);
+      
+      // Set up animations if the model has any
+      if (result.gltf.animations && result.gltf.animations.length > 0) {
+        setupAnimations(result.gltf);
+        updateAnimationUI(true);
+      } else {
+        updateAnimationUI(false);
+      }
+      
+      // List the morph targets and bones, which can be posed by hand whether or not a clip uses them
+      morphEntries = collectMorphTargets(loadedModel, loadedParser);
+      boneList = getBones(loadedModel);
+      renderRigControls();
+      
+      // Center the model in the viewport and frame it with the orbit camera
+      centerModel(loadedModel);
+      
+      // Show the model's dimensions (and the bounding box overlay if it is turned on)
+      updateBoundsOverlay();
+      
+      // Set up orbit controls if not already initialized
+      if (!controls) {
+        setupControls();
+      }
+      
+      // List the model's cameras and view through the first one (keeps the authored framing)
+      retrieveListOfCameras(loadedModel);
+      
+      // List the model's node hierarchy in the outliner
+      renderOutliner();
+      
+      // Pin the annotations saved for this model
+      loadModelAnnotations();
+      
+      // Show the model in the chosen render mode
+      updateRenderModeHint(applyRenderMode(loadedModel));
+      
+      // Simplify the meshes into levels of detail if that is turned on
+      if (document.getElementById('lod-enabled').checked) {
+        buildModelLODs();
+      }
+      
+      // Update the UI statistics panel with load time and geometry info
+      updateStats();
+      
+      // Name the new model on its side of the comparison view
+      updateCompareView();
+      
+      // Restore the camera and clips of a shared or saved state made with this model
+      // (taken first, so a state that fails to apply isn't applied again to the next model)
+      if (pendingViewState) {
+        const state = pendingViewState;
+        pendingViewState = null;
+        if (state.model === currentModelPath) {
+          applyModelViewState(state);
+        }
+      }
+      scheduleStateSave();
+      return loadedModel;
+    })
+    .catch((error) => {
+      // A newer load has taken over the status display
+      if (activeLoad !== null && activeLoad !== controller) return;
+      
+      // Still loading - otherwise the error was thrown while setting up the loaded model,
+      // after activeLoad was cleared, and is reported all the same
+      if (activeLoad === controller) {
+        activeLoad = null;
+        pendingModelPath = null;
+        renderModelBrowser();
+        hideLoadProgress();
+      }
+      
+      if (controller.signal.aborted || error.name === 'AbortError') {
+        console.log('Model load cancelled');
+        return;
+      }
+      pendingViewState = null;
+      console.error('Error loading model:', error);
+      showLoadError(error.url || (isUserFiles ? 'local files' : source), error.message);
+    });
+}
+
+/**
+ * Remove the loaded model from the scene along with its animations and selection,
+ * and free its GPU resources
+ * 
+ * Afterwards none of the model's geometries and textures should be left on the GPU -
+ * checkModelReleased() reports any that were not disposed.
+ */
+function unloadModel() {
+  // A turntable or benchmark of the previous model ends with it
+  cancelTurntable();
+  cancelBenchmark();
+  
+  // Stop and clear previous animations (uncaching releases the mixer's bindings to the model)
+  if (mixer) {
+    mixer.stopAllAction();
+    if (loadedModel) {
+      mixer.uncacheRoot(loadedModel);
+    }
+    mixer = null;
+  }
+  animations = [];
+  clipRows = [];
+  morphEntries = [];
+  boneList = [];
+  hideSkeleton();
+  renderRigControls();
+  
+  // Remove previous model if exists to prevent duplicates in the scene
+  if (loadedModel) {
+    // Drop the selection first so the gizmo doesn't stay attached to a removed node
+    if (getSelectedObject()) {
+      selectObject(null);
+    }
+    
+    // Measurements, the bounding box and hotspots belong to the model, so they go with it
+    clearMeasurements();
+    hideBoundsOverlay();
+    clearAnnotations();
+    renderMeasurementList();
+    renderAnnotationList();
+    
+    // Give the model its own materials back so they are disposed with it
+    clearRenderMode();
+    
+    // Put the original meshes back and free the simplified levels (stops a generation in progress)
+    clearLODs();
+    renderLODStats();
+    
+    // The validation report was about this model (a report still on its way is dropped)
+    validationReport = null;
+    validationRun++;
+    renderValidationReport();
+    
+    const resources = trackModelResources(loadedModel);
+    scene.remove(loadedModel);
+    disposeModel(loadedModel);
+    loadedModel = null;
+    loadedParser = null;
+    cameraList = [];
+    
+    reportMemoryCheck(checkModelReleased(resources));
+  }
+}
+
+/**
+ * Show whether the last unload released all of the model's GPU resources
+ * @param {Object} result - From checkModelReleased()
+ */
+function reportMemoryCheck(result) {
+  const status = document.getElementById('memory-check');
+  const { geometries, textures } = result;
+  if (result.leaked) {
+    status.textContent = `Leak: ${geometries.leaked} of ${geometries.total} geometries, ${textures.leaked} of ${textures.total} textures not disposed`;
+    console.warn('GPU resources left after unloading the model:', result);
+  } else {
+    status.textContent = `Released: ${geometries.total} geometries, ${textures.total} textures`;
+  }
+  status.classList.toggle('leaked', result.leaked);
+}
+
+/**
+ * Show the progress bar for a load that is starting
+ * @param {string} label - What is being loaded (file name)
+ */
+function showLoadProgress(label) {
+  document.getElementById('load-error').hidden = true;
+  document.getElementById('load-status').hidden = false;
+  document.getElementById('load-status-text').textContent = `Loading ${label}…`;
+  document.getElementById('load-progress-detail').textContent = '';
+  
+  const bar = document.getElementById('load-progress-bar');
+  bar.style.width = '';
+  bar.classList.add('indeterminate');
+}
+
+/**
+ * Update the progress bar from loader progress
+ * @param {Object} progress - { name, loaded, total, itemsLoaded, itemsTotal } from ModelHelper
+ * 
+ * The bar fills with the bytes of the root file, then with the number of files finished
+ * (buffers and textures are only discovered once the root file has been parsed).
+ */
+function updateLoadProgress(progress) {
+  const bar = document.getElementById('load-progress-bar');
+  const rootFraction = progress.itemsLoaded === 0 && progress.total > 0 ? progress.loaded / progress.total : 0;
+  const known = progress.total > 0 || progress.itemsTotal > 0;
+  
+  bar.classList.toggle('indeterminate', !known);
+  if (known) {
+    const fraction = (progress.itemsLoaded + rootFraction) / Math.max(progress.itemsTotal, 1);
+    bar.style.width = `${Math.min(100, fraction * 100).toFixed(1)}%`;
+  }
+  
+  const details = [];
+  if (progress.loaded > 0) {
+    const size = progress.total > 0 ? ` / ${(progress.total / 1024).toFixed(1)}` : '';
+    details.push(`${(progress.loaded / 1024).toFixed(1)}${size} KB`);
+  }
+  if (progress.itemsTotal > 0) {
+    details.push(`${progress.itemsLoaded} of ${progress.itemsTotal} files`);
+  }
+  document.getElementById('load-progress-detail').textContent = details.join(' · ');
+}
+
+/**
+ * Hide the progress bar once a load has finished, failed or been cancelled
+ */
+function hideLoadProgress() {
+  document.getElementById('load-status').hidden = true;
+}
+
+/**
+ * Show why a load failed
+ * @param {string} url - The file that failed (root file, buffer or texture)
+ * @param {string} reason - Error message from the loader
+ */
+function showLoadError(url, reason) {
+  document.getElementById('load-error-url').textContent = url;
+  document.getElementById('load-error-reason').textContent = reason;
+  document.getElementById('load-error').hidden = false;
+}
+
+/**
+ * Set up the load status controls - cancelling a load and dismissing an error
+ */
+function setupLoadStatusControls() {
+  document.getElementById('load-cancel').addEventListener('click', () => {
+    if (activeLoad) {
+      activeLoad.abort();
+    }
+  });
+  
+  document.getElementById('load-error-dismiss').addEventListener('click', () => {
+    document.getElementById('load-error').hidden = true;
+  });
+}
+
+/**
+ * Set up all UI event listeners for model loading and lighting controls
+ * Called once on page load to initialize interactive elements
+ */
+function setupUI() {
+  // Initialize drag-and-drop and the file picker for user models
+  setupFileInput();
+  
+  // Initialize load cancellation and error dismissal
+  setupLoadStatusControls();
+  
+  // Initialize all lighting control sliders and inputs
+  setupLightingControls();
+  
+  // Initialize animation control buttons
+  setupAnimationControls();
+  
+  // Initialize morph target sliders and the skeleton tools of the animation panel
+  setupRigControls();
+  
+  // Initialize environment map and background controls
+  setupEnvironmentControls();
+  
+  // Initialize tone mapping, exposure and color management controls
+  setupRenderSettingsControls();
+  
+  // Initialize the debug render mode switcher
+  setupRenderModeControls();
+  
+  // Initialize the scene graph outliner and transform mode buttons
+  setupOutlinerControls();
+  
+  // Initialize the model comparison table (sorting, baseline, CSV/JSON export)
+  setupStatsTable();
+  
+  // Initialize glTF validation of the loaded model
+  setupValidationControls();
+  
+  // Initialize the side by side, wipe and difference views of a second model
+  setupCompareControls();
+  
+  // Initialize the glTF/GLB export options
+  setupExportControls();
+  
+  // Initialize the performance overlay toggle and benchmark
+  setupPerformanceControls();
+  
+  // Initialize level of detail generation and switch distances
+  setupLODControls();
+  
+  // Initialize the camera dropdown, projection, view presets and saved viewpoints
+  setupCameraControls();
+  
+  // Initialize high-resolution screenshots and turntable recording
+  setupCaptureControls();
+  
+  // Initialize measuring, the bounding box overlay and annotation hotspots
+  setupMeasureControls();
+  
+  // Initialize the share link, reset and automatic saving of the viewer state
+  setupViewerStateControls();
+}
+
+/**
+ * Fetch the model catalog from the server and load the initial model
+ * Prefers the model of a restored viewer state, then scene.gltf, otherwise the first catalog entry
+ */
+function setupModelBrowser() {
+  fetchModelCatalog()
+    .then((catalog) => {
+      modelCatalog = catalog;
+      const restored = pendingViewState && catalog.find((entry) => entry.url === pendingViewState.model);
+      const initial = restored || catalog.find((entry) => entry.name === 'scene.gltf') || catalog[0];
+      renderCompareModelOptions(initial);
+      if (initial) {
+        loadModel(initial.url);
+      } else {
+        renderModelBrowser();
+      }
+    })
+    .catch((error) => {
+      console.error('Error fetching model catalog:', error);
+      // Fall back to the bundled GLTF model
+      loadModel('/public/models/scene.gltf');
+    });
+}
+
+/**
+ * Follow changes to the model files on the server
+ * The catalog is fetched again for new, deleted or resized files; the loaded model and the comparison model
+ * are reloaded when their files change.
+ */
+function setupModelWatcher() {
+  watchModelFiles((change) => {
+    refreshModelCatalog();
+    if (!change.exists) return;
+    
+    // A load of another model in progress replaces the loaded one anyway - a reload of this one starts over
+    if (change.url === currentModelPath && (!activeLoad || pendingModelPath === currentModelPath)) {
+      reloadModel();
+    }
+    if (getComparisonMode() && change.url === document.getElementById('compare-model').value) {
+      loadComparison();
+    }
+  });
+}
+
+/**
+ * Fetch the model catalog again and refresh the model browser and the compare panel's choices
+ */
+function refreshModelCatalog() {
+  fetchModelCatalog()
+    .then((catalog) => {
+      modelCatalog = catalog;
+      renderModelBrowser();
+      renderCompareModelOptions();
+    })
+    .catch((error) => {
+      console.error('Error fetching model catalog:', error);
+    });
+}
+
+/**
+ * Load the current catalog model again, keeping the camera pose and the clips' state
+ * Lights, environment and render settings belong to the viewer rather than the model, so they stay as they are.
+ */
+function reloadModel() {
+  const name = decodeURIComponent(currentModelPath.split('/').pop());
+  
+  // Applied by loadModel() once the new version is in the scene, like a restored state
+  pendingViewState = collectViewerState();
+  loadModel(currentModelPath).then((model) => {
+    if (model) {
+      showToast(`${name} changed on disk - reloaded`);
+    }
+  });
+}
+
+/**
+ * Show a short message at the bottom of the viewport for a few seconds
+ * @param {string} message - Text to show
+ */
+function showToast(message) {
+  const toast = document.getElementById('toast');
+  toast.textContent = message;
+  toast.hidden = false;
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => {
+    toast.hidden = true;
+  }, TOAST_DURATION);
+}
+
+/**
+ * Render the model browser list from the catalog
+ * Each entry shows name, format, size and header metadata; clicking it loads the model
+ */
+function renderModelBrowser() {
+  const list = document.getElementById('model-list');
+  list.innerHTML = '';
+  
+  if (modelCatalog.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'model-empty';
+    empty.textContent = 'No models found in public/models';
+    list.appendChild(empty);
+    return;
+  }
+  
+  modelCatalog.forEach((entry) => {
+    const item = document.createElement('li');
+    item.className = 'model-item' + (entry.url === currentModelPath ? ' active' : '') + (entry.url === pendingModelPath ? ' loading' : '');
+    
+    // First line: name and format badge
+    const title = document.createElement('div');
+    title.className = 'model-item-title';
+    const name = document.createElement('span');
+    name.textContent = entry.name;
+    const badge = document.createElement('span');
+    badge.className = 'model-format-badge';
+    badge.textContent = entry.format.toUpperCase();
+    title.append(name, badge);
+    
+    // Second line: size and header metadata
+    const meta = document.createElement('div');
+    meta.className = 'model-item-meta';
+    const details = [(entry.size / 1024).toFixed(2) + ' KB'];
+    if (entry.error) {
+      details.push('Header error: ' + entry.error);
+    } else {
+      details.push('glTF ' + (entry.version || '?'));
+      if (entry.generator) details.push(entry.generator);
+      if (entry.extensionsUsed.length > 0) details.push(entry.extensionsUsed.join(', '));
+    }
+    meta.textContent = details.join(' · ');
+    
+    item.append(title, meta);
+    
+    // Click handler - load the entry unless it is already shown or loading
+    item.addEventListener('click', () => {
+      if (entry.url !== currentModelPath && entry.url !== pendingModelPath) {
+        loadModel(entry.url);
+      }
+    });
+    
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Set up loading of user models from local files
+ * Files can be dropped onto the canvas or chosen through the file picker.
+ * A .gltf should be selected together with its .bin and texture files.
+ */
+function setupFileInput() {
+  const fileInput = document.getElementById('model-file-input');
+  const dropTarget = renderer.domElement;
+  
+  // File picker - load whatever set of files was selected
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files.length > 0) {
+      loadModel(fileInput.files);
+    }
+    // Clear the value so picking the same files again still triggers a change
+    fileInput.value = '';
+  });
+  
+  // Drag over the canvas - allow dropping and show the drop hint
+  dropTarget.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    document.body.classList.add('drag-over');
+  });
+  
+  dropTarget.addEventListener('dragleave', () => {
+    document.body.classList.remove('drag-over');
+  });
+  
+  // Drop on the canvas - load the dropped files
+  dropTarget.addEventListener('drop', (e) => {
+    e.preventDefault();
+    document.body.classList.remove('drag-over');
+    if (e.dataTransfer.files.length > 0) {
+      loadModel(e.dataTransfer.files);
+    }
+  });
+}
+
+/**
+ * Set up animation control event listeners
+ * Handles play/pause and speed controls for model animations
+ */
+function setupAnimationControls() {
+  const playPauseBtn = document.getElementById('play-pause-btn');
+  const speedSlider = document.getElementById('animation-speed');
+  
+  // Play/Pause button click handler
+  playPauseBtn.addEventListener('click', () => {
+    if (!mixer) return;
+    setAnimationPlayback(!animationsPlaying, parseFloat(speedSlider.value));
+  });
+  
+  // Animation speed slider
+  speedSlider.addEventListener('input', (e) => {
+    setAnimationPlayback(animationsPlaying, parseFloat(e.target.value));
+  });
+  
+  // Crossfade button - fade from one selected clip to another
+  const crossfadeFrom = document.getElementById('crossfade-from');
+  const crossfadeTo = document.getElementById('crossfade-to');
+  const crossfadeDuration = document.getElementById('crossfade-duration');
+  document.getElementById('crossfade-btn').addEventListener('click', () => {
+    const fromRow = clipRows[parseInt(crossfadeFrom.value, 10)];
+    const toRow = clipRows[parseInt(crossfadeTo.value, 10)];
+    if (!fromRow || !toRow || fromRow === toRow) return;
+    
+    const duration = Math.max(0, parseFloat(crossfadeDuration.value) || 0);
+    crossfadeClips(fromRow.action, toRow.action, duration);
+  });
+}
+
+/**
+ * Set up the morph target and skeleton sections of the animation panel
+ */
+function setupRigControls() {
+  const skeletonToggle = document.getElementById('skeleton-helper');
+  skeletonToggle.addEventListener('change', () => {
+    if (skeletonToggle.checked && loadedModel && boneList.length > 0) {
+      showSkeleton(loadedModel);
+    } else {
+      hideSkeleton();
+    }
+  });
+  
+  document.getElementById('bone-select').addEventListener('change', renderBoneRotation);
+  
+  // The bind pose is the pose the mesh was skinned in - a playing clip takes the bones over again on its next frame
+  document.getElementById('bind-pose-btn').addEventListener('click', () => {
+    if (!loadedModel) return;
+    resetBindPose(loadedModel);
+    renderBoneRotation();
+  });
+  
+  document.getElementById('morph-reset-btn').addEventListener('click', () => {
+    resetMorphTargets(morphEntries);
+    renderMorphList();
+  });
+  
+  renderRigControls();
+}
+
+/**
+ * Fill the morph target sliders and the bone list for the loaded model
+ */
+function renderRigControls() {
+  renderMorphList();
+  
+  // Bones are indented by their depth in the skeleton
+  const hasBones = boneList.length > 0;
+  const boneSelect = document.getElementById('bone-select');
+  boneSelect.replaceChildren(...boneList.map(({ bone, depth }, index) => {
+    return new Option(`${'\u00a0\u00a0'.repeat(depth)}${bone.name || `Bone ${index}`}`, index);
+  }));
+  boneSelect.disabled = !hasBones;
+  document.getElementById('skeleton-helper').disabled = !hasBones;
+  document.getElementById('bind-pose-btn').disabled = !hasBones;
+  document.getElementById('skeleton-status').textContent = hasBones
+    ? `${boneList.length} bone(s) - a playing clip overrides rotations set here`
+    : 'No skinned meshes in this model';
+  
+  // The skeleton stays shown from one model to the next
+  if (hasBones && document.getElementById('skeleton-helper').checked) {
+    showSkeleton(loadedModel);
+  }
+  renderBoneRotation();
+}
+
+/**
+ * One slider per morph target, grouped by mesh
+ */
+function renderMorphList() {
+  document.getElementById('morph-reset-btn').disabled = morphEntries.length === 0;
+  document.getElementById('morph-hint').textContent = morphEntries.length > 0
+    ? 'A playing clip that animates a target overrides its slider'
+    : 'No morph targets in this model';
+  
+  document.getElementById('morph-list').replaceChildren(...morphEntries.map((entry) => {
+    const section = document.createElement('div');
+    section.className = 'morph-mesh';
+    
+    const title = document.createElement('h5');
+    title.textContent = entry.name;
+    section.appendChild(title);
+    
+    entry.targets.forEach(({ name, index }) => {
+      section.appendChild(createSliderControl({
+        label: `${name}:`,
+        min: 0,
+        max: 1,
+        step: 0.01,
+        digits: 2,
+        value: entry.meshes[0].morphTargetInfluences[index],
+        onInput: (value) => setMorphInfluence(entry, index, value)
+      }));
+    });
+    return section;
+  }));
+}
+
+/**
+ * Rotation sliders of the bone chosen in the bone list, in degrees
+ */
+function renderBoneRotation() {
+  const container = document.getElementById('bone-rotation');
+  const entry = boneList[parseInt(document.getElementById('bone-select').value, 10)];
+  if (!entry) {
+    container.replaceChildren();
+    return;
+  }
+  
+  const bone = entry.bone;
+  const degrees = new THREE.Vector3(bone.rotation.x, bone.rotation.y, bone.rotation.z).multiplyScalar(THREE.MathUtils.RAD2DEG);
+  container.replaceChildren(createVectorControl({
+    label: 'Rotation (°):', min: -180, max: 180, step: 1, value: degrees,
+    onInput: (axis, value) => { bone.rotation[axis] = THREE.MathUtils.degToRad(value); }
+  }));
+}
+
+/**
+ * Play or pause all animations and set their speed, keeping the animation panel in sync
+ * @param {boolean} playing - Whether animations advance (paused = mixer timeScale 0)
+ * @param {number} speed - Playback speed multiplier (0.0 to 2.0)
+ */
+function setAnimationPlayback(playing, speed) {
+  animationsPlaying = playing;
+  if (mixer) {
+    mixer.timeScale = playing ? speed : 0;
+  }
+  
+  document.getElementById('play-pause-btn').style.background = playing ? '#00aa00' : '#cc6600';
+  document.getElementById('animation-speed').value = speed;
+  document.getElementById('animation-speed-value').textContent = speed.toFixed(1) + 'x';
+}
+
+/**
+ * Crossfade between two clip actions
+ * @param {THREE.AnimationAction} fromAction - Action to fade out
+ * @param {THREE.AnimationAction} toAction - Action to fade in
+ * @param {number} duration - Fade duration in seconds
+ */
+function crossfadeClips(fromAction, toAction, duration) {
+  // The outgoing clip must be running for the fade to have a starting pose
+  if (!fromAction.isRunning()) {
+    fromAction.paused = false;
+    fromAction.play();
+  }
+  
+  // Start the incoming clip from its beginning at full weight, then fade
+  toAction.reset();
+  toAction.setEffectiveWeight(1);
+  toAction.play();
+  fromAction.crossFadeTo(toAction, duration, false);
+  
+  console.log(`Crossfading "${fromAction.getClip().name}" -> "${toAction.getClip().name}" over ${duration}s`);
+}
+
+/**
+ * Update animation UI based on whether animations are available
+ * @param {boolean} hasAnimations - Whether the model has animations
+ */
+function updateAnimationUI(hasAnimations) {
+  const statusText = document.getElementById('animation-status');
+  const playPauseBtn = document.getElementById('play-pause-btn');
+  const speedSlider = document.getElementById('animation-speed');
+  
+  const crossfadeBtn = document.getElementById('crossfade-btn');
+  
+  if (hasAnimations) {
+    statusText.textContent = `${animations.length} animation(s) found and playing`;
+    statusText.style.color = '#00ff00';
+    playPauseBtn.disabled = false;
+    speedSlider.disabled = false;
+    // Crossfading needs two different clips
+    crossfadeBtn.disabled = animations.length < 2;
+  } else {
+    statusText.textContent = 'No animations found in model';
+    statusText.style.color = '#aaa';
+    playPauseBtn.disabled = true;
+    speedSlider.disabled = true;
+    crossfadeBtn.disabled = true;
+  }
+  
+  renderClipList();
+}
+
+/**
+ * Build the per-clip list (play/stop, loop mode, weight, timeline scrubber)
+ * and fill the crossfade clip selectors
+ */
+function renderClipList() {
+  const clipList = document.getElementById('clip-list');
+  const crossfadeFrom = document.getElementById('crossfade-from');
+  const crossfadeTo = document.getElementById('crossfade-to');
+  clipList.innerHTML = '';
+  crossfadeFrom.innerHTML = '';
+  crossfadeTo.innerHTML = '';
+  
+  clipRows.forEach((row, index) => {
+    const { clip, action } = row;
+    const label = clip.name || `Clip ${index + 1}`;
+    
+    const item = document.createElement('div');
+    item.className = 'clip-item';
+    item.innerHTML = `
+      <div class="clip-header">
+        <span class="clip-name"></span>
+        <span class="clip-duration">${clip.duration.toFixed(2)}s</span>
+      </div>
+      <div class="clip-controls">
+        <button class="clip-btn">Stop</button>
+        <select class="clip-loop">
+          <option value="once">Loop Once</option>
+          <option value="repeat" selected>Loop Repeat</option>
+          <option value="pingpong">Ping Pong</option>
+        </select>
+      </div>
+      <div class="control-group">
+        <label>Weight:</label>
+        <input type="range" class="clip-weight" min="0" max="1" step="0.05" value="1">
+        <span class="clip-weight-value">1.00</span>
+      </div>
+      <div class="control-group">
+        <label>Time:</label>
+        <input type="range" class="clip-time" min="0" max="${clip.duration}" step="0.01" value="0">
+        <span class="clip-time-value"></span>
+      </div>`;
+    // Clip names come from the file, so set them as text rather than markup
+    item.querySelector('.clip-name').textContent = label;
+    
+    row.elements = {
+      playBtn: item.querySelector('.clip-btn'),
+      loopSelect: item.querySelector('.clip-loop'),
+      weightSlider: item.querySelector('.clip-weight'),
+      weightValue: item.querySelector('.clip-weight-value'),
+      timeSlider: item.querySelector('.clip-time'),
+      timeValue: item.querySelector('.clip-time-value')
+    };
+    const { playBtn, loopSelect, weightSlider, weightValue, timeSlider } = row.elements;
+    
+    // Play/stop this clip only
+    playBtn.addEventListener('click', () => {
+      if (isClipPlaying(action)) {
+        action.stop();
+      } else {
+        // A finished LoopOnce clip restarts from the beginning
+        if (action.loop === THREE.LoopOnce && action.time >= clip.duration) {
+          action.reset();
+        }
+        // A clip faded out by a crossfade is left disabled
+        action.enabled = true;
+        action.paused = false;
+        action.play();
+      }
+    });
+    
+    // Loop mode for this clip
+    loopSelect.addEventListener('change', (e) => {
+      action.setLoop(LOOP_MODES[e.target.value], Infinity);
+      // Hold the last frame instead of snapping back when a single play ends
+      action.clampWhenFinished = e.target.value === 'once';
+    });
+    
+    // Blend weight of this clip
+    weightSlider.addEventListener('input', (e) => {
+      const weight = parseFloat(e.target.value);
+      action.setEffectiveWeight(weight);
+      weightValue.textContent = weight.toFixed(2);
+    });
+    
+    // Timeline scrubbing - jump the clip to the chosen time
+    timeSlider.addEventListener('input', (e) => {
+      row.scrubbing = true;
+      // A stopped clip is activated in a paused state so its pose shows while scrubbing
+      if (!action.isScheduled()) {
+        action.paused = true;
+        action.play();
+      }
+      action.time = parseFloat(e.target.value);
+      mixer.update(0); // Apply the new pose without advancing time
+    });
+    timeSlider.addEventListener('change', () => {
+      row.scrubbing = false;
+    });
+    
+    clipList.appendChild(item);
+    
+    // Crossfade selectors list the same clips
+    crossfadeFrom.add(new Option(label, index));
+    crossfadeTo.add(new Option(label, index));
+  });
+  
+  // Preselect two different clips for crossfading
+  if (clipRows.length > 1) {
+    crossfadeTo.value = '1';
+  }
+  
+  updateClipTimelines();
+}
+
+/**
+ * Whether a clip action is currently advancing
+ * @param {THREE.AnimationAction} action - The action to check
+ * @returns {boolean}
+ */
+function isClipPlaying(action) {
+  return action.isRunning() || (action.isScheduled() && !action.paused && action.enabled);
+}
+
+/**
+ * Sync the clip list with the mixer - called every frame
+ * Updates play/stop labels, weights (which change during crossfades) and timelines
+ */
+function updateClipTimelines() {
+  clipRows.forEach((row) => {
+    if (!row.elements) return;
+    const { action, clip } = row;
+    const { playBtn, weightSlider, weightValue, timeSlider, timeValue } = row.elements;
+    
+    const playLabel = isClipPlaying(action) ? 'Stop' : 'Play';
+    if (playBtn.textContent !== playLabel) {
+      playBtn.textContent = playLabel;
+      playBtn.classList.toggle('stopped', playLabel === 'Play');
+    }
+    
+    // Effective weight is 0 while a clip is stopped, so show the configured weight then
+    if (action.isScheduled()) {
+      const weight = action.getEffectiveWeight();
+      weightSlider.value = weight;
+      weightValue.textContent = weight.toFixed(2);
+    }
+    
+    // Don't fight the user while they drag the scrubber
+    if (!row.scrubbing) {
+      timeSlider.value = action.time;
+    }
+    timeValue.textContent = `${action.time.toFixed(2)} / ${clip.duration.toFixed(2)}s`;
+  });
+}
+
+/**
+ * Set up all lighting control event listeners
+ * Handles adding/removing lights, the helper toggle and resetting the rig to its defaults
+ */
+function setupLightingControls() {
+  const typeSelect = document.getElementById('light-type');
+  LIGHT_TYPES.forEach((type) => typeSelect.add(new Option(LIGHT_TYPE_LABELS[type], type)));
+  
+  // Add a new light of the selected type
+  document.getElementById('add-light').addEventListener('click', () => {
+    addLight(typeSelect.value);
+    renderLightList();
+  });
+  
+  // Show or hide light helpers (and shadow camera frustums)
+  document.getElementById('light-helpers').addEventListener('change', (e) => {
+    setHelpersVisible(e.target.checked);
+  });
+  
+  // === RESET BUTTON ===
+  // Restores the default rig (ambient + directional light)
+  const resetBtn = document.getElementById('reset-lighting');
+  resetBtn.addEventListener('click', () => {
+    resetLightRig();
+    renderLightList();
+    console.log('Lighting reset to default values');
+  });
+  
+  renderLightList();
+}
+
+/**
+ * Rebuild the light list in the lighting panel
+ * Each light gets a section with the controls its type supports
+ */
+function renderLightList() {
+  const lightList = document.getElementById('light-list');
+  lightList.innerHTML = '';
+  
+  getLights().forEach((entry) => {
+    lightList.appendChild(createLightSection(entry));
+  });
+}
+
+/**
+ * Create the control section for one light
+ * @param {Object} entry - Rig entry from LightingHelper
+ * @returns {HTMLElement} - The light section element
+ */
+function createLightSection(entry) {
+  const { light, type } = entry;
+  const refreshHelpers = () => updateLightHelpers(entry);
+  
+  const section = document.createElement('div');
+  section.className = 'light-section';
+  
+  // Header with the light name and a remove button
+  const header = document.createElement('div');
+  header.className = 'light-section-header';
+  const title = document.createElement('h4');
+  title.textContent = `${LIGHT_TYPE_LABELS[type]} #${entry.id}`;
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'remove-light-btn';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => {
+    removeLight(entry.id);
+    renderLightList();
+  });
+  header.append(title, removeBtn);
+  section.appendChild(header);
+  
+  // Intensity - point and spot lights are in candela, so they need a wider range
+  const maxIntensity = { ambient: 2, hemisphere: 3, directional: 5, point: 200, spot: 200 }[type];
+  section.appendChild(createSliderControl({
+    label: 'Intensity:', min: 0, max: maxIntensity, step: maxIntensity > 10 ? 1 : 0.1, value: light.intensity,
+    onInput: (value) => { light.intensity = value; }
+  }));
+  
+  // Color (sky color for hemisphere lights)
+  section.appendChild(createColorControl({
+    label: type === 'hemisphere' ? 'Sky Color:' : 'Color:',
+    value: '#' + light.color.getHexString(),
+    onInput: (value) => { light.color.setStyle(value); refreshHelpers(); }
+  }));
+  
+  if (type === 'hemisphere') {
+    section.appendChild(createColorControl({
+      label: 'Ground Color:',
+      value: '#' + light.groundColor.getHexString(),
+      onInput: (value) => { light.groundColor.setStyle(value); refreshHelpers(); }
+    }));
+  }
+  
+  // 3D position (ambient lights have none)
+  if (type !== 'ambient') {
+    section.appendChild(createVectorControl({
+      label: 'Position:', min: -10, max: 10, step: 0.5, value: light.position,
+      onInput: (axis, value) => { light.position[axis] = value; refreshHelpers(); }
+    }));
+  }
+  
+  // Aim point for directional and spot lights
+  if (hasTarget(type)) {
+    section.appendChild(createVectorControl({
+      label: 'Target:', min: -10, max: 10, step: 0.5, value: light.target.position,
+      onInput: (axis, value) => { light.target.position[axis] = value; refreshHelpers(); }
+    }));
+  }
+  
+  // Cone shape for spot lights
+  if (type === 'spot') {
+    section.appendChild(createSliderControl({
+      label: 'Angle (°):', min: 1, max: 90, step: 1, value: THREE.MathUtils.radToDeg(light.angle), digits: 0,
+      onInput: (value) => { light.angle = THREE.MathUtils.degToRad(value); refreshHelpers(); }
+    }));
+    section.appendChild(createSliderControl({
+      label: 'Penumbra:', min: 0, max: 1, step: 0.05, value: light.penumbra, digits: 2,
+      onInput: (value) => { light.penumbra = value; }
+    }));
+  }
+  
+  if (canCastShadow(type)) {
+    section.appendChild(createShadowControls(entry, refreshHelpers));
+  }
+  
+  return section;
+}
+
+/**
+ * Create the shadow settings for a shadow-capable light
+ * @param {Object} entry - Rig entry from LightingHelper
+ * @param {Function} refreshHelpers - Redraws the light's helpers
+ * @returns {HTMLElement} - Container with the shadow controls
+ */
+function createShadowControls(entry, refreshHelpers) {
+  const { light, type } = entry;
+  const container = document.createElement('div');
+  container.className = 'shadow-controls';
+  
+  // Settings are only relevant while castShadow is on
+  const settings = document.createElement('div');
+  settings.style.display = light.castShadow ? '' : 'none';
+  
+  container.appendChild(createCheckboxControl({
+    label: 'Cast Shadow', checked: light.castShadow,
+    onChange: (checked) => {
+      light.castShadow = checked;
+      settings.style.display = checked ? '' : 'none';
+      refreshHelpers();
+    }
+  }));
+  
+  // Shadow map resolution
+  settings.appendChild(createSelectControl({
+    label: 'Map Size:',
+    options: [512, 1024, 2048, 4096].map((size) => ({ value: String(size), label: `${size} × ${size}` })),
+    value: String(light.shadow.mapSize.x),
+    onChange: (value) => setShadowMapSize(light, parseInt(value, 10))
+  }));
+  
+  // Depth bias - negative values reduce shadow acne
+  settings.appendChild(createSliderControl({
+    label: 'Bias:', min: -0.01, max: 0.01, step: 0.0001, value: light.shadow.bias, digits: 4,
+    onInput: (value) => { light.shadow.bias = value; }
+  }));
+  
+  // Shadow camera frustum - orthographic extent for directional lights, near/far for all
+  if (type === 'directional') {
+    settings.appendChild(createSliderControl({
+      label: 'Frustum Size:', min: 1, max: 50, step: 0.5, value: light.shadow.camera.right,
+      onInput: (value) => { setShadowFrustum(light, value); refreshHelpers(); }
+    }));
+  }
+  settings.appendChild(createSliderControl({
+    label: 'Camera Near:', min: 0.1, max: 10, step: 0.1, value: light.shadow.camera.near,
+    onInput: (value) => { setShadowCameraRange(light, value, light.shadow.camera.far); refreshHelpers(); }
+  }));
+  settings.appendChild(createSliderControl({
+    label: 'Camera Far:', min: 10, max: 500, step: 5, value: light.shadow.camera.far, digits: 0,
+    onInput: (value) => { setShadowCameraRange(light, light.shadow.camera.near, value); refreshHelpers(); }
+  }));
+  
+  container.appendChild(settings);
+  return container;
+}
+
+/**
+ * Set up environment (image-based lighting) and background controls
+ * Handles loading .hdr/.exr panoramas, intensity, rotation and the background mode
+ */
+function setupEnvironmentControls() {
+  const envName = document.getElementById('env-name');
+  const envFileInput = document.getElementById('env-file-input');
+  const backgroundMode = document.getElementById('background-mode');
+  
+  // Load an HDR/EXR panorama chosen by the user
+  envFileInput.addEventListener('change', () => {
+    const file = envFileInput.files[0];
+    envFileInput.value = '';
+    if (!file) return;
+    
+    envName.textContent = `Loading ${file.name}…`;
+    loadEnvironmentFile(file)
+      .then(() => {
+        envName.textContent = getEnvironmentSettings().name;
+      })
+      .catch((error) => {
+        console.error('Error loading environment:', error);
+        envName.textContent = getEnvironmentSettings().name;
+      });
+  });
+  
+  // Switch back to the bundled neutral environment
+  document.getElementById('env-neutral').addEventListener('click', () => {
+    useNeutralEnvironment();
+    envName.textContent = getEnvironmentSettings().name;
+  });
+  
+  // Environment intensity slider (0.0 to 3.0)
+  const intensityValue = document.getElementById('env-intensity-value');
+  document.getElementById('env-intensity').addEventListener('input', (e) => {
+    const value = parseFloat(e.target.value);
+    setEnvironmentIntensity(value, loadedModel);
+    if (getComparisonModel()) {
+      applyEnvironmentIntensity(getComparisonModel());
+    }
+    intensityValue.textContent = value.toFixed(2);
+  });
+  
+  // Environment rotation slider (0° to 360°)
+  const rotationValue = document.getElementById('env-rotation-value');
+  document.getElementById('env-rotation').addEventListener('input', (e) => {
+    const value = parseFloat(e.target.value);
+    setEnvironmentRotation(value);
+    rotationValue.textContent = value + '°';
+  });
+  
+  // Background mode: sharp environment, blurred environment or solid color
+  backgroundMode.addEventListener('change', (e) => {
+    setBackgroundMode(e.target.value);
+    syncEnvironmentControls();
+  });
+  
+  // Background blurriness slider (0.0 to 1.0)
+  const blurValue = document.getElementById('background-blurriness-value');
+  document.getElementById('background-blurriness').addEventListener('input', (e) => {
+    const value = parseFloat(e.target.value);
+    setBackgroundBlurriness(value);
+    blurValue.textContent = value.toFixed(2);
+  });
+  
+  // Solid background color picker
+  document.getElementById('background-color').addEventListener('input', (e) => {
+    setBackgroundColor(e.target.value);
+  });
+  
+  syncEnvironmentControls();
+}
+
+/**
+ * Reflect the current environment settings in the environment panel
+ * Shows only the background options that apply to the background mode
+ */
+function syncEnvironmentControls() {
+  const settings = getEnvironmentSettings();
+  document.getElementById('env-name').textContent = settings.name;
+  document.getElementById('env-intensity').value = settings.intensity;
+  document.getElementById('env-intensity-value').textContent = settings.intensity.toFixed(2);
+  document.getElementById('env-rotation').value = settings.rotation;
+  document.getElementById('env-rotation-value').textContent = settings.rotation + '°';
+  document.getElementById('background-mode').value = settings.backgroundMode;
+  document.getElementById('background-blurriness').value = settings.blurriness;
+  document.getElementById('background-blurriness-value').textContent = settings.blurriness.toFixed(2);
+  document.getElementById('background-color').value = settings.backgroundColor;
+  
+  document.getElementById('background-blur-group').style.display = settings.backgroundMode === 'blurred' ? '' : 'none';
+  document.getElementById('background-color-group').style.display = settings.backgroundMode === 'color' ? '' : 'none';
+}
+
+/**
+ * Set up render settings controls
+ * Tone mapping operator, exposure, output color space and physically correct lights
+ */
+function setupRenderSettingsControls() {
+  const toneMappingSelect = document.getElementById('tone-mapping');
+  const exposureSlider = document.getElementById('exposure');
+  const exposureValue = document.getElementById('exposure-value');
+  const colorSpaceSelect = document.getElementById('output-color-space');
+  const physicalLights = document.getElementById('physical-lights');
+  
+  Object.entries(TONE_MAPPING_OPTIONS).forEach(([key, option]) => toneMappingSelect.add(new Option(option.label, key)));
+  Object.entries(OUTPUT_COLOR_SPACE_OPTIONS).forEach(([key, option]) => colorSpaceSelect.add(new Option(option.label, key)));
+  
+  // Tone mapping operator
+  toneMappingSelect.addEventListener('change', (e) => {
+    applyRenderSettings({ toneMapping: e.target.value });
+    updateRenderSettingsStats();
+  });
+  
+  // Exposure slider (0.0 to 4.0)
+  exposureSlider.addEventListener('input', (e) => {
+    const value = parseFloat(e.target.value);
+    applyRenderSettings({ exposure: value });
+    exposureValue.textContent = value.toFixed(2);
+    updateRenderSettingsStats();
+  });
+  
+  // Output color space
+  colorSpaceSelect.addEventListener('change', (e) => {
+    applyRenderSettings({ outputColorSpace: e.target.value });
+    updateRenderSettingsStats();
+  });
+  
+  // Physically correct lights (off = legacy light intensities)
+  physicalLights.addEventListener('change', (e) => {
+    applyRenderSettings({ physicallyCorrectLights: e.target.checked });
+    updateRenderSettingsStats();
+  });
+  
+  // Restore defaults
+  document.getElementById('reset-render-settings').addEventListener('click', () => {
+    resetRenderSettings();
+    syncRenderSettingsControls();
+    console.log('Render settings reset to default values');
+  });
+  
+  syncRenderSettingsControls();
+}
+
+/**
+ * Reflect the current render settings in the controls and the stats panel
+ */
+function syncRenderSettingsControls() {
+  const settings = getRenderSettings();
+  document.getElementById('tone-mapping').value = settings.toneMapping;
+  document.getElementById('exposure').value = settings.exposure;
+  document.getElementById('exposure-value').textContent = settings.exposure.toFixed(2);
+  document.getElementById('output-color-space').value = settings.outputColorSpace;
+  document.getElementById('physical-lights').checked = settings.physicallyCorrectLights;
+  updateRenderSettingsStats();
+}
+
+/**
+ * Show the active render settings in the stats panel
+ * Keeps screenshots of the panel traceable to the settings they were rendered with
+ */
+function updateRenderSettingsStats() {
+  const description = describeRenderSettings();
+  document.getElementById('render-tonemapping').textContent = description.toneMapping;
+  document.getElementById('render-exposure').textContent = description.exposure;
+  document.getElementById('render-colorspace').textContent = description.outputColorSpace;
+  document.getElementById('render-lights').textContent = description.lights;
+}
+
+/**
+ * Set up the debug view panel
+ * The render mode replaces the model's materials until Shaded is chosen again
+ */
+function setupRenderModeControls() {
+  const modeSelect = document.getElementById('render-mode');
+  Object.entries(RENDER_MODES).forEach(([key, mode]) => modeSelect.add(new Option(mode.label, key)));
+  modeSelect.value = getRenderMode();
+  
+  modeSelect.addEventListener('change', () => {
+    updateRenderModeHint(setRenderMode(modeSelect.value, loadedModel));
+    
+    // Environment intensity changes made while a debug mode was showing only reached the debug materials
+    if (loadedModel) {
+      applyEnvironmentIntensity(loadedModel);
+    }
+  });
+  
+  updateRenderModeHint(null);
+}
+
+/**
+ * Describe the current render mode and what it found in the model
+ * @param {Object|null} summary - From setRenderMode() / applyRenderMode() (null before a model is loaded)
+ */
+function updateRenderModeHint(summary) {
+  const mode = getRenderMode();
+  let text = RENDER_MODES[mode].hint;
+  
+  if (summary && mode === 'uv' && summary.withoutUVs > 0) {
+    text += ` - ${summary.withoutUVs} of ${summary.meshes} mesh(es) have no UVs`;
+  } else if (summary && mode === 'normals') {
+    text += ` - ${summary.withTangents} of ${summary.meshes} mesh(es) have tangents`;
+  }
+  document.getElementById('render-mode-hint').textContent = text;
+}
+
+/**
+ * Set up the camera panel
+ * Camera dropdown (embedded cameras and the orbit camera), projection toggle, FOV,
+ * front/top/side presets and named viewpoints with animated transitions
+ */
+function setupCameraControls() {
+  const cameraSelect = document.getElementById('camera-select');
+  const projectionSelect = document.getElementById('camera-projection');
+  const fovSlider = document.getElementById('camera-fov');
+  const viewpointName = document.getElementById('viewpoint-name');
+  
+  // Switch cameras - the orbit camera keeps its own view for when the user comes back to it
+  cameraSelect.addEventListener('change', () => {
+    if (!controls) return;
+    if (activeCameraIndex === null) {
+      orbitTarget.copy(controls.target);
+    }
+    selectCamera(cameraSelect.value === 'orbit' ? null : parseInt(cameraSelect.value, 10));
+  });
+  
+  // Perspective / orthographic - continue from the current view with the orbit camera of that projection
+  projectionSelect.addEventListener('change', () => {
+    projection = projectionSelect.value;
+    if (!controls) return;
+    
+    const target = controls.target.clone();
+    if (projection === 'orthographic') {
+      matchOrthographic(orthoCamera, camera, target, window.innerWidth / window.innerHeight);
+    } else {
+      matchPerspective(defaultCamera, camera, target);
+    }
+    orbitTarget.copy(target);
+    selectCamera(null);
+  });
+  
+  // Field of view of the active perspective camera
+  fovSlider.addEventListener('input', (e) => {
+    if (!camera.isPerspectiveCamera) return;
+    camera.fov = parseFloat(e.target.value);
+    camera.updateProjectionMatrix();
+    document.getElementById('camera-fov-value').textContent = `${camera.fov.toFixed(0)}°`;
+  });
+  
+  // Front / top / side presets - fly to the axis view at the current distance
+  document.querySelectorAll('.view-preset-btn').forEach((button) => {
+    button.addEventListener('click', () => {
+      if (!controls) return;
+      flyToViewpoint(getPresetViewpoint(button.dataset.view, camera, controls.target));
+    });
+  });
+  
+  // Save the current view under a name (an existing viewpoint with that name is replaced)
+  document.getElementById('viewpoint-save').addEventListener('click', () => {
+    if (!controls) return;
+    const name = viewpointName.value.trim() || `View ${savedViewpoints.length + 1}`;
+    const viewpoint = captureViewpoint(name, camera, controls.target);
+    const existing = savedViewpoints.findIndex((entry) => entry.name === name);
+    if (existing >= 0) {
+      savedViewpoints[existing] = viewpoint;
+    } else {
+      savedViewpoints.push(viewpoint);
+    }
+    viewpointName.value = '';
+    renderViewpointList();
+  });
+  
+  renderViewpointList();
+}
+
+/**
+ * View through one of the model's cameras or the orbit camera, and bind OrbitControls to it
+ * @param {number|null} index - Index into cameraList, or null for the orbit camera
+ * 
+ * Embedded cameras are viewed through a parentless copy (see detachCamera), so orbiting
+ * never moves the camera node inside the model; selecting the camera again restores its framing.
+ */
+function selectCamera(index) {
+  cancelCameraTransition();
+  cancelTurntable();
+  cancelBenchmark();
+  activeCameraIndex = index;
+  
+  let target;
+  if (index === null) {
+    camera = projection === 'orthographic' ? orthoCamera : defaultCamera;
+    target = orbitTarget;
+  } else {
+    camera = detachCamera(cameraList[index]);
+    // Orbit around a point in front of the camera, as far away as the model's center
+    target = getOrbitTarget(camera, new THREE.Vector3());
+  }
+  
+  updateCameraAspect(camera);
+  controls.object = camera;
+  controls.enabled = true; // Orbiting was paused if a transition was cancelled above
+  controls.target.copy(target);
+  controls.update();
+  setSelectionCamera(camera);
+  updateCameraUI();
+}
+
+/**
+ * Animate the active camera to a viewpoint
+ * @param {Object} viewpoint - { position, target, fov, zoom } (see captureViewpoint)
+ */
+function flyToViewpoint(viewpoint) {
+  // User input would fight the transition, so orbiting is paused until the camera arrives
+  controls.enabled = false;
+  startCameraTransition(camera, controls.target, viewpoint, CAMERA_TRANSITION_DURATION)
+    .then((arrived) => {
+      // A turntable, benchmark, camera switch or another flight cancelled it and now owns the controls
+      if (!arrived) return;
+      controls.enabled = true;
+      updateCameraUI();
+      scheduleStateSave();
+    });
+}
+
+/**
+ * Refresh the camera dropdown and the FOV slider for the active camera
+ */
+function updateCameraUI() {
+  const cameraSelect = document.getElementById('camera-select');
+  cameraSelect.innerHTML = '';
+  
+  const orbitOption = document.createElement('option');
+  orbitOption.value = 'orbit';
+  orbitOption.textContent = `Orbit Camera (${projection})`;
+  cameraSelect.appendChild(orbitOption);
+  
+  cameraList.forEach((embedded, index) => {
+    const option = document.createElement('option');
+    option.value = String(index);
+    option.textContent = describeCamera(embedded, index);
+    cameraSelect.appendChild(option);
+  });
+  cameraSelect.value = activeCameraIndex === null ? 'orbit' : String(activeCameraIndex);
+  
+  // FOV only applies to perspective cameras
+  const fovSlider = document.getElementById('camera-fov');
+  const fovValue = document.getElementById('camera-fov-value');
+  fovSlider.disabled = !camera.isPerspectiveCamera;
+  if (camera.isPerspectiveCamera) {
+    fovSlider.value = camera.fov;
+    fovValue.textContent = `${camera.fov.toFixed(0)}°`;
+  } else {
+    fovValue.textContent = '-';
+  }
+}
+
+/**
+ * Render the saved viewpoints - click a name to fly there, ✕ to delete it
+ */
+function renderViewpointList() {
+  const list = document.getElementById('viewpoint-list');
+  list.innerHTML = '';
+  
+  if (savedViewpoints.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'panel-hint';
+    empty.textContent = 'No saved viewpoints';
+    list.appendChild(empty);
+    return;
+  }
+  
+  savedViewpoints.forEach((viewpoint) => {
+    const item = document.createElement('li');
+    item.className = 'viewpoint-item';
+    
+    const recall = document.createElement('button');
+    recall.className = 'viewpoint-recall';
+    recall.textContent = viewpoint.name;
+    recall.title = viewpoint.fov ? `FOV ${viewpoint.fov.toFixed(0)}°` : 'Orthographic';
+    recall.addEventListener('click', () => {
+      if (controls) {
+        flyToViewpoint(viewpoint);
+      }
+    });
+    
+    const remove = document.createElement('button');
+    remove.className = 'viewpoint-remove';
+    remove.textContent = '✕';
+    remove.title = 'Delete viewpoint';
+    remove.addEventListener('click', () => {
+      savedViewpoints = savedViewpoints.filter((entry) => entry !== viewpoint);
+      renderViewpointList();
+    });
+    
+    item.append(recall, remove);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Set up the viewer state panel and automatic saving
+ * Any change in the controls panel, orbit or model load saves the state to the URL hash and as the
+ * user's default; the panel copies a share link or resets the viewer to its defaults
+ */
+function setupViewerStateControls() {
+  const status = document.getElementById('viewer-state-status');
+  
+  // Controls may change the state on any of these events - the viewer state panel's own buttons don't
+  const panel = document.getElementById('controls-panel');
+  ['input', 'change', 'click'].forEach((type) => {
+    panel.addEventListener(type, (e) => {
+      if (!e.target.closest('#viewer-state-panel')) {
+        scheduleStateSave();
+      }
+    });
+  });
+  
+  // Copy a link that opens the viewer as it is now
+  document.getElementById('viewer-state-share').addEventListener('click', () => {
+    const state = collectViewerState();
+    writeStateToHash(state);
+    const url = getShareURL(state);
+    // The clipboard API is missing outside secure contexts - the address bar has the same link
+    const copying = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('No clipboard access'));
+    copying
+      .then(() => {
+        status.textContent = 'Share link copied to the clipboard';
+      })
+      .catch(() => {
+        status.textContent = 'Copy the share link from the address bar';
+      });
+  });
+  
+  // Back to the defaults, forgetting the saved default and the shared state
+  document.getElementById('viewer-state-reset').addEventListener('click', () => {
+    resetViewerState();
+    status.textContent = 'Viewer reset to defaults';
+  });
+  
+  // A shared link opened in a tab that already shows the viewer
+  window.addEventListener('hashchange', () => {
+    restoreViewerStateOrReset(readStateFromHash());
+  });
+}
+
+/**
+ * Capture everything needed to show the viewer as it is now
+ * @returns {Object} - JSON-safe state: { model, camera, lighting, animation, render, environment, viewpoints }
+ * 
+ * Environments loaded from user files can't be restored, so only their settings are kept.
+ */
+function collectViewerState() {
+  const view = controls ? captureViewpoint('', camera, controls.target) : null;
+  const environment = getEnvironmentSettings();
+  
+  return {
+    model: currentModelPath,
+    camera: view && {
+      index: activeCameraIndex,
+      projection: projection,
+      position: view.position,
+      target: view.target,
+      fov: view.fov,
+      zoom: view.zoom
+    },
+    lighting: {
+      lights: serializeLightRig(),
+      helpers: document.getElementById('light-helpers').checked
+    },
+    animation: {
+      playing: animationsPlaying,
+      speed: parseFloat(document.getElementById('animation-speed').value),
+      clips: clipRows.map(({ clip, action }) => ({
+        name: clip.name,
+        playing: isClipPlaying(action),
+        time: action.time,
+        weight: action.weight,
+        loop: Object.keys(LOOP_MODES).find((key) => LOOP_MODES[key] === action.loop)
+      }))
+    },
+    render: { ...getRenderSettings() },
+    environment: {
+      intensity: environment.intensity,
+      rotation: environment.rotation,
+      backgroundMode: environment.backgroundMode,
+      backgroundColor: environment.backgroundColor,
+      blurriness: environment.blurriness
+    },
+    viewpoints: savedViewpoints
+  };
+}
+
+/**
+ * Restore a shared or saved viewer state
+ * @param {Object|null} state - State from collectViewerState (null restores nothing)
+ * 
+ * Lights, render and environment settings, animation playback and viewpoints apply right away.
+ * The camera pose and clip states apply once the state's model has loaded (see applyModelViewState).
+ * Sections that are missing or invalid are skipped, so a hand-edited link restores what it can.
+ */
+function restoreViewerState(state) {
+  if (!state) return;
+  
+  if (state.lighting && Array.isArray(state.lighting.lights)) {
+    restoreLightRig(state.lighting.lights);
+    const helpers = state.lighting.helpers !== false;
+    document.getElementById('light-helpers').checked = helpers;
+    setHelpersVisible(helpers);
+    renderLightList();
+  }
+  
+  if (state.render) {
+    const { toneMapping, exposure, outputColorSpace, physicallyCorrectLights } = state.render;
+    const changes = {};
+    if (Object.hasOwn(TONE_MAPPING_OPTIONS, toneMapping)) {
+      changes.toneMapping = toneMapping;
+    }
+    if (Number.isFinite(exposure)) {
+      changes.exposure = exposure;
+    }
+    if (Object.hasOwn(OUTPUT_COLOR_SPACE_OPTIONS, outputColorSpace)) {
+      changes.outputColorSpace = outputColorSpace;
+    }
+    if (typeof physicallyCorrectLights === 'boolean') {
+      changes.physicallyCorrectLights = physicallyCorrectLights;
+    }
+    applyRenderSettings(changes);
+    syncRenderSettingsControls();
+  }
+  
+  if (state.environment) {
+    const { intensity, rotation, backgroundMode, backgroundColor, blurriness } = state.environment;
+    if (Number.isFinite(intensity)) {
+      setEnvironmentIntensity(intensity, loadedModel);
+    }
+    // Rotating re-renders the environment, so only do it when needed
+    if (Number.isFinite(rotation) && rotation !== getEnvironmentSettings().rotation) {
+      setEnvironmentRotation(rotation);
+    }
+    if (Array.from(document.getElementById('background-mode').options).some((option) => option.value === backgroundMode)) {
+      setBackgroundMode(backgroundMode);
+    }
+    if (/^#[0-9a-f]{6}$/i.test(backgroundColor)) {
+      setBackgroundColor(backgroundColor);
+    }
+    if (Number.isFinite(blurriness)) {
+      setBackgroundBlurriness(blurriness);
+    }
+    syncEnvironmentControls();
+  }
+  
+  if (state.animation && Number.isFinite(state.animation.speed)) {
+    setAnimationPlayback(state.animation.playing !== false, state.animation.speed);
+  }
+  
+  if (Array.isArray(state.viewpoints)) {
+    savedViewpoints = state.viewpoints.map(sanitizeViewpoint).filter(Boolean);
+    renderViewpointList();
+  }
+  
+  if (state.camera && (state.camera.projection === 'perspective' || state.camera.projection === 'orthographic')) {
+    projection = state.camera.projection;
+    document.getElementById('camera-projection').value = projection;
+  }
+  
+  // The camera and clips belong to the state's model - apply now if it is shown, otherwise load it first
+  pendingViewState = state;
+  if (state.model && state.model === currentModelPath) {
+    pendingViewState = null;
+    applyModelViewState(state);
+  } else if (modelCatalog.some((entry) => entry.url === state.model)) {
+    loadModel(state.model);
+  }
+}
+
+/**
+ * Restore a viewer state, falling back to the default state if it cannot be applied
+ * @param {Object|null} state - State from collectViewerState
+ * 
+ * The saved default and the link are cleared too, so a broken state is not restored again on reload.
+ */
+function restoreViewerStateOrReset(state) {
+  try {
+    restoreViewerState(state);
+  } catch (error) {
+    console.error('Could not restore the viewer state:', error);
+    pendingViewState = null;
+    resetViewerState();
+  }
+}
+
+/**
+ * Apply the model-specific part of a restored state: camera pose and clip states
+ * @param {Object} state - Restored state whose model is loaded
+ */
+function applyModelViewState(state) {
+  const view = state.camera;
+  if (view && Array.isArray(view.position) && Array.isArray(view.target)) {
+    selectCamera(Number.isInteger(view.index) && cameraList[view.index] ? view.index : null);
+    camera.position.fromArray(view.position);
+    controls.target.fromArray(view.target);
+    if (camera.isPerspectiveCamera && Number.isFinite(view.fov)) {
+      camera.fov = view.fov;
+    }
+    if (Number.isFinite(view.zoom)) {
+      camera.zoom = view.zoom;
+    }
+    camera.updateProjectionMatrix();
+    controls.update();
+    updateCameraUI();
+  }
+  
+  // Clips are matched by position and name, so a state made with another version of the model is skipped
+  if (mixer && state.animation && Array.isArray(state.animation.clips)) {
+    state.animation.clips.forEach((saved, index) => {
+      const row = clipRows[index];
+      if (!row || row.clip.name !== saved.name) return;
+      
+      const { action, clip, elements } = row;
+      const loop = Object.hasOwn(LOOP_MODES, saved.loop) ? saved.loop : 'repeat';
+      const weight = Number.isFinite(saved.weight) ? saved.weight : 1;
+      action.setLoop(LOOP_MODES[loop], Infinity);
+      action.clampWhenFinished = loop === 'once';
+      action.enabled = true;
+      action.setEffectiveWeight(weight);
+      
+      // A clip that isn't playing is either stopped or paused at a scrubbed time
+      const time = THREE.MathUtils.clamp(Number(saved.time) || 0, 0, clip.duration);
+      if (saved.playing || time > 0) {
+        action.paused = !saved.playing;
+        action.play();
+      } else {
+        action.stop();
+      }
+      action.time = time;
+      
+      elements.loopSelect.value = loop;
+      elements.weightSlider.value = weight;
+      elements.weightValue.textContent = weight.toFixed(2);
+    });
+    mixer.update(0); // Show the restored poses without advancing time
+  }
+}
+
+/**
+ * Save the viewer state to the URL hash and as the user's default once changes pause
+ */
+function scheduleStateSave() {
+  clearTimeout(stateSaveTimer);
+  stateSaveTimer = setTimeout(() => {
+    const state = collectViewerState();
+    writeStateToHash(state);
+    saveDefaultState(state);
+  }, STATE_SAVE_DELAY);
+}
+
+/**
+ * Put the viewer back to its defaults and forget the saved default and the shared state
+ * Resets lights, render and environment settings, animation playback, the camera and saved viewpoints;
+ * the loaded model stays
+ */
+function resetViewerState() {
+  clearTimeout(stateSaveTimer);
+  clearDefaultState();
+  clearStateHash();
+  
+  resetLightRig();
+  document.getElementById('light-helpers').checked = true;
+  setHelpersVisible(true);
+  renderLightList();
+  
+  resetRenderSettings();
+  syncRenderSettingsControls();
+  
+  resetEnvironmentSettings(loadedModel);
+  syncEnvironmentControls();
+  
+  // All clips play again from the start, as after loading
+  setAnimationPlayback(true, 1);
+  clipRows.forEach(({ action }) => {
+    action.setLoop(THREE.LoopRepeat, Infinity);
+    action.clampWhenFinished = false;
+    action.reset();
+    action.setEffectiveWeight(1);
+    action.play();
+  });
+  renderClipList();
+  
+  savedViewpoints = [];
+  renderViewpointList();
+  
+  // Frame the model as it was framed when loaded
+  projection = 'perspective';
+  document.getElementById('camera-projection').value = projection;
+  if (loadedModel && orbitHome) {
+    defaultCamera.position.fromArray(orbitHome.position);
+    defaultCamera.fov = orbitHome.fov;
+    defaultCamera.zoom = 1;
+    defaultCamera.updateProjectionMatrix();
+    orbitTarget.fromArray(orbitHome.target);
+    matchOrthographic(orthoCamera, defaultCamera, orbitTarget, window.innerWidth / window.innerHeight);
+    retrieveListOfCameras(loadedModel);
+  }
+}
+
+/**
+ * Set up the capture panel
+ * Saves PNG screenshots rendered offscreen at any resolution, and records turntable videos
+ */
+function setupCaptureControls() {
+  const presetSelect = document.getElementById('capture-preset');
+  const widthInput = document.getElementById('capture-width');
+  const heightInput = document.getElementById('capture-height');
+  const backgroundSelect = document.getElementById('capture-background');
+  const colorGroup = document.getElementById('capture-color-group');
+  const hideHelpers = document.getElementById('capture-hide-helpers');
+  const screenshotBtn = document.getElementById('screenshot-btn');
+  const turntableBtn = document.getElementById('turntable-btn');
+  const status = document.getElementById('capture-status');
+  
+  // Presets fill in the size; editing the size by hand makes it a custom size
+  presetSelect.addEventListener('change', () => {
+    if (!presetSelect.value) return;
+    const [width, height] = presetSelect.value.split('x');
+    widthInput.value = width;
+    heightInput.value = height;
+  });
+  [widthInput, heightInput].forEach((input) => {
+    input.addEventListener('input', () => {
+      presetSelect.value = `${widthInput.value}x${heightInput.value}`;
+      if (presetSelect.selectedIndex < 0) {
+        presetSelect.value = '';
+      }
+    });
+  });
+  
+  // The color picker only applies to the solid background
+  const updateColorGroup = () => {
+    colorGroup.style.display = backgroundSelect.value === 'color' ? '' : 'none';
+  };
+  backgroundSelect.addEventListener('change', updateColorGroup);
+  
+  // Render the current camera's view offscreen and download it as PNG
+  screenshotBtn.addEventListener('click', () => {
+    if (!loadedModel) {
+      status.textContent = 'Load a model first';
+      return;
+    }
+    
+    const maxSize = getMaxScreenshotSize(renderer);
+    const width = THREE.MathUtils.clamp(parseInt(widthInput.value, 10) || 1920, 16, maxSize);
+    const height = THREE.MathUtils.clamp(parseInt(heightInput.value, 10) || 1080, 16, maxSize);
+    widthInput.value = width;
+    heightInput.value = height;
+    
+    screenshotBtn.disabled = true;
+    status.textContent = `Rendering ${width} × ${height}…`;
+    
+    captureScreenshot(renderer, scene, camera, {
+      width: width,
+      height: height,
+      background: backgroundSelect.value,
+      color: document.getElementById('capture-color').value,
+      hidden: hideHelpers.checked ? getViewerHelpers() : []
+    })
+      .then((blob) => {
+        const file = new File([blob], `${getCaptureBaseName()}_${width}x${height}.png`, { type: 'image/png' });
+        downloadFile(file);
+        status.textContent = `${file.name} (${(file.size / 1024).toFixed(2)} KB)`;
+      })
+      .catch((error) => {
+        console.error('Error capturing screenshot:', error);
+        status.textContent = `Screenshot failed: ${error.message}`;
+      })
+      .finally(() => {
+        screenshotBtn.disabled = false;
+      });
+  });
+  
+  // Record one orbit around the model as WebM - the same button cancels a running recording
+  turntableBtn.addEventListener('click', () => {
+    if (isTurntableRunning()) {
+      cancelTurntable();
+      return;
+    }
+    if (!loadedModel || !controls || !orbitHome) {
+      status.textContent = 'Load a model first';
+      return;
+    }
+    if (isBenchmarkRunning()) {
+      status.textContent = 'Wait for the benchmark to finish';
+      return;
+    }
+    
+    const duration = THREE.MathUtils.clamp(parseFloat(document.getElementById('turntable-duration').value) || 6, 1, 120);
+    const frameRate = parseInt(document.getElementById('turntable-fps').value, 10);
+    const hidden = hideHelpers.checked ? getViewerHelpers().filter((object) => object.visible) : [];
+    
+    // The turntable drives the camera, so user input is ignored until it finishes
+    cancelCameraTransition();
+    controls.enabled = false;
+    hidden.forEach((object) => {
+      object.visible = false;
+    });
+    turntableBtn.textContent = 'Cancel Recording';
+    status.textContent = `Recording ${duration}s at ${frameRate} fps…`;
+    
+    // Orbit around the model's center, where centerModel() aimed the orbit camera
+    const center = new THREE.Vector3().fromArray(orbitHome.target);
+    startTurntable(renderer.domElement, camera, center, { duration: duration, frameRate: frameRate })
+      .then((blob) => {
+        const file = new File([blob], `${getCaptureBaseName()}_turntable.webm`, { type: 'video/webm' });
+        downloadFile(file);
+        status.textContent = `${file.name} (${(file.size / 1024).toFixed(2)} KB)`;
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') {
+          status.textContent = 'Recording cancelled';
+          return;
+        }
+        console.error('Error recording turntable:', error);
+        status.textContent = `Recording failed: ${error.message}`;
+      })
+      .finally(() => {
+        controls.enabled = true;
+        hidden.forEach((object) => {
+          object.visible = true;
+        });
+        turntableBtn.textContent = 'Record Turntable';
+      });
+  });
+  
+  updateColorGroup();
+}
+
+/**
+ * Scene objects that belong to the viewer rather than the model: light helpers, the selection box
+ * and the transform gizmo - left out of captures
+ * @returns {THREE.Object3D[]}
+ */
+function getViewerHelpers() {
+  return scene.children.filter((child) => child !== loadedModel && !child.isLight && !child.isCamera);
+}
+
+/**
+ * File name prefix for captures of the loaded model
+ * @returns {string}
+ */
+function getCaptureBaseName() {
+  return (getCurrentStats().name || 'model').replace(/\.(gltf|glb)$/i, '');
+}
+
+/**
+ * Set up the measure & annotate panel
+ * Switches what a click on the model does (select, measure, annotate), and toggles the bounding box overlay
+ */
+function setupMeasureControls() {
+  const toolButtons = document.querySelectorAll('.canvas-tool-btn');
+  const toolHint = document.getElementById('canvas-tool-hint');
+  
+  // Select / Measure / Annotate buttons switch the canvas tool
+  toolButtons.forEach((button) => {
+    button.addEventListener('click', () => {
+      canvasTool = button.dataset.tool;
+      toolButtons.forEach((other) => other.classList.toggle('active', other === button));
+      toolHint.textContent = CANVAS_TOOL_HINTS[canvasTool];
+    });
+  });
+  toolHint.textContent = CANVAS_TOOL_HINTS[canvasTool];
+  
+  document.getElementById('measure-clear').addEventListener('click', () => {
+    clearMeasurements();
+    renderMeasurementList();
+  });
+  
+  document.getElementById('bounds-overlay').addEventListener('change', updateBoundsOverlay);
+  
+  renderMeasurementList();
+  renderAnnotationList();
+}
+
+/**
+ * Show the loaded model's width, height and depth, and the bounding box overlay when it is turned on
+ * The box is measured in world units after centering, so it matches what the measure tool reports
+ */
+function updateBoundsOverlay() {
+  const dimensions = document.getElementById('bounds-dimensions');
+  hideBoundsOverlay();
+  if (!loadedModel) {
+    dimensions.textContent = '';
+    return;
+  }
+  
+  const size = document.getElementById('bounds-overlay').checked
+    ? showBoundsOverlay(loadedModel)
+    : getModelBounds(loadedModel).getSize(new THREE.Vector3());
+  dimensions.textContent = `W ${formatLength(size.x)} × H ${formatLength(size.y)} × D ${formatLength(size.z)}`;
+}
+
+/**
+ * Rebuild the measurement list
+ */
+function renderMeasurementList() {
+  const list = document.getElementById('measurement-list');
+  list.innerHTML = '';
+  
+  getMeasurements().forEach((measurement, index) => {
+    const item = document.createElement('li');
+    item.className = 'measurement-item';
+    
+    const label = document.createElement('span');
+    label.textContent = `${index + 1}. ${formatLength(measurement.distance)}`;
+    
+    const remove = document.createElement('button');
+    remove.className = 'measurement-remove';
+    remove.textContent = '✕';
+    remove.title = 'Delete measurement';
+    remove.addEventListener('click', () => {
+      removeMeasurement(measurement.id);
+      renderMeasurementList();
+    });
+    
+    item.append(label, remove);
+    list.appendChild(item);
+  });
+  
+  // Tell the user what the next click does
+  if (hasPendingPoint() || list.children.length === 0) {
+    const hint = document.createElement('li');
+    hint.className = 'panel-hint';
+    hint.textContent = hasPendingPoint() ? 'Click the second point' : 'No measurements';
+    list.appendChild(hint);
+  }
+}
+
+/**
+ * Pin a new annotation where the model was clicked and save it
+ * @param {THREE.Intersection} hit - Hit from raycastModel
+ */
+function placeAnnotation(hit) {
+  const input = document.getElementById('annotation-text');
+  const text = input.value.trim() || `Note ${getAnnotations().length + 1}`;
+  addAnnotation(hit, text, loadedModel, loadedParser);
+  input.value = '';
+  renderAnnotationList();
+  persistAnnotations();
+}
+
+/**
+ * Rebuild the annotation list - notes can be edited in place
+ */
+function renderAnnotationList() {
+  const list = document.getElementById('annotation-list');
+  list.innerHTML = '';
+  
+  const annotations = getAnnotations();
+  if (annotations.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'panel-hint';
+    empty.textContent = 'No annotations';
+    list.appendChild(empty);
+    return;
+  }
+  
+  annotations.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.className = 'annotation-item';
+    
+    const number = document.createElement('span');
+    number.className = 'annotation-item-number';
+    number.textContent = index + 1;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = entry.text;
+    input.addEventListener('change', () => {
+      setAnnotationText(entry.id, input.value);
+      persistAnnotations();
+    });
+    
+    const remove = document.createElement('button');
+    remove.className = 'annotation-remove';
+    remove.textContent = '✕';
+    remove.title = 'Delete annotation';
+    remove.addEventListener('click', () => {
+      removeAnnotation(entry.id);
+      renderAnnotationList();
+      persistAnnotations();
+    });
+    
+    item.append(number, input, remove);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Catalog file name of the loaded model - its annotations are saved and it is validated under this name
+ * @returns {string|null} - null for user files, which have no place on the server
+ */
+function getCatalogModelName() {
+  const entry = modelCatalog.find((item) => item.url === currentModelPath);
+  return entry ? entry.name : null;
+}
+
+/**
+ * Fetch and pin the annotations saved for the loaded model
+ */
+function loadModelAnnotations() {
+  const status = document.getElementById('annotation-status');
+  const modelName = getCatalogModelName();
+  if (!modelName) {
+    status.textContent = 'Annotations on local files aren\'t saved';
+    return;
+  }
+  
+  const model = loadedModel;
+  status.textContent = 'Loading annotations…';
+  fetchAnnotations(modelName)
+    .then((saved) => {
+      // Another model was loaded in the meantime
+      if (model !== loadedModel) return;
+      
+      const missing = restoreAnnotations(saved, loadedModel, loadedParser);
+      renderAnnotationList();
+      status.textContent = missing > 0 ? `${missing} saved annotation(s) no longer match a node of the model` : '';
+    })
+    .catch((error) => {
+      console.error('Error loading annotations:', error);
+      status.textContent = `Loading annotations failed: ${error.message}`;
+    });
+}
+
+/**
+ * Save the loaded model's annotations on the server
+ */
+function persistAnnotations() {
+  const status = document.getElementById('annotation-status');
+  const modelName = getCatalogModelName();
+  if (!modelName) {
+    status.textContent = 'Annotations on local files aren\'t saved';
+    return;
+  }
+  
+  saveAnnotations(modelName)
+    .then(() => {
+      status.textContent = `Saved to annotations/${modelName}.json`;
+    })
+    .catch((error) => {
+      console.error('Error saving annotations:', error);
+      status.textContent = `Saving annotations failed: ${error.message}`;
+    });
+}
+
+/**
+ * Set up the performance panel
+ * Toggles the live overlay and runs the fixed orbit benchmark for the loaded model
+ */
+function setupPerformanceControls() {
+  const overlay = document.getElementById('perf-overlay');
+  const benchmarkBtn = document.getElementById('benchmark-btn');
+  const status = document.getElementById('benchmark-status');
+  
+  document.getElementById('perf-overlay-toggle').addEventListener('change', (e) => {
+    overlay.classList.toggle('hidden', !e.target.checked);
+  });
+  
+  benchmarkBtn.addEventListener('click', () => {
+    if (!loadedModel || !controls) {
+      status.textContent = 'Load a model first';
+      return;
+    }
+    if (isTurntableRunning()) {
+      status.textContent = 'Wait for the turntable recording to finish';
+      return;
+    }
+    
+    const frames = Math.max(30, parseInt(document.getElementById('benchmark-frames').value, 10) || 300);
+    const modelName = getCurrentStats().name;
+    
+    // The orbit drives the camera, so user input is ignored until it finishes
+    cancelCameraTransition();
+    benchmarkBtn.disabled = true;
+    controls.enabled = false;
+    status.textContent = `Orbiting ${modelName} for ${frames} frames…`;
+    
+    startBenchmark(camera, controls.target, frames)
+      .then((result) => {
+        setBenchmarkResult(result);
+        updateStats();
+        status.textContent = `${modelName}: ${result.fps.toFixed(1)} FPS, p95 ${result.frameTime.p95.toFixed(2)} ms`;
+        console.log(`Benchmark of ${modelName} (${frames} frames):`, result);
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') {
+          status.textContent = `Benchmark of ${modelName} cancelled`;
+          return;
+        }
+        console.error('Error running benchmark:', error);
+        status.textContent = `Benchmark failed: ${error.message}`;
+      })
+      .finally(() => {
+        controls.enabled = true;
+        benchmarkBtn.disabled = false;
+      });
+  });
+}
+
+/**
+ * Refresh the performance overlay with the latest frame statistics
+ * Throttled to OVERLAY_REFRESH_INTERVAL - called from animate() after rendering
+ * @param {number} timestamp - requestAnimationFrame timestamp
+ */
+function updatePerformanceOverlay(timestamp) {
+  const overlay = document.getElementById('perf-overlay');
+  if (overlay.classList.contains('hidden') || timestamp - lastOverlayRefresh < OVERLAY_REFRESH_INTERVAL) {
+    return;
+  }
+  lastOverlayRefresh = timestamp;
+  
+  const snapshot = getPerformanceSnapshot(renderer, scene);
+  const ms = (value) => value.toFixed(2) + ' ms';
+  const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+  
+  document.getElementById('perf-fps').textContent = snapshot.fps.toFixed(1);
+  document.getElementById('perf-frame-avg').textContent = `${ms(snapshot.frameTime.avg)} / ${ms(snapshot.frameTime.p50)}`;
+  document.getElementById('perf-frame-p95').textContent = `${ms(snapshot.frameTime.p95)} / ${ms(snapshot.frameTime.p99)}`;
+  document.getElementById('perf-cpu').textContent = ms(snapshot.cpuTime);
+  document.getElementById('perf-gpu').textContent = snapshot.gpuTime !== null ? ms(snapshot.gpuTime) : 'n/a';
+  document.getElementById('perf-calls').textContent = snapshot.drawCalls;
+  document.getElementById('perf-triangles').textContent = snapshot.triangles.toLocaleString();
+  document.getElementById('perf-geometries').textContent = snapshot.geometries;
+  document.getElementById('perf-textures').textContent = snapshot.textures;
+  document.getElementById('perf-buffer-memory').textContent = mb(snapshot.bufferMemory);
+  document.getElementById('perf-texture-memory').textContent = mb(snapshot.textureMemory);
+}
+
+/**
+ * Set up the level of detail panel
+ * Generated levels replace each mesh as the camera moves away, so the stats show how far the model can be decimated
+ */
+function setupLODControls() {
+  const enabled = document.getElementById('lod-enabled');
+  const status = document.getElementById('lod-status');
+  
+  if (!isLODSupported()) {
+    enabled.disabled = true;
+    status.textContent = 'The simplifier needs WebAssembly, which this browser does not support';
+    return;
+  }
+  
+  // Applies to the model in the scene right away, and to every model loaded after it
+  enabled.addEventListener('change', () => {
+    if (!loadedModel) return;
+    if (enabled.checked) {
+      buildModelLODs();
+    } else {
+      removeModelLODs();
+    }
+  });
+  
+  // Switch distances in multiples of the model's bounding sphere radius, so they suit models of any size
+  const distances = [...DEFAULT_LOD_DISTANCES];
+  const distanceControls = document.getElementById('lod-distances');
+  LOD_RATIOS.forEach((ratio, index) => {
+    distanceControls.appendChild(createSliderControl({
+      label: `${Math.round(ratio * 100)}% Level From (× radius):`,
+      min: 0.5,
+      max: 20,
+      step: 0.5,
+      value: distances[index],
+      onInput: (value) => {
+        distances[index] = value;
+        setLODDistances(distances);
+        renderLODStats();
+      }
+    }));
+  });
+  setLODDistances(distances);
+  
+  renderLODStats();
+}
+
+/**
+ * Simplify the loaded model's meshes and wrap them in LODs
+ * The levels are given the meshes' own materials, then the render mode is applied to them as well
+ */
+function buildModelLODs() {
+  const model = loadedModel;
+  const status = document.getElementById('lod-status');
+  status.textContent = 'Simplifying…';
+  
+  generateLODs(model, {
+    getMaterial: getOriginalMaterial,
+    onProgress: (done, total) => {
+      status.textContent = `Simplifying… ${done} / ${total} meshes`;
+    }
+  })
+    .then((summary) => {
+      // The model was unloaded, or the levels removed, before they were done
+      if (!summary) return;
+      
+      status.textContent = `${summary.meshes} mesh(es) wrapped in ${LOD_RATIOS.length + 1}-level LODs`;
+      updateRenderModeHint(setRenderMode(getRenderMode(), model));
+      renderOutliner();
+      renderLODStats();
+    })
+    .catch((error) => {
+      console.error('Error generating LODs:', error);
+      status.textContent = `LOD generation failed: ${error.message}`;
+    });
+}
+
+/**
+ * Put the loaded model's original meshes back in place of their LODs
+ */
+function removeModelLODs() {
+  // The render mode is taken off the levels before they are freed
+  const resumeRenderMode = suspendRenderMode();
+  if (getSelectedObject()) {
+    selectObject(null);
+  }
+  clearLODs();
+  resumeRenderMode(loadedModel);
+  
+  document.getElementById('lod-status').textContent = '';
+  renderOutliner();
+  renderLODStats();
+}
+
+/**
+ * Show each level's triangle count, switch distance and simplification error,
+ * and on how many meshes it is showing
+ */
+function renderLODStats() {
+  const stats = getLODStats();
+  const tbody = document.querySelector('#lod-table tbody');
+  document.getElementById('lod-stats-empty').style.display = stats ? 'none' : '';
+  if (!stats) {
+    tbody.replaceChildren();
+    return;
+  }
+  
+  tbody.replaceChildren(...stats.levels.map((level, index) => {
+    const row = document.createElement('tr');
+    row.classList.toggle('active', level.active > 0);
+    [
+      `${index} (${Math.round(level.ratio * 100)}%)`,
+      level.triangles.toLocaleString(),
+      index === 0 ? '-' : formatLength(level.distance),
+      index === 0 ? '-' : `${(level.error * 100).toFixed(2)}%`,
+      `${level.active} / ${stats.meshes}`
+    ].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    return row;
+  }));
+}
+
+/**
+ * Refresh the active levels of the LOD table as the camera moves
+ * @param {number} timestamp - Frame timestamp
+ */
+function updateLODStats(timestamp) {
+  if (!hasLODs() || timestamp - lastLODStatsRefresh < OVERLAY_REFRESH_INTERVAL) {
+    return;
+  }
+  lastLODStatsRefresh = timestamp;
+  renderLODStats();
+}
+
+/**
+ * Set up the export panel
+ * Writes the loaded model, with any edits made in the viewer, to a .gltf or .glb download
+ */
+function setupExportControls() {
+  const formatSelect = document.getElementById('export-format');
+  const embedImages = document.getElementById('export-embed-images');
+  const exportBtn = document.getElementById('export-btn');
+  const status = document.getElementById('export-status');
+  
+  // GLB always stores images in its binary chunk, so the option only applies to .gltf
+  const updateEmbedOption = () => {
+    embedImages.disabled = formatSelect.value === 'glb';
+  };
+  formatSelect.addEventListener('change', updateEmbedOption);
+  
+  exportBtn.addEventListener('click', () => {
+    if (!loadedModel) {
+      status.textContent = 'Load a model first';
+      return;
+    }
+    
+    const format = formatSelect.value;
+    const sourceName = getCurrentStats().name || 'model';
+    const options = {
+      format: format,
+      baseName: sourceName.replace(/\.(gltf|glb)$/i, '') + '-export',
+      onlyVisible: document.getElementById('export-only-visible').checked,
+      animations: document.getElementById('export-animations').checked ? animations : [],
+      embedImages: embedImages.checked
+    };
+    const reload = document.getElementById('export-reload').checked;
+    
+    exportBtn.disabled = true;
+    status.textContent = 'Exporting…';
+    
+    // Export the model's own materials, not those of a debug render mode, and its meshes without their LODs
+    const model = loadedModel;
+    const resumeRenderMode = suspendRenderMode();
+    const resumeLODs = suspendLODs();
+    
+    // Export the model's children rather than its root, so the offset added by centerModel() is not baked in
+    exportModel(model.children, options)
+      .then((files) => {
+        files.forEach((file) => downloadFile(file));
+        status.textContent = files.map((file) => `${file.name} (${(file.size / 1024).toFixed(2)} KB)`).join(', ');
+        console.log(`Exported ${sourceName} as ${files[0].name}`);
+        
+        // Round trip - the exported file gets its own row in the comparison table
+        if (reload) {
+          loadModel(files);
+        }
+      })
+      .catch((error) => {
+        console.error('Error exporting model:', error);
+        status.textContent = `Export failed: ${error.message}`;
+      })
+      .finally(() => {
+        resumeLODs();
+        resumeRenderMode(model === loadedModel ? model : null);
+        exportBtn.disabled = false;
+      });
+  });
+  
+  updateEmbedOption();
+}
+
+/**
+ * Set up the outliner's transform mode buttons and selection sync
+ */
+function setupOutlinerControls() {
+  const modeButtons = document.querySelectorAll('.transform-mode-btn');
+  
+  // Move / Rotate / Scale buttons switch the gizmo mode
+  modeButtons.forEach((button) => {
+    button.addEventListener('click', () => {
+      setTransformMode(button.dataset.mode);
+      modeButtons.forEach((other) => other.classList.toggle('active', other === button));
+    });
+  });
+  
+  // Deselect button
+  document.getElementById('deselect-btn').addEventListener('click', () => {
+    if (getSelectedObject()) {
+      selectObject(null);
+    }
+  });
+  
+  // Highlight the selected node in the tree, whether it was picked in the canvas or the tree
+  onSelectionChange(highlightOutlinerItem);
+  
+  // Inspect the selected mesh's material
+  onSelectionChange((object) => renderMaterialInspector(object, 0));
+}
+
+/**
+ * Rebuild the outliner tree for the loaded model
+ */
+function renderOutliner() {
+  const tree = document.getElementById('outliner-tree');
+  tree.innerHTML = '';
+  outlinerItems = new Map();
+  
+  if (!loadedModel) return;
+  tree.appendChild(createOutlinerItem(loadedModel, 0));
+}
+
+/**
+ * Create the tree item for a node and (recursively) its children
+ * @param {THREE.Object3D} object - Scene graph node
+ * @param {number} depth - Depth in the tree; the first two levels start expanded
+ * @returns {HTMLElement} - The <li> element
+ */
+function createOutlinerItem(object, depth) {
+  const { name, type, badges } = describeNode(object);
+  
+  const item = document.createElement('li');
+  item.className = 'outliner-item';
+  
+  const row = document.createElement('div');
+  row.className = 'outliner-row';
+  
+  // Expand/collapse caret (spacer for leaf nodes)
+  const caret = document.createElement('span');
+  caret.className = 'outliner-caret';
+  
+  // Visibility toggle
+  const visibility = document.createElement('input');
+  visibility.type = 'checkbox';
+  visibility.checked = object.visible;
+  visibility.title = 'Visible';
+  visibility.addEventListener('change', (e) => {
+    object.visible = e.target.checked;
+    row.classList.toggle('hidden-node', !object.visible);
+  });
+  
+  const nameLabel = document.createElement('span');
+  nameLabel.className = 'outliner-name';
+  nameLabel.textContent = name;
+  
+  const typeLabel = document.createElement('span');
+  typeLabel.className = 'outliner-type';
+  typeLabel.textContent = type;
+  
+  row.append(caret, visibility, nameLabel, typeLabel);
+  badges.forEach((badge) => {
+    const badgeElement = document.createElement('span');
+    badgeElement.className = 'outliner-badge';
+    badgeElement.textContent = badge;
+    row.appendChild(badgeElement);
+  });
+  row.classList.toggle('hidden-node', !object.visible);
+  
+  // Clicking the row (but not the checkbox) selects the node
+  row.addEventListener('click', (e) => {
+    if (e.target === visibility || e.target === caret) return;
+    selectObject(object);
+  });
+  
+  item.appendChild(row);
+  
+  if (object.children.length > 0) {
+    const childList = document.createElement('ul');
+    object.children.forEach((child) => childList.appendChild(createOutlinerItem(child, depth + 1)));
+    item.appendChild(childList);
+    
+    item.classList.toggle('collapsed', depth >= 2);
+    caret.textContent = '▸';
+    caret.addEventListener('click', () => item.classList.toggle('collapsed'));
+  }
+  
+  outlinerItems.set(object, item);
+  return item;
+}
+
+/**
+ * Highlight the selected node in the outliner and reveal it
+ * @param {THREE.Object3D|null} object - The selected object
+ */
+function highlightOutlinerItem(object) {
+  document.querySelectorAll('.outliner-row.selected').forEach((row) => row.classList.remove('selected'));
+  
+  const item = object ? outlinerItems.get(object) : null;
+  if (!item) return;
+  
+  // Expand every collapsed ancestor so the row is visible
+  for (let parent = item.parentElement; parent && parent.id !== 'outliner-tree'; parent = parent.parentElement) {
+    if (parent.classList.contains('outliner-item')) {
+      parent.classList.remove('collapsed');
+    }
+  }
+  
+  const row = item.querySelector('.outliner-row');
+  row.classList.add('selected');
+  row.scrollIntoView({ block: 'nearest' });
+}
 
 /**
- * Load a 3D model in either GLTF or GLB format
- * @param {string} format - Either 'gltf' or 'glb'
- * 
- * This function:
- * 1. Removes the previously loaded model from the scene
- * 2. Loads the new model using the specified format
- * 3. Sets up the camera and centers the model
- * 4. Updates the statistics panel with load time and model info
+ * Show the material inspector for the selected mesh
+ * @param {THREE.Object3D|null} object - Selected object
+ * @param {number} materialIndex - Which material of a multi-material mesh to show
  */
-function loadModel(format) {
-  currentFormat = format;
+function renderMaterialInspector(object, materialIndex) {
+  const inspector = document.getElementById('material-inspector');
+  inspector.innerHTML = '';
   
-  // Remove previous model if exists to prevent duplicates in the scene
-  if (loadedModel) {
-    scene.remove(loadedModel);
-    loadedModel = null;
+  if (!object || !object.isMesh) {
+    const hint = document.createElement('p');
+    hint.className = 'panel-hint';
+    hint.textContent = object ? 'The selected node is not a mesh' : 'Select a mesh to inspect its material';
+    inspector.appendChild(hint);
+    return;
   }
   
-  // Stop and clear previous animations
-  if (mixer) {
-    mixer.stopAllAction();
-    mixer = null;
+  // The mesh's own material, even while a debug render mode shows another one
+  const ownMaterial = getOriginalMaterial(object);
+  const materials = Array.isArray(ownMaterial) ? ownMaterial : [ownMaterial];
+  const material = materials[materialIndex];
+  const info = describeMaterial(material, loadedParser);
+  
+  // Material slot picker for multi-material meshes
+  if (materials.length > 1) {
+    inspector.appendChild(createSelectControl({
+      label: 'Material Slot:',
+      options: materials.map((item, index) => ({ value: String(index), label: `${index}: ${item.name || item.type}` })),
+      value: String(materialIndex),
+      onChange: (value) => renderMaterialInspector(object, parseInt(value, 10))
+    }));
   }
-  animations = [];
   
-  // Load new model using the helper function from ModelHelper.js
-  LoadGLTFByPath(scene, format)
-    .then((result) => {
-      // Store reference to the loaded model for future removal
-      loadedModel = result.gltf.scene;
-      
-      // Set up animations if the model has any
-      if (result.gltf.animations && result.gltf.animations.length > 0) {
-        setupAnimations(result.gltf);
-        updateAnimationUI(true);
-      } else {
-        updateAnimationUI(false);
-      }
-      
-      // Set up or retrieve camera from the model
-      retrieveListOfCameras(scene);
-      
-      // Center the model in the viewport for better viewing
-      centerModel(scene);
-      
-      // Set up orbit controls if not already initialized
-      if (!controls) {
-        setupControls();
-      }
-      
-      // Update the UI statistics panel with load time and geometry info
-      updateStats();
-    })
-    .catch((error) => {
-      console.error('Error loading model:', error);
-    });
+  // Summary rows
+  const summary = [
+    ['Name:', info.name],
+    ['Type:', info.type],
+    ['glTF Index:', info.gltfIndex !== null ? info.gltfIndex : '-'],
+    ['Used By:', `${countMaterialUsers(material, loadedModel, getOriginalMaterial)} mesh(es)`],
+    ['Extensions:', info.extensions.length > 0 ? info.extensions.join(', ') : 'None']
+  ];
+  summary.forEach(([label, value]) => {
+    const row = document.createElement('div');
+    row.className = 'stat-item';
+    const labelElement = document.createElement('span');
+    labelElement.className = 'stat-label';
+    labelElement.textContent = label;
+    const valueElement = document.createElement('span');
+    valueElement.className = 'stat-value';
+    valueElement.textContent = value;
+    row.append(labelElement, valueElement);
+    inspector.appendChild(row);
+  });
+  
+  // Texture slots with thumbnails and UV channel
+  const textureList = document.createElement('div');
+  textureList.className = 'texture-list';
+  if (info.textures.length === 0) {
+    const none = document.createElement('p');
+    none.className = 'panel-hint';
+    none.textContent = 'No textures';
+    textureList.appendChild(none);
+  }
+  info.textures.forEach((entry) => {
+    const row = document.createElement('div');
+    row.className = 'texture-row';
+    
+    const thumbnail = createTextureThumbnail(entry.texture, 48) || document.createElement('div');
+    thumbnail.classList.add('texture-thumb');
+    
+    const details = document.createElement('div');
+    details.className = 'texture-details';
+    const slotName = document.createElement('strong');
+    slotName.textContent = entry.label;
+    const meta = document.createElement('span');
+    meta.textContent = `UV ${entry.channel} · ${entry.width}×${entry.height}` + (entry.name ? ` · ${entry.name}` : '');
+    details.append(slotName, meta);
+    
+    row.append(thumbnail, details);
+    textureList.appendChild(row);
+  });
+  inspector.appendChild(textureList);
+  
+  // Editable properties - only those the material type supports
+  const editor = document.createElement('div');
+  editor.className = 'material-editor';
+  
+  if (material.color) {
+    editor.appendChild(createColorControl({
+      label: 'Base Color:', value: colorToHex(material.color),
+      onInput: (value) => material.color.setStyle(value)
+    }));
+  }
+  if ('metalness' in material) {
+    editor.appendChild(createSliderControl({
+      label: 'Metalness:', min: 0, max: 1, step: 0.01, value: material.metalness, digits: 2,
+      onInput: (value) => { material.metalness = value; }
+    }));
+    editor.appendChild(createSliderControl({
+      label: 'Roughness:', min: 0, max: 1, step: 0.01, value: material.roughness, digits: 2,
+      onInput: (value) => { material.roughness = value; }
+    }));
+  }
+  if (material.emissive) {
+    editor.appendChild(createColorControl({
+      label: 'Emissive:', value: colorToHex(material.emissive),
+      onInput: (value) => material.emissive.setStyle(value)
+    }));
+    editor.appendChild(createSliderControl({
+      label: 'Emissive Intensity:', min: 0, max: 10, step: 0.1, value: material.emissiveIntensity,
+      onInput: (value) => { material.emissiveIntensity = value; }
+    }));
+  }
+  
+  // Opacity is only blended in BLEND mode, so the slider is off (with a note saying why) in the other modes
+  const opacityControl = createSliderControl({
+    label: 'Opacity:', min: 0, max: 1, step: 0.01, value: material.opacity, digits: 2,
+    onInput: (value) => { material.opacity = value; }
+  });
+  const opacityHint = document.createElement('p');
+  opacityHint.className = 'panel-hint';
+  opacityHint.textContent = 'Opacity only applies in BLEND alpha mode';
+  const updateOpacityControl = (mode) => {
+    opacityControl.querySelector('input').disabled = mode !== 'BLEND';
+    opacityHint.hidden = mode === 'BLEND';
+  };
+  updateOpacityControl(info.alphaMode);
+  editor.append(opacityControl, opacityHint);
+  
+  // Alpha mode, with the cutoff only shown in MASK mode
+  const cutoffControl = createSliderControl({
+    label: 'Alpha Cutoff:', min: 0, max: 1, step: 0.01, value: material.alphaTest || 0.5, digits: 2,
+    onInput: (value) => { material.alphaTest = value; }
+  });
+  cutoffControl.style.display = info.alphaMode === 'MASK' ? '' : 'none';
+  editor.appendChild(createSelectControl({
+    label: 'Alpha Mode:',
+    options: ALPHA_MODES.map((mode) => ({ value: mode, label: mode })),
+    value: info.alphaMode,
+    onChange: (mode) => {
+      setAlphaMode(material, mode, parseFloat(cutoffControl.querySelector('input').value));
+      cutoffControl.style.display = mode === 'MASK' ? '' : 'none';
+      updateOpacityControl(mode);
+    }
+  }));
+  editor.appendChild(cutoffControl);
+  
+  editor.appendChild(createCheckboxControl({
+    label: 'Double Sided', checked: material.side === THREE.DoubleSide,
+    onChange: (checked) => {
+      material.side = checked ? THREE.DoubleSide : THREE.FrontSide;
+      material.needsUpdate = true; // Double-sided lighting is compiled into the shader
+    }
+  }));
+  
+  inspector.appendChild(editor);
 }
 
 /**
- * Set up all UI event listeners for format switching and lighting controls
- * Called once on page load to initialize interactive elements
+ * Set up raycast picking in the canvas
+ * A click (press and release without dragging) acts on the surface point under the pointer:
+ * with the select tool it selects the mesh (a click on empty space clears the selection),
+ * the measure tool adds a measurement point and the annotate tool pins a hotspot there
  */
-function setupUI() {
-  // Get references to the format switching buttons
-  const gltfBtn = document.getElementById('gltf-btn');
-  const glbBtn = document.getElementById('glb-btn');
+function setupCanvasPicking() {
+  const canvas = renderer.domElement;
+  let pressPosition = null;
   
-  // GLTF button click handler - loads text-based GLTF format
-  gltfBtn.addEventListener('click', () => {
-    if (currentFormat !== 'gltf') {
-      loadModel('gltf');
-      // Update button visual states
-      gltfBtn.classList.add('active');
-      glbBtn.classList.remove('active');
+  canvas.addEventListener('pointerdown', (e) => {
+    pressPosition = { x: e.clientX, y: e.clientY };
+  });
+  
+  canvas.addEventListener('pointerup', (e) => {
+    if (!pressPosition || !loadedModel || isTransforming()) return;
+    
+    // Picking works with the whole canvas, which side by side comparison splits in two
+    if (getComparisonMode() === 'split') return;
+    
+    // Ignore orbit drags
+    const moved = Math.hypot(e.clientX - pressPosition.x, e.clientY - pressPosition.y);
+    pressPosition = null;
+    if (moved > 4) return;
+    
+    const hit = raycastModel(e, camera, loadedModel);
+    if (canvasTool === 'measure') {
+      if (hit) {
+        addMeasurePoint(hit.point);
+        renderMeasurementList();
+      }
+    } else if (canvasTool === 'annotate') {
+      if (hit) {
+        placeAnnotation(hit);
+      }
+    } else if (hit) {
+      selectObject(hit.object);
+    } else if (getSelectedObject()) {
+      selectObject(null);
     }
   });
+}
+
+/**
+ * Update the statistics panel with current model information
+ * Rebuilds the comparison table: one row per loaded model, sorted by the chosen column,
+ * with differences to the baseline row under each value
+ */
+function updateStats() {
+  const allStats = getModelStats();
+  const currentStats = getCurrentStats();
+  
+  // Forget a baseline or detail row whose model has been removed from the comparison
+  if (statsBaseline && !allStats.some((stats) => stats.key === statsBaseline)) {
+    statsBaseline = null;
+  }
+  if (statsDetail && !allStats.some((stats) => stats.key === statsDetail)) {
+    statsDetail = null;
+  }
+  const baseline = allStats.find((stats) => stats.key === statsBaseline) || null;
+  const detailStats = allStats.find((stats) => stats.key === statsDetail) || currentStats;
   
-  // GLB button click handler - loads binary GLB format
-  glbBtn.addEventListener('click', () => {
-    if (currentFormat !== 'glb') {
-      loadModel('glb');
-      // Update button visual states
-      glbBtn.classList.add('active');
-      gltfBtn.classList.remove('active');
+  // Header - click to sort, click again to reverse
+  const headRow = document.createElement('tr');
+  STATS_COLUMNS.forEach((column) => {
+    const th = document.createElement('th');
+    th.textContent = column.label;
+    if (statsSort.key === column.key) {
+      th.classList.add(statsSort.direction === 'asc' ? 'sorted-asc' : 'sorted-desc');
     }
+    th.addEventListener('click', () => {
+      const sameColumn = statsSort.key === column.key;
+      statsSort = { key: column.key, direction: sameColumn && statsSort.direction === 'asc' ? 'desc' : 'asc' };
+      updateStats();
+    });
+    headRow.appendChild(th);
   });
+  headRow.appendChild(document.createElement('th'));
+  document.querySelector('#stats-table thead').replaceChildren(headRow);
   
-  // Initialize all lighting control sliders and inputs
-  setupLightingControls();
+  // One row per model
+  const rows = statsSort.key ? sortStatsRows(allStats, statsSort.key, statsSort.direction) : allStats;
+  const tbody = document.querySelector('#stats-table tbody');
+  tbody.replaceChildren(...rows.map((stats) => {
+    const row = createStatsRow(stats, baseline, stats === currentStats);
+    row.classList.toggle('detail', stats === detailStats);
+    return row;
+  }));
+  document.getElementById('stats-empty').style.display = allStats.length > 0 ? 'none' : '';
   
-  // Initialize animation control buttons
-  setupAnimationControls();
+  // Per-file breakdown of the clicked (or current) model
+  renderResourceBreakdown(detailStats);
+  
+  // Baseline choices follow the loaded models
+  const baselineSelect = document.getElementById('stats-baseline');
+  baselineSelect.replaceChildren(new Option('None', ''), ...allStats.map((stats) => new Option(stats.name, stats.key)));
+  baselineSelect.value = statsBaseline || '';
 }
 
 /**
- * Set up animation control event listeners
- * Handles play/pause and speed controls for model animations
+ * Build one row of the comparison table
+ * @param {Object} stats - The model's stats entry
+ * @param {Object|null} baseline - Baseline stats entry, if one is chosen
+ * @param {boolean} isCurrent - Whether this model is the one in the scene
+ * @returns {HTMLTableRowElement}
  */
-function setupAnimationControls() {
-  const playPauseBtn = document.getElementById('play-pause-btn');
-  const speedSlider = document.getElementById('animation-speed');
-  const speedValue = document.getElementById('animation-speed-value');
+function createStatsRow(stats, baseline, isCurrent) {
+  const row = document.createElement('tr');
+  row.classList.toggle('current', isCurrent);
+  row.classList.toggle('baseline', stats === baseline);
   
-  let isPlaying = true;
-  
-  // Play/Pause button click handler
-  playPauseBtn.addEventListener('click', () => {
-    if (!mixer) return;
+  STATS_COLUMNS.forEach((column) => {
+    const cell = document.createElement('td');
+    const value = column.value(stats);
+    cell.textContent = value === null ? '-' : column.format(value);
     
-    if (isPlaying) {
-      // Pause all animations
-      mixer.timeScale = 0;
-      playPauseBtn.style.background = '#cc6600';
-      isPlaying = false;
-    } else {
-      // Resume animations
-      const speed = parseFloat(speedSlider.value);
-      mixer.timeScale = speed;
-      playPauseBtn.style.background = '#00aa00';
-      isPlaying = true;
+    // Difference to the baseline (green = better, red = worse)
+    if (baseline && stats !== baseline) {
+      const delta = computeDelta(stats, baseline, column);
+      if (delta && delta.difference !== 0) {
+        const deltaEl = document.createElement('span');
+        deltaEl.className = `stat-delta ${delta.quality}`;
+        const sign = delta.difference > 0 ? '+' : '';
+        deltaEl.textContent = delta.percent !== null
+          ? `${sign}${delta.percent.toFixed(1)}%`
+          : `${sign}${column.format(delta.difference)}`;
+        cell.appendChild(deltaEl);
+      }
     }
+    row.appendChild(cell);
   });
   
-  // Animation speed slider
-  speedSlider.addEventListener('input', (e) => {
-    const speed = parseFloat(e.target.value);
-    speedValue.textContent = speed.toFixed(1) + 'x';
-    
-    if (mixer && isPlaying) {
-      mixer.timeScale = speed;
-    }
+  // Remove the model from the comparison (the model in the scene stays loaded)
+  const removeCell = document.createElement('td');
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'stats-remove-btn';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove from comparison';
+  removeBtn.addEventListener('click', (e) => {
+    e.stopPropagation(); // Not a click on the row
+    removeModelStats(stats.key);
+    updateStats();
+  });
+  removeCell.appendChild(removeBtn);
+  row.appendChild(removeCell);
+  
+  // Show this model's resources in the breakdown
+  row.addEventListener('click', () => {
+    statsDetail = stats.key;
+    updateStats();
   });
+  
+  return row;
 }
 
 /**
- * Update animation UI based on whether animations are available
- * @param {boolean} hasAnimations - Whether the model has animations
+ * List every resource of a model with its transfer and file size, and the totals
+ * @param {Object|null} stats - Stats entry of the model to show, or null to clear the breakdown
  */
-function updateAnimationUI(hasAnimations) {
-  const statusText = document.getElementById('animation-status');
-  const playPauseBtn = document.getElementById('play-pause-btn');
-  const speedSlider = document.getElementById('animation-speed');
+function renderResourceBreakdown(stats) {
+  const kb = (bytes) => (bytes === null ? '?' : (bytes / 1024).toFixed(2) + ' KB');
+  const tbody = document.querySelector('#resource-table tbody');
+  const tfoot = document.querySelector('#resource-table tfoot');
   
-  if (hasAnimations) {
-    statusText.textContent = `${animations.length} animation(s) found and playing`;
-    statusText.style.color = '#00ff00';
-    playPauseBtn.disabled = false;
-    speedSlider.disabled = false;
-  } else {
-    statusText.textContent = 'No animations found in model';
-    statusText.style.color = '#aaa';
-    playPauseBtn.disabled = true;
-    speedSlider.disabled = true;
+  document.getElementById('resource-title').textContent = stats ? `Resources - ${stats.name}` : 'Resources';
+  if (!stats) {
+    tbody.replaceChildren();
+    tfoot.replaceChildren();
+    return;
   }
+  
+  const createRow = (cells, className) => {
+    const row = document.createElement('tr');
+    if (className) row.className = className;
+    cells.forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    return row;
+  };
+  
+  tbody.replaceChildren(...stats.resources.map((resource) => createRow([
+    resource.name,
+    resource.type,
+    resource.source,
+    resource.source === 'embedded' ? '-' : kb(resource.transferSize),
+    kb(resource.decodedSize)
+  ], resource.source === 'embedded' ? 'embedded' : '')));
+  
+  const fileCount = stats.resources.filter((resource) => resource.source !== 'embedded').length;
+  tfoot.replaceChildren(createRow([
+    `Total (${fileCount} file${fileCount === 1 ? '' : 's'})`, '', '',
+    stats.transferSize.toFixed(2) + ' KB',
+    stats.fileSize.toFixed(2) + ' KB'
+  ]));
 }
 
 /**
- * Set up all lighting control event listeners
- * Handles real-time updates to ambient and directional lights based on user input
+ * Set up the comparison table's baseline picker and CSV/JSON export
  */
-function setupLightingControls() {
-  // === AMBIENT LIGHT CONTROLS ===
-  
-  // Ambient light intensity slider (0.0 to 2.0)
-  const ambientIntensity = document.getElementById('ambient-intensity');
-  const ambientIntensityValue = document.getElementById('ambient-intensity-value');
-  ambientIntensity.addEventListener('input', (e) => {
-    const value = parseFloat(e.target.value);
-    ambientLight.intensity = value; // Update the Three.js light object
-    ambientIntensityValue.textContent = value.toFixed(1); // Update displayed value
+function setupStatsTable() {
+  document.getElementById('stats-baseline').addEventListener('change', (e) => {
+    statsBaseline = e.target.value || null;
+    updateStats();
   });
   
-  // Ambient light color picker
-  const ambientColor = document.getElementById('ambient-color');
-  ambientColor.addEventListener('input', (e) => {
-    // Convert hex color from input to Three.js color
-    ambientLight.color.setStyle(e.target.value);
+  // Exports follow the table's current sort order and baseline
+  const exportStats = (extension, type, serialize) => {
+    const allStats = getModelStats();
+    if (allStats.length === 0) return;
+    
+    const rows = statsSort.key ? sortStatsRows(allStats, statsSort.key, statsSort.direction) : allStats;
+    const baseline = allStats.find((stats) => stats.key === statsBaseline) || null;
+    downloadFile(new File([serialize(rows, baseline)], `model-comparison.${extension}`, { type: type }));
+  };
+  
+  document.getElementById('stats-export-csv').addEventListener('click', () => {
+    exportStats('csv', 'text/csv', statsToCSV);
+  });
+  document.getElementById('stats-export-json').addEventListener('click', () => {
+    exportStats('json', 'application/json', statsToJSON);
   });
   
-  // === DIRECTIONAL LIGHT CONTROLS ===
+  updateStats();
+}
+
+/**
+ * Set up the validation panel
+ * Runs the glTF validator on the server and lists its issues; clicking one selects what it is about
+ */
+function setupValidationControls() {
+  const filter = document.getElementById('validation-filter');
+  filter.replaceChildren(new Option('All', ''), ...Object.entries(SEVERITY_LABELS).map(([key, label]) => new Option(`${label}s`, key)));
+  filter.addEventListener('change', renderValidationReport);
   
-  // Directional light intensity slider (0.0 to 3.0)
-  const directionalIntensity = document.getElementById('directional-intensity');
-  const directionalIntensityValue = document.getElementById('directional-intensity-value');
-  directionalIntensity.addEventListener('input', (e) => {
-    const value = parseFloat(e.target.value);
-    directionalLight.intensity = value; // Update the Three.js light object
-    directionalIntensityValue.textContent = value.toFixed(1); // Update displayed value
-  });
+  document.getElementById('validate-btn').addEventListener('click', validateLoadedModel);
+  renderValidationReport();
+}
+
+/**
+ * Validate the loaded model - catalog models by name, user files by sending the .gltf/.glb
+ */
+function validateLoadedModel() {
+  const status = document.getElementById('validation-status');
+  if (!loadedModel) {
+    status.textContent = 'Load a model first';
+    return;
+  }
   
-  // Directional light color picker
-  const directionalColor = document.getElementById('directional-color');
-  directionalColor.addEventListener('input', (e) => {
-    // Convert hex color from input to Three.js color
-    directionalLight.color.setStyle(e.target.value);
-  });
+  const run = ++validationRun;
+  const modelName = getCatalogModelName();
+  const validate = modelName ? validateCatalogModel(modelName) : validateModelFiles(currentModelFiles || []);
+  const validateBtn = document.getElementById('validate-btn');
+  validateBtn.disabled = true;
+  status.textContent = 'Validating…';
   
-  // === DIRECTIONAL LIGHT POSITION CONTROLS ===
-  // These control where the light is positioned in 3D space (X, Y, Z coordinates)
+  validate
+    .then((report) => {
+      // Another model was loaded, or validated, in the meantime
+      if (run !== validationRun) return;
+      validationReport = report;
+      renderValidationReport();
+    })
+    .catch((error) => {
+      if (run !== validationRun) return;
+      console.error('Error validating model:', error);
+      status.textContent = `Validation failed: ${error.message}`;
+    })
+    .finally(() => {
+      validateBtn.disabled = false;
+    });
+}
+
+/**
+ * Show the validation report's counts and its issues of the chosen severity
+ */
+function renderValidationReport() {
+  const status = document.getElementById('validation-status');
+  const list = document.getElementById('validation-list');
   
-  const lightPosX = document.getElementById('light-pos-x');
-  const lightPosY = document.getElementById('light-pos-y');
-  const lightPosZ = document.getElementById('light-pos-z');
-  const lightPosXValue = document.getElementById('light-pos-x-value');
-  const lightPosYValue = document.getElementById('light-pos-y-value');
-  const lightPosZValue = document.getElementById('light-pos-z-value');
+  if (!validationReport) {
+    status.textContent = loadedModel ? 'Not validated yet' : '';
+    list.replaceChildren();
+    return;
+  }
   
-  // X-axis position (left/right)
-  lightPosX.addEventListener('input', (e) => {
-    const value = parseFloat(e.target.value);
-    directionalLight.position.x = value;
-    lightPosXValue.textContent = value.toFixed(1);
+  const { counts, issues } = validationReport;
+  const summary = [`${counts.errors} error(s)`, `${counts.warnings} warning(s)`, `${counts.infos} info(s)`, `${counts.hints} hint(s)`];
+  if (validationReport.truncated) {
+    summary.push('list truncated');
+  }
+  if (!validationReport.resourcesChecked) {
+    summary.push('external files not checked');
+  }
+  status.textContent = `${validationReport.name}: ${summary.join(', ')}`;
+  
+  const severity = document.getElementById('validation-filter').value;
+  const shown = issues.filter((issue) => !severity || issue.severity === severity);
+  if (shown.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'panel-hint';
+    empty.textContent = issues.length === 0 ? 'No issues - the file is valid glTF' : 'No issues of this severity';
+    list.replaceChildren(empty);
+    return;
+  }
+  
+  list.replaceChildren(...shown.map((issue) => {
+    const item = document.createElement('li');
+    item.className = `validation-issue ${issue.severity}`;
+    
+    const badge = document.createElement('span');
+    badge.className = 'validation-severity';
+    badge.textContent = SEVERITY_LABELS[issue.severity];
+    
+    const code = document.createElement('span');
+    code.className = 'validation-code';
+    code.textContent = issue.code;
+    
+    const message = document.createElement('div');
+    message.textContent = issue.message;
+    
+    const pointer = document.createElement('div');
+    pointer.className = 'validation-pointer';
+    pointer.textContent = issue.pointer || '(file)';
+    
+    item.append(badge, code, message, pointer);
+    
+    // Select the mesh, material or node the issue is about
+    const target = findIssueTarget(issue.pointer, loadedModel, loadedParser, getOriginalMaterial);
+    if (target) {
+      item.classList.add('selectable');
+      item.title = 'Select in the scene';
+      item.addEventListener('click', () => {
+        selectObject(target.object);
+        if (target.materialIndex > 0) {
+          renderMaterialInspector(target.object, target.materialIndex);
+        }
+      });
+    }
+    return item;
+  }));
+}
+
+/**
+ * Set up the compare panel
+ * While a view other than Off is chosen, the model picked here is loaded next to the loaded model
+ */
+function setupCompareControls() {
+  const modeSelect = document.getElementById('compare-mode');
+  modeSelect.add(new Option('Off', ''));
+  Object.entries(COMPARE_MODES).forEach(([key, mode]) => modeSelect.add(new Option(mode.label, key)));
+  
+  modeSelect.addEventListener('change', () => {
+    const status = document.getElementById('compare-status');
+    
+    // The comparison camera starts out as a copy of the orbit camera, which is set up by the first load
+    if (!controls) {
+      modeSelect.value = '';
+      status.textContent = 'Load a model first';
+      return;
+    }
+    
+    const mode = modeSelect.value || null;
+    if (mode && !getComparisonModel() && !compareLoad) {
+      loadComparison();
+    } else if (!mode) {
+      // Off frees the comparison model, and cancels it if it is still loading
+      if (compareLoad) {
+        compareLoad.abort();
+        compareLoad = null;
+      }
+      clearComparisonModel();
+      comparisonName = null;
+      status.textContent = '';
+    }
+    setComparisonMode(mode, camera, controls);
+    updateCompareView();
   });
   
-  // Y-axis position (up/down)
-  lightPosY.addEventListener('input', (e) => {
-    const value = parseFloat(e.target.value);
-    directionalLight.position.y = value;
-    lightPosYValue.textContent = value.toFixed(1);
+  // Picking another model replaces the one being compared with right away
+  document.getElementById('compare-model').addEventListener('change', () => {
+    if (getComparisonMode()) {
+      loadComparison();
+    }
   });
   
-  // Z-axis position (forward/back)
-  lightPosZ.addEventListener('input', (e) => {
-    const value = parseFloat(e.target.value);
-    directionalLight.position.z = value;
-    lightPosZValue.textContent = value.toFixed(1);
+  document.getElementById('compare-sync').addEventListener('change', (e) => {
+    setCamerasSynced(e.target.checked);
   });
   
-  // === RESET BUTTON ===
-  // Restores all lighting values to their defaults
-  const resetBtn = document.getElementById('reset-lighting');
-  resetBtn.addEventListener('click', () => {
-    // Reset ambient light to defaults
-    ambientLight.intensity = 0.5;
-    ambientLight.color.setHex(0xffffff); // White color
-    ambientIntensity.value = 0.5;
-    ambientIntensityValue.textContent = '0.5';
-    ambientColor.value = '#ffffff';
-    
-    // Reset directional light to defaults
-    directionalLight.intensity = 1.0;
-    directionalLight.color.setHex(0xffffff); // White color
-    directionalLight.position.set(5, 5, 5); // Reset position
-    directionalIntensity.value = 1.0;
-    directionalIntensityValue.textContent = '1.0';
-    directionalColor.value = '#ffffff';
-    
-    // Reset position sliders
-    lightPosX.value = 5;
-    lightPosY.value = 5;
-    lightPosZ.value = 5;
-    lightPosXValue.textContent = '5.0';
-    lightPosYValue.textContent = '5.0';
-    lightPosZValue.textContent = '5.0';
-    
-    console.log('Lighting reset to default values');
+  document.getElementById('compare-threshold').appendChild(createSliderControl({
+    label: 'Difference Threshold:',
+    min: 0,
+    max: 0.5,
+    step: 0.01,
+    value: DEFAULT_DIFFERENCE_THRESHOLD,
+    digits: 2,
+    onInput: setDifferenceThreshold
+  }));
+  
+  // The wipe line follows the pointer while its handle is held
+  const wipe = document.getElementById('compare-wipe');
+  wipe.addEventListener('pointerdown', (e) => {
+    wipe.setPointerCapture(e.pointerId);
+  });
+  wipe.addEventListener('pointermove', (e) => {
+    if (!wipe.hasPointerCapture(e.pointerId)) return;
+    setWipePosition(e.clientX / window.innerWidth);
+    wipe.style.left = `${getWipePosition() * 100}%`;
   });
+  
+  updateCompareView();
 }
 
 /**
- * Update the statistics panel with current model information
- * Retrieves stats from ModelHelper and displays them in the UI
+ * Offer every catalog model for comparison - the model picked before stays picked while it is in the catalog
+ * @param {Object} [initial] - Catalog entry loaded first - the same asset in another format is preselected, if there is one
  */
-function updateStats() {
-  // Get the statistics object that contains data for both formats
-  const stats = getModelStats();
+function renderCompareModelOptions(initial) {
+  const select = document.getElementById('compare-model');
+  const picked = select.value;
+  select.replaceChildren(...modelCatalog.map((entry) => new Option(entry.name, entry.url)));
+  if (modelCatalog.some((entry) => entry.url === picked)) {
+    select.value = picked;
+    return;
+  }
+  if (!initial) return;
   
-  // Update GLTF stats (if this format has been loaded)
-  if (stats.gltf.loadTime > 0) {
-    document.getElementById('gltf-loadtime').textContent = stats.gltf.loadTime + ' ms';
-    document.getElementById('gltf-filesize').textContent = stats.gltf.fileSize + ' KB';
-    document.getElementById('gltf-vertices').textContent = stats.gltf.vertices.toLocaleString();
-    document.getElementById('gltf-triangles').textContent = stats.gltf.triangles.toLocaleString();
-    document.getElementById('gltf-meshes').textContent = stats.gltf.meshes;
+  const baseName = (entry) => entry.name.replace(/\.(gltf|glb)$/i, '');
+  const variant = modelCatalog.find((entry) => entry !== initial && baseName(entry) === baseName(initial)) ||
+    modelCatalog.find((entry) => entry !== initial);
+  if (variant) {
+    select.value = variant.url;
+  }
+}
+
+/**
+ * Load the model chosen in the compare panel as the comparison model
+ * Only the most recent choice reaches the scene - an earlier load still in progress is cancelled.
+ */
+function loadComparison() {
+  const status = document.getElementById('compare-status');
+  const entry = modelCatalog.find((item) => item.url === document.getElementById('compare-model').value);
+  if (!entry) {
+    status.textContent = 'No catalog model to compare with';
+    return;
   }
   
-  // Update GLB stats (if this format has been loaded)
-  if (stats.glb.loadTime > 0) {
-    document.getElementById('glb-loadtime').textContent = stats.glb.loadTime + ' ms';
-    document.getElementById('glb-filesize').textContent = stats.glb.fileSize + ' KB';
-    document.getElementById('glb-vertices').textContent = stats.glb.vertices.toLocaleString();
-    document.getElementById('glb-triangles').textContent = stats.glb.triangles.toLocaleString();
-    document.getElementById('glb-meshes').textContent = stats.glb.meshes;
+  if (compareLoad) {
+    compareLoad.abort();
   }
+  const controller = new AbortController();
+  compareLoad = controller;
+  status.textContent = `Loading ${entry.name}…`;
+  
+  loadComparisonModel(entry.url, { signal: controller.signal })
+    .then((result) => {
+      compareLoad = null;
+      comparisonName = result.stats.name;
+      status.textContent = '';
+      
+      // Lit like the loaded model
+      enableMeshShadows(result.gltf.scene);
+      applyEnvironmentIntensity(result.gltf.scene);
+      
+      // Its statistics join the comparison table
+      updateStats();
+      updateCompareView();
+    })
+    .catch((error) => {
+      // A newer load has taken over, or comparing was turned off
+      if (controller !== compareLoad) return;
+      
+      compareLoad = null;
+      console.error('Error loading comparison model:', error);
+      status.textContent = `Failed to load ${entry.name}: ${error.message}`;
+    });
+}
+
+/**
+ * Show the overlays of the comparison mode (wipe handle, captions) and the panel controls that apply to it
+ */
+function updateCompareView() {
+  const mode = getComparisonMode();
+  document.getElementById('compare-wipe').hidden = mode !== 'wipe';
+  document.getElementById('compare-sync-group').hidden = mode !== 'split';
+  document.getElementById('compare-threshold').hidden = mode !== 'difference';
+  document.getElementById('compare-hint').textContent = mode ? COMPARE_MODES[mode].hint : 'Choose a view to show another model next to the loaded one';
+  
+  // Name the model on each side (the difference view mixes both)
+  const current = getCurrentStats();
+  document.getElementById('compare-captions').hidden = !mode || mode === 'difference';
+  document.getElementById('compare-caption-before').textContent = current ? current.name : '';
+  document.getElementById('compare-caption-after').textContent = comparisonName || 'Loading…';
+  
+  // Measurement and hotspot labels are placed for the whole canvas, which side by side splits in two
+  labelRenderer.domElement.hidden = mode === 'split';
 }
 
 /**
@@ -354,6 +3479,9 @@ function setupAnimations(gltf) {
   // Create an animation mixer for the loaded model
   mixer = new THREE.AnimationMixer(gltf.scene);
   
+  // Carry the panel's play/pause state and speed over to the new model
+  setAnimationPlayback(animationsPlaying, parseFloat(document.getElementById('animation-speed').value));
+  
   // Store animations for reference
   animations = gltf.animations;
   
@@ -371,95 +3499,81 @@ function setupAnimations(gltf) {
     
     // Start playing the animation
     action.play();
+    
+    // Track the clip for the per-clip controls
+    clipRows.push({ clip, action, elements: null, scrubbing: false });
   });
   
   console.log('All animations are now playing');
 }
 
 /**
- * Retrieve cameras from the loaded model or create a default one
- * @param {THREE.Scene} scene - The Three.js scene object
+ * Retrieve cameras from the loaded model or fall back to the orbit camera
+ * @param {THREE.Object3D} model - Root of the loaded model
  * 
- * Searches the scene for camera objects. If none found, creates a default
- * perspective camera positioned to view the model
+ * Searches the model for camera objects and lists them in the camera dropdown.
+ * Views through the first one, or through the orbit camera if the model has none.
  */
 //retrieve list of all cameras
-function retrieveListOfCameras(scene){
-  // Traverse the entire scene graph looking for camera objects
-  scene.traverse(function (object) {
+function retrieveListOfCameras(model){
+  // Only this model's cameras - earlier models' cameras went with them
+  cameraList = [];
+  model.traverse(function (object) {
     if (object.isCamera) {
       cameraList.push(object);
     }
   });
 
-  // If no camera found in the scene, create a default one
+  // If no camera found in the model, use the orbit camera
   if (cameraList.length === 0) {
-    console.log('No camera found in scene, creating default camera');
-    // Create a perspective camera with 75° field of view
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.z = 5; // Position camera 5 units back from origin
-    scene.add(camera);
+    console.log('No camera found in model, using orbit camera');
+    selectCamera(null);
   } else {
     // Use the first camera found in the imported model
-    camera = cameraList[0];
+    selectCamera(0);
   }
-
-  // Update camera aspect ratio to match window dimensions
-  updateCameraAspect(camera);
-
-  // Start the animation loop after the model and cameras are loaded
-  animate();
 }
 
 /**
  * Center the model in the viewport
- * @param {THREE.Scene} scene - The Three.js scene containing the model
+ * @param {THREE.Object3D} model - Root of the loaded model
  * 
  * This function:
  * 1. Calculates the bounding box of all meshes
  * 2. Moves the model to center it at the origin (0,0,0)
- * 3. Positions the camera at an optimal distance to view the entire model
+ * 3. Positions the orbit camera at an optimal distance to view the entire model
+ * 
+ * Only the model is measured, so light helpers (some of which are meshes) don't skew the box.
+ * The model's own cameras move with it and keep their authored framing.
  */
-function centerModel(scene) {
-  // Create a bounding box to calculate model dimensions
-  const box = new THREE.Box3();
-  
-  // Calculate bounding box of all mesh objects (ignoring lights and cameras)
-  scene.traverse(function (object) {
-    if (object.isMesh) {
-      box.expandByObject(object);
-    }
-  });
+function centerModel(model) {
+  // Calculate the bounding box of all mesh objects (ignoring lights and cameras)
+  const box = getModelBounds(model);
   
   // Get the center point and size of the bounding box
   const center = box.getCenter(new THREE.Vector3());
   const size = box.getSize(new THREE.Vector3());
   
-  // Find the model's parent group to move it as a whole unit
-  let modelGroup = null;
-  scene.traverse(function (object) {
-    if (object.isGroup && object !== scene && object.children.length > 0) {
-      modelGroup = object;
-    }
-  });
-  
-  // Move the model group to center it at the origin (0, 0, 0)
-  if (modelGroup) {
-    modelGroup.position.sub(center); // Subtract center offset to reposition model
-  }
+  // Move the model root as a whole unit to center it at the origin (0, 0, 0)
+  model.position.sub(center); // Subtract center offset to reposition model
   
   // Calculate optimal camera distance to view the entire model
   const maxDim = Math.max(size.x, size.y, size.z); // Get largest dimension
-  const fov = camera.fov * (Math.PI / 180); // Convert field of view to radians
+  const fov = defaultCamera.fov * (Math.PI / 180); // Convert field of view to radians
   let cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2)); // Calculate distance
   cameraZ *= 2; // Add padding multiplier to ensure entire model is visible
   
   // Position camera at an angle for better perspective (not directly facing one axis)
-  camera.position.set(cameraZ * 0.7, cameraZ * 0.5, cameraZ * 0.7);
-  camera.lookAt(0, 0, 0); // Point camera at the origin where model is centered
-  camera.updateProjectionMatrix(); // Update camera projection matrix
+  defaultCamera.position.set(cameraZ * 0.7, cameraZ * 0.5, cameraZ * 0.7);
+  defaultCamera.lookAt(0, 0, 0); // Point camera at the origin where model is centered
+  defaultCamera.updateProjectionMatrix(); // Update camera projection matrix
+  orbitTarget.set(0, 0, 0);
+  
+  // The orthographic orbit camera shows the same framing
+  matchOrthographic(orthoCamera, defaultCamera, orbitTarget, window.innerWidth / window.innerHeight);
+  orbitHome = captureViewpoint('Home', defaultCamera, orbitTarget);
   
-  console.log('Model centered. Size:', size, 'Camera position:', camera.position);
+  console.log('Model centered. Size:', size, 'Camera position:', defaultCamera.position);
 }
 
 /**
@@ -490,6 +3604,13 @@ function setupControls() {
   // Apply initial control settings
   controls.update();
   
+  // Orbiting, panning and zooming change the camera pose of the saved state
+  controls.addEventListener('end', scheduleStateSave);
+  
+  // Selection box, transform gizmo and canvas picking share the orbit camera and canvas
+  initSelection(scene, camera, renderer.domElement, controls);
+  setupCanvasPicking();
+  
   console.log('OrbitControls enabled: Drag to rotate, scroll to zoom');
 }
 
@@ -502,7 +3623,14 @@ function setupControls() {
 function updateCameraAspect(camera) {
   const width = window.innerWidth;
   const height = window.innerHeight;
-  camera.aspect = width / height; // Update aspect ratio
+  if (camera.isOrthographicCamera) {
+    // Keep the visible height and fit the width to the viewport
+    const halfHeight = (camera.top - camera.bottom) / 2;
+    camera.left = -halfHeight * width / height;
+    camera.right = halfHeight * width / height;
+  } else {
+    camera.aspect = width / height; // Update aspect ratio
+  }
   camera.updateProjectionMatrix(); // Apply the change
 }
 
@@ -510,9 +3638,12 @@ function updateCameraAspect(camera) {
  * Animation loop - runs once per frame
  * This function is called recursively to continuously render the scene
  */
-function animate() {
-  // Request the next frame (creates ~60fps loop)
+function animate(timestamp = performance.now()) {
+  // Request the next frame (creates ~60fps loop) - animate() is only called directly once, at startup
   requestAnimationFrame(animate);
+  
+  // Start timing this frame for the performance overlay
+  beginFrame(timestamp);
 
   // Get time delta for smooth animation regardless of frame rate
   const delta = clock.getDelta();
@@ -520,15 +3651,43 @@ function animate() {
   // Update animation mixer if animations are playing
   if (mixer) {
     mixer.update(delta);
+    updateClipTimelines();
   }
 
-  // Update OrbitControls for smooth damping effect
-  if (controls) {
+  // The turntable, the benchmark orbit or a viewpoint transition owns the camera while it runs; otherwise update OrbitControls for smooth damping
+  if (isTurntableRunning()) {
+    updateTurntable(timestamp);
+  } else if (isBenchmarkRunning()) {
+    updateBenchmark();
+  } else if (isCameraTransitioning()) {
+    updateCameraTransition(timestamp);
+  } else if (controls) {
     controls.update();
   }
+  
+  // Keep the selection box around animated or transformed nodes
+  updateSelectionHelper();
+  
+  // Keep the simplified levels on their meshes, and render mode overlays and helpers too
+  updateLODs();
+  updateRenderMode(camera);
 
-  // Render the scene from the camera's perspective
-  renderer.render(scene, camera);
+  // Render the scene from the camera's perspective - or, while comparing, both models with their cameras and clips kept in step
+  if (getComparisonMode()) {
+    updateComparison(camera, controls, clipRows.map((row) => row.action));
+    renderComparison(camera, loadedModel, getViewerHelpers());
+  } else {
+    renderer.render(scene, camera);
+  }
+  
+  // Move the hotspots to their nodes' current pose and draw the HTML labels over the canvas
+  updateAnnotations();
+  labelRenderer.render(scene, camera);
+  
+  // Finish timing the frame and refresh the overlay and the active levels of detail
+  endFrame(renderer);
+  updatePerformanceOverlay(timestamp);
+  updateLODStats(timestamp);
 }
 
 /**
@@ -537,11 +3696,11 @@ function animate() {
  */
 window.addEventListener('resize', () => {
   // Update camera aspect ratio for new window size
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
+  updateCameraAspect(camera);
   
   // Update renderer size to fill the new window dimensions
   renderer.setSize(window.innerWidth, window.innerHeight);
+  labelRenderer.setSize(window.innerWidth, window.innerHeight);
 });
 
 